@@ -13,19 +13,50 @@ import { WelcomeScreen } from './components/screens/WelcomeScreen';
 import { SelectionScreen } from './components/screens/SelectionScreen';
 import { CaptureScreen } from './components/screens/CaptureScreen';
 import { PreviewScreen } from './components/screens/PreviewScreen';
+import { GalleryScreen } from './components/screens/GalleryScreen';
+import { CameraSettingsScreen } from './components/screens/CameraSettingsScreen';
 
 // Import hooks
 import { useSession } from './hooks/useSession';
 
 // Import services & utilities
 import { APP_CONFIG } from './constants';
+import { storageService } from './services/storageService';
+import { QUOTA_LEVELS } from './services/retentionService';
+import { loadFrameCatalog } from './utils/frameManifest';
+import { getStickerImages, loadStickerPacks } from './utils/stickerManifest';
+import { createPrintLayout, getPrintLayout } from './utils/printLayout';
 
-// Dynamically import frames
-const childrenFramesRaw = import.meta.glob('./assets/Frames/Children/*.png', { eager: true, query: '?url' });
-const adultFramesRaw = import.meta.glob('./assets/Frames/Adult/*.png', { eager: true, query: '?url' });
-const proverbFramesRaw = import.meta.glob('./assets/Frames/Proverb/*.png', { eager: true, query: '?url' });
-const collageFramesRaw = import.meta.glob('./assets/Frames/Collage/*.png', { eager: true, query: '?url' });
+// Frame manifests and images (one frames.json per category folder)
+const frameManifests = import.meta.glob('./assets/Frames/*/frames.json', { eager: true });
+const frameImages = import.meta.glob('./assets/Frames/*/*.png', { eager: true, query: '?url' });
 
+/**
+ * Frame catalog, validated once at startup
+ */
+const FRAME_CATALOG = (() => {
+  const { catalog, errors, warnings } = loadFrameCatalog(frameManifests, frameImages);
+  warnings.forEach((warning) => console.warn(`[frames] ${warning}`));
+  errors.forEach((error) => console.error(`[frames] ${error}`));
+  return catalog;
+})();
+
+// Sticker manifests and images (one stickers.json per pack folder)
+const stickerManifests = import.meta.glob('./assets/Stickers/*/stickers.json', { eager: true });
+const stickerImageModules = import.meta.glob('./assets/Stickers/*/*.{png,svg}', { eager: true, query: '?url' });
+
+/**
+ * Sticker packs, validated once at startup
+ */
+const STICKER_PACKS = (() => {
+  const { packs, errors, warnings } = loadStickerPacks(stickerManifests, stickerImageModules);
+  warnings.forEach((warning) => console.warn(`[stickers] ${warning}`));
+  errors.forEach((error) => console.error(`[stickers] ${error}`));
+  return packs;
+})();
+
+// Sticker id -> image URL, for re-rendering photos from their recipe
+const STICKER_IMAGES = getStickerImages(STICKER_PACKS);
 
 /**
  * App Screen States (state machine)
@@ -35,21 +66,8 @@ const SCREENS = {
   SELECTION: 'selection',
   CAPTURE: 'capture',
   PREVIEW: 'preview',
-};
-
-/**
- * Format frames from glob results
- */
-const formatFrames = (rawGlob, categoryName) => {
-  return Object.entries(rawGlob).map(([path, module]) => {
-    const fileName = path.split('/').pop().replace('.png', '');
-    const imageUrl = module.default || module;
-    return {
-      id: `${categoryName}-${fileName}`,
-      name: `Frame ${fileName}`,
-      image: imageUrl,
-    };
-  });
+  GALLERY: 'gallery',
+  CAMERA_SETTINGS: 'cameraSettings',
 };
 
 /**
@@ -68,31 +86,26 @@ function App() {
   const [capturedImageData, setCapturedImageData] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
 
+  // Storage warning the operator has dismissed ({level, checkedAt})
+  const [dismissedStorageWarning, setDismissedStorageWarning] = useState(null);
+
   // Hooks
   const session = useSession();
 
+  /**
+   * Tell the operator when another tab is blocking a storage upgrade
+   */
+  useEffect(() => {
+    return storageService.onBlocked(() => {
+      alert('Photo storage needs an update. Close other SelfieBooth tabs or windows to continue.');
+    });
+  }, []);
+
   /**
    * Load frames when category changes
    */
   useEffect(() => {
-    let categoryFrames = [];
-
-    switch (selectedCategory) {
-      case 'children':
-        categoryFrames = formatFrames(childrenFramesRaw, 'children');
-        break;
-      case 'adult':
-        categoryFrames = formatFrames(adultFramesRaw, 'adult');
-        break;
-      case 'proverb':
-        categoryFrames = formatFrames(proverbFramesRaw, 'proverb');
-        break;
-      case 'collage':
-        categoryFrames = formatFrames(collageFramesRaw, 'collage');
-        break;
-      default:
-        categoryFrames = [];
-    }
+    const categoryFrames = FRAME_CATALOG[selectedCategory] || [];
 
     const allFrames = [
       { id: 'none', name: 'Original', image: null },
@@ -136,10 +149,28 @@ function App() {
       }
 
       // Save photo to session
-      await session.savePhoto(imageData.blob, imageData.metadata);
+      const savedPhoto = await session.savePhoto(
+        imageData.blob,
+        imageData.metadata,
+        sessionId,
+        imageData.originals,
+        imageData.poster
+      );
+
+      // Other burst shots the guest chose to keep
+      for (const extra of imageData.extraShots || []) {
+        await session.savePhoto(extra.blob, extra.metadata, sessionId, extra.originals);
+      }
 
-      // Store for preview
-      setCapturedImageData(imageData);
+      // Store for preview (ids let the preview annotate the stored photo)
+      setCapturedImageData({
+        blob: imageData.blob,
+        originals: imageData.originals,
+        poster: imageData.poster,
+        metadata: imageData.metadata,
+        photoId: savedPhoto.id,
+        sessionId,
+      });
       
       // Transition to preview screen
       setCurrentScreen(SCREENS.PREVIEW);
@@ -175,6 +206,98 @@ function App() {
     // Printer integration in Phase 3
   };
 
+  /**
+   * Build a print sheet (strip / postcard) from the latest session photos
+   * Uses the current session unless a stored session id is given (gallery)
+   */
+  const handleCreatePrintLayout = async (layoutId, format, sessionId) => {
+    const layout = getPrintLayout(layoutId);
+    if (!layout) {
+      throw new Error(`Unknown print layout: ${layoutId}`);
+    }
+
+    const photos = await session.getRecentPhotoBlobs(layout.photoCount, sessionId);
+    return createPrintLayout(photos, { layout: layoutId, format });
+  };
+
+  /**
+   * Re-render a stored photo with another frame from the catalog
+   */
+  const handleChangePhotoFrame = async (photoId, frameId) => {
+    const frame = frameId === 'none'
+      ? { id: 'none', name: 'Original', image: null }
+      : Object.values(FRAME_CATALOG).flat().find((f) => f.id === frameId);
+    if (!frame) {
+      throw new Error(`Unknown frame: ${frameId}`);
+    }
+
+    return session.rerenderPhoto(photoId, frame, { stickerImages: STICKER_IMAGES });
+  };
+
+  /**
+   * Save star / tags / guest details from the preview
+   * Guest details are copied onto the session so the whole visit is findable
+   */
+  const handleUpdatePhotoDetails = async (changes) => {
+    const { photoId, sessionId } = capturedImageData || {};
+    if (!photoId) {
+      throw new Error('This photo has not been saved yet');
+    }
+
+    const photo = await session.updatePhoto(photoId, changes);
+
+    // Keep the preview's copy of the stored details current
+    const savedChanges = {};
+    Object.keys(changes).forEach((field) => { savedChanges[field] = photo[field]; });
+    setCapturedImageData((prev) => (
+      prev?.photoId === photoId ? { ...prev, metadata: { ...prev.metadata, ...savedChanges } } : prev
+    ));
+
+    const guestChanges = {};
+    if ('guestName' in changes) guestChanges.guestName = changes.guestName;
+    if ('guestEmail' in changes) guestChanges.guestEmail = changes.guestEmail;
+    if (sessionId && Object.keys(guestChanges).length > 0) {
+      await session.updateSession(sessionId, guestChanges);
+    }
+
+    return photo;
+  };
+
+  /**
+   * Save an editor result as a new photo next to the one it was edited from
+   * The source photo is kept; the new version reuses its originals and
+   * annotations and records the edit steps that produced it
+   */
+  const handleSaveEditedPhoto = async ({ recipe, blob, width, height, editHistory }) => {
+    const { photoId, sessionId, metadata = {}, originals = [] } = capturedImageData || {};
+    if (!photoId) {
+      throw new Error('This photo has not been saved yet');
+    }
+
+    const source = await storageService.getPhoto(photoId);
+    const annotations = {};
+    ['starred', 'tags', 'guestName', 'guestEmail'].forEach((field) => {
+      if (source?.[field] !== undefined) annotations[field] = source[field];
+    });
+
+    const versionMetadata = {
+      ...metadata,
+      ...annotations,
+      recipe,
+      frameId: recipe.frameId,
+      filterId: recipe.filterId,
+      width,
+      height,
+      edited: true,
+      sourcePhotoId: photoId,
+      editHistory: [...(metadata.editHistory || []), ...editHistory],
+    };
+
+    const savedPhoto = await session.savePhoto(blob, versionMetadata, sessionId, originals);
+    setCapturedImageData({ blob, originals, metadata: versionMetadata, photoId: savedPhoto.id, sessionId });
+    return savedPhoto;
+  };
+
   /**
    * Handle share
    */
@@ -206,6 +329,39 @@ function App() {
     handleRetake();
   };
 
+  /**
+   * Quota warning banner
+   * A dismissed warning stays hidden until storage becomes critical; critical
+   * warnings come back after every check (each save)
+   */
+  const renderStorageWarning = () => {
+    const status = session.storageStatus;
+    const quota = status?.quota;
+    if (!quota || quota.level === QUOTA_LEVELS.OK) return null;
+    if (dismissedStorageWarning?.checkedAt === status.checkedAt) return null;
+    if (quota.level === QUOTA_LEVELS.WARNING && dismissedStorageWarning?.level === QUOTA_LEVELS.WARNING) return null;
+
+    const isCritical = quota.level === QUOTA_LEVELS.CRITICAL;
+    const freeMB = Math.max(0, Math.floor(quota.freeMB));
+
+    return (
+      <div className={`storage-warning ${isCritical ? 'critical' : ''}`} role="alert">
+        <span>
+          {isCritical ? '⚠️ Storage almost full' : '💾 Storage filling up'}
+          {` — ${Math.round(quota.ratio * 100)}% used, ${freeMB} MB free. `}
+          Export and delete old sessions from the Gallery{isCritical ? ' before new photos fail to save.' : '.'}
+        </span>
+        <button
+          className="storage-warning-dismiss"
+          onClick={() => setDismissedStorageWarning({ level: quota.level, checkedAt: status.checkedAt })}
+          aria-label="Dismiss storage warning"
+        >
+          ✕
+        </button>
+      </div>
+    );
+  };
+
   /**
    * Screen rendering
    */
@@ -215,6 +371,8 @@ function App() {
         return (
           <WelcomeScreen
             onStart={() => setCurrentScreen(SCREENS.SELECTION)}
+            onOpenGallery={() => setCurrentScreen(SCREENS.GALLERY)}
+            onOpenCameraSettings={() => setCurrentScreen(SCREENS.CAMERA_SETTINGS)}
           />
         );
 
@@ -230,6 +388,7 @@ function App() {
           <CaptureScreen
             category={selectedCategory}
             frames={frames}
+            stickerPacks={STICKER_PACKS}
             selectedFrame={selectedFrame}
             onSelectFrame={setSelectedFrame}
             onCapture={handleCapture}
@@ -242,14 +401,43 @@ function App() {
         return capturedImageData ? (
           <PreviewScreen
             imageData={capturedImageData}
+            frames={frames}
+            stickerImages={STICKER_IMAGES}
             onRetake={handleBackFromPreview}
             onSave={handleSave}
             onPrint={handlePrint}
+            onCreatePrintLayout={handleCreatePrintLayout}
+            onUpdateDetails={handleUpdatePhotoDetails}
+            onSaveEdit={handleSaveEditedPhoto}
             onShare={handleShare}
             isLoading={isProcessing}
           />
         ) : null;
 
+      case SCREENS.GALLERY:
+        return (
+          <GalleryScreen
+            sessions={session.sessionHistory}
+            totalSessions={session.historyTotal}
+            hasMoreSessions={session.hasMoreHistory}
+            categories={Object.keys(FRAME_CATALOG)}
+            onLoadSessions={session.loadHistory}
+            onLoadMoreSessions={session.loadMoreHistory}
+            onDeleteSession={session.deleteSession}
+            onDeletePhoto={session.deletePhoto}
+            onUpdatePhoto={session.updatePhoto}
+            onUpdateSession={session.updateSession}
+            onChangePhotoFrame={handleChangePhotoFrame}
+            frameCatalog={FRAME_CATALOG}
+            onCreatePrintLayout={handleCreatePrintLayout}
+            onBack={() => setCurrentScreen(SCREENS.WELCOME)}
+            isLoading={session.isLoading}
+          />
+        );
+
+      case SCREENS.CAMERA_SETTINGS:
+        return <CameraSettingsScreen onBack={() => setCurrentScreen(SCREENS.WELCOME)} />;
+
       default:
         return <WelcomeScreen onStart={() => setCurrentScreen(SCREENS.SELECTION)} />;
     }
@@ -258,6 +446,7 @@ function App() {
   return (
     <div className="app">
       {/* Error boundary handled by main.jsx */}
+      {renderStorageWarning()}
       {renderScreen()}
     </div>
   );
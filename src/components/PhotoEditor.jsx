@@ -0,0 +1,388 @@
+/**
+ * PhotoEditor Component
+ * Non-destructive post-capture editing: every change edits the render
+ * recipe and the photo is re-rendered from its original captures, so
+ * nothing is lost between steps and any step can be undone.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { lutService } from '../services/lutService';
+import { loadImage } from '../utils/compositor';
+import { getFilterPresets } from '../utils/filters';
+import { resolveTextValues } from '../utils/textSlots';
+import {
+  DEFAULT_EDITS,
+  applyRecipeFrame,
+  getRecipeEdits,
+  renderRecipe,
+  updateRecipeEdits,
+} from '../utils/renderRecipe';
+import './screens/screens.css';
+
+// Longest side of the live preview render
+const PREVIEW_MAX_SIZE = 900;
+const PREVIEW_DEBOUNCE_MS = 120;
+
+// Shared defaults so the preview effect doesn't re-run on every render
+const NO_STICKER_IMAGES = {};
+const NO_TEXT_SLOTS = [];
+
+const CROP_ASPECTS = [
+  { id: 'original', label: 'Original', aspect: null },
+  { id: 'square', label: '1:1', aspect: 1 },
+  { id: 'portrait', label: '4:5', aspect: 4 / 5 },
+  { id: 'landscape', label: '3:2', aspect: 3 / 2 },
+  { id: 'wide', label: '16:9', aspect: 16 / 9 },
+];
+
+const ADJUSTMENTS = [
+  { id: 'brightness', label: 'Brightness', min: 0.5, max: 1.5 },
+  { id: 'contrast', label: 'Contrast', min: 0.5, max: 1.5 },
+  { id: 'saturation', label: 'Saturation', min: 0, max: 2 },
+];
+
+export const PhotoEditor = ({
+  recipe: initialRecipe,
+  originals = [],
+  frames = [],
+  stickerImages = NO_STICKER_IMAGES,
+  onSave,
+  onCancel,
+}) => {
+  const { value: recipe, actions, canUndo, canRedo, apply, undo, redo } = useEditHistory(initialRecipe);
+  const edits = getRecipeEdits(recipe);
+
+  const [filterPresets, setFilterPresets] = useState(getFilterPresets);
+  const [images, setImages] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Frames with as many photo windows as this photo has shots
+  const frameChoices = frames.filter((frame) => (frame.photoWindows?.length || 1) === recipe.shots.length);
+  const currentFrame = frames.find((frame) => frame.id === recipe.frameId);
+  const frameImage = currentFrame?.image || null;
+  const textSlots = currentFrame?.textSlots || NO_TEXT_SLOTS;
+  const texts = resolveTextValues(textSlots, recipe.text);
+
+  /**
+   * Stored LUTs load asynchronously; list them once they are registered
+   */
+  useEffect(() => {
+    let isCancelled = false;
+    lutService.load().then(() => {
+      if (!isCancelled) setFilterPresets(getFilterPresets());
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  /**
+   * Decode the originals once, every preview render reuses them
+   */
+  useEffect(() => {
+    let isCancelled = false;
+
+    Promise.all(originals.map((original) => loadImage(original)))
+      .then((loaded) => {
+        if (!isCancelled) setImages(loaded);
+      })
+      .catch((err) => {
+        console.error('Failed to load originals:', err);
+        alert('This photo cannot be edited: its original capture could not be loaded');
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [originals]);
+
+  /**
+   * Re-render a reduced-size preview whenever the recipe changes
+   */
+  useEffect(() => {
+    if (!images) return undefined;
+
+    let objectUrl = null;
+    let isCancelled = false;
+
+    const timeoutId = setTimeout(() => {
+      renderRecipe(recipe, images, { frameImage, textSlots, stickerImages, maxSize: PREVIEW_MAX_SIZE })
+        .then(({ blob }) => {
+          if (isCancelled) return;
+          objectUrl = URL.createObjectURL(blob);
+          setPreviewUrl(objectUrl);
+        })
+        .catch((err) => console.error('Preview render failed:', err));
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      isCancelled = true;
+      clearTimeout(timeoutId);
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [images, recipe, frameImage, textSlots, stickerImages]);
+
+  /**
+   * Undo / redo from the keyboard
+   */
+  useEffect(() => {
+    const handleKeyPress = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyPress);
+    return () => window.removeEventListener('keydown', handleKeyPress);
+  }, [undo, redo]);
+
+  const handleAdjust = (id, value) => {
+    apply(updateRecipeEdits(recipe, { [id]: value }), { type: id, value }, { coalesce: true });
+  };
+
+  const handleRotate = (degrees) => {
+    const rotation = (edits.rotation + degrees + 360) % 360;
+    apply(updateRecipeEdits(recipe, { rotation }), { type: 'rotate', value: rotation });
+  };
+
+  const handleCrop = (changes, { coalesce = false } = {}) => {
+    const crop = { ...edits.crop, ...changes };
+    apply(updateRecipeEdits(recipe, { crop }), { type: 'crop', value: crop }, { coalesce });
+  };
+
+  const handleFilter = (filterId) => {
+    if (filterId === recipe.filterId) return;
+    apply({ ...recipe, filterId }, { type: 'filter', value: filterId });
+  };
+
+  const handleText = (slotId, value) => {
+    apply(
+      { ...recipe, text: { ...recipe.text, [slotId]: value } },
+      { type: 'text', slotId, value },
+      { coalesce: true }
+    );
+  };
+
+  const handleFrame = async (frameId) => {
+    const frame = frames.find((f) => f.id === frameId);
+    if (!frame || frameId === recipe.frameId) return;
+
+    try {
+      const next = await applyRecipeFrame(recipe, frame);
+      apply(next, { type: 'frame', value: frameId });
+    } catch (err) {
+      console.error('Frame swap failed:', err);
+      alert(err.message || 'Failed to change frame');
+    }
+  };
+
+  const handleReset = () => {
+    apply(updateRecipeEdits(recipe, DEFAULT_EDITS), { type: 'reset' });
+  };
+
+  /**
+   * Render at full size and hand the new version to the parent
+   */
+  const handleSave = async () => {
+    if (!images || isSaving) return;
+
+    try {
+      setIsSaving(true);
+      const { blob, canvas } = await renderRecipe(recipe, images, { frameImage, textSlots, stickerImages });
+      await onSave({
+        recipe,
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        editHistory: actions,
+      });
+    } catch (err) {
+      console.error('Saving edit failed:', err);
+      alert(err.message || 'Failed to save the edited photo');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const activeAspect = CROP_ASPECTS.find((option) => option.aspect === edits.crop.aspect)?.id || 'original';
+  const isCropped = edits.crop.aspect !== null || edits.crop.zoom > 1;
+
+  return (
+    <div className="photo-editor">
+      <div className="photo-editor-preview">
+        {previewUrl
+          ? <img src={previewUrl} alt="Edited photo preview" className="preview-image" />
+          : <div className="spinner" />}
+        {isSaving && (
+          <div className="preview-loading">
+            <div className="spinner" />
+          </div>
+        )}
+      </div>
+
+      <div className="photo-editor-panel">
+        <div className="photo-editor-toolbar">
+          <button className="btn btn-secondary btn-sm" onClick={undo} disabled={!canUndo} aria-label="Undo">
+            ↶ Undo
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={redo} disabled={!canRedo} aria-label="Redo">
+            ↷ Redo
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(-90)} aria-label="Rotate left">
+            ⟲ Rotate
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(90)} aria-label="Rotate right">
+            ⟳ Rotate
+          </button>
+          <button className="btn btn-outline btn-sm" onClick={handleReset}>
+            Reset
+          </button>
+        </div>
+
+        <div className="photo-editor-group">
+          <span className="photo-editor-label">Crop</span>
+          <div className="photo-editor-options">
+            {CROP_ASPECTS.map((option) => (
+              <button
+                key={option.id}
+                className={`filter-option ${activeAspect === option.id ? 'selected' : ''}`}
+                onClick={() => handleCrop({ aspect: option.aspect })}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <label className="photo-editor-slider">
+            Zoom
+            <input
+              type="range"
+              min="1"
+              max="3"
+              step="0.05"
+              value={edits.crop.zoom}
+              onChange={(e) => handleCrop({ zoom: Number(e.target.value) }, { coalesce: true })}
+            />
+          </label>
+          {isCropped && (
+            <>
+              <label className="photo-editor-slider">
+                Left / right
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={edits.crop.x}
+                  onChange={(e) => handleCrop({ x: Number(e.target.value) }, { coalesce: true })}
+                />
+              </label>
+              <label className="photo-editor-slider">
+                Up / down
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={edits.crop.y}
+                  onChange={(e) => handleCrop({ y: Number(e.target.value) }, { coalesce: true })}
+                />
+              </label>
+            </>
+          )}
+        </div>
+
+        <div className="photo-editor-group">
+          <span className="photo-editor-label">Adjust</span>
+          {ADJUSTMENTS.map((adjustment) => (
+            <label key={adjustment.id} className="photo-editor-slider">
+              {adjustment.label}
+              <input
+                type="range"
+                min={adjustment.min}
+                max={adjustment.max}
+                step="0.05"
+                value={edits[adjustment.id]}
+                onChange={(e) => handleAdjust(adjustment.id, Number(e.target.value))}
+              />
+              <span className="photo-editor-value">{Math.round(edits[adjustment.id] * 100)}%</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="photo-editor-group">
+          <span className="photo-editor-label">Filter</span>
+          <div className="photo-editor-options">
+            {filterPresets.map((preset) => (
+              <button
+                key={preset.id}
+                className={`filter-option ${recipe.filterId === preset.id ? 'selected' : ''}`}
+                onClick={() => handleFilter(preset.id)}
+              >
+                {preset.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {textSlots.length > 0 && (
+          <div className="photo-editor-group">
+            <span className="photo-editor-label">Text</span>
+            {textSlots.map((slot) => (
+              <label key={slot.id} className="photo-editor-slider">
+                {slot.label}
+                <input
+                  className="preview-details-input"
+                  type="text"
+                  value={texts[slot.id]}
+                  maxLength={slot.maxLength}
+                  placeholder={slot.placeholder}
+                  onChange={(e) => handleText(slot.id, e.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        {frameChoices.length > 1 && (
+          <div className="photo-editor-group">
+            <span className="photo-editor-label">Frame</span>
+            <select
+              className="gallery-filter"
+              value={recipe.frameId}
+              onChange={(e) => handleFrame(e.target.value)}
+            >
+              {frameChoices.map((frame) => (
+                <option key={frame.id} value={frame.id}>{frame.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="photo-editor-actions">
+          <button className="btn btn-secondary" onClick={onCancel} disabled={isSaving}>
+            ✕ Cancel
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleSave}
+            disabled={!images || isSaving || actions.length === 0}
+          >
+            {isSaving ? 'Saving…' : '✓ Save as new version'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoEditor;
@@ -0,0 +1,240 @@
+/**
+ * StickerLayer Component
+ * Draggable sticker overlay for a preview box. Positions use the same
+ * fractions the compositor bakes in, so what is placed here is what lands
+ * in the photo.
+ *
+ * Mouse: drag to move, drag the corner handle to scale and rotate
+ * Touch: drag with one finger, pinch / twist with two
+ * Keyboard: arrows move, +/- scale, [ / ] rotate, Delete removes
+ */
+
+import React, { useRef } from 'react';
+import { clampStickerWidth } from '../utils/stickerManifest';
+import './screens/screens.css';
+
+const KEY_MOVE_STEP = 0.01;
+const KEY_SCALE_STEP = 1.1;
+const KEY_ROTATE_STEP = 5;
+
+const clampPosition = (value) => Math.min(1, Math.max(0, value));
+const normalizeRotation = (degrees) => ((degrees % 360) + 360) % 360;
+
+const getDistance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+const getAngle = (a, b) => (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI;
+
+export const StickerLayer = ({
+  stickers = [],
+  selectedId = null,
+  onSelect,
+  onChange,
+  onRemove,
+  disabled = false,
+}) => {
+  const layerRef = useRef(null);
+  // Active gesture: sticker id, mode, live pointers and the values it started from
+  const gestureRef = useRef(null);
+
+  const getLayerRect = () => layerRef.current?.getBoundingClientRect();
+
+  /**
+   * Sticker centre in client pixels
+   */
+  const getCentre = (sticker) => {
+    const rect = getLayerRect();
+    return {
+      x: rect.left + sticker.x * rect.width,
+      y: rect.top + sticker.y * rect.height,
+    };
+  };
+
+  /**
+   * (Re)start a gesture from the sticker's current values
+   * Called whenever a pointer is added or lifted, so switching between one
+   * and two fingers never jumps.
+   */
+  const startGesture = (sticker, pointers, mode) => {
+    const points = [...pointers.values()];
+    const gesture = { id: sticker.id, mode, pointers, start: { ...sticker } };
+
+    if (mode === 'move') {
+      gesture.origin = points[0];
+    } else if (mode === 'pinch') {
+      gesture.startDistance = getDistance(points[0], points[1]);
+      gesture.startAngle = getAngle(points[0], points[1]);
+    } else if (mode === 'handle') {
+      const centre = getCentre(sticker);
+      gesture.startDistance = getDistance(centre, points[0]);
+      gesture.startAngle = getAngle(centre, points[0]);
+    }
+
+    gestureRef.current = gesture;
+  };
+
+  const handlePointerDown = (e, sticker, mode = 'move') => {
+    if (disabled) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    onSelect?.(sticker.id);
+
+    const previous = gestureRef.current;
+    const pointers = previous?.id === sticker.id && mode === 'move' && previous.mode !== 'handle'
+      ? previous.pointers
+      : new Map();
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    startGesture(sticker, pointers, mode === 'move' && pointers.size > 1 ? 'pinch' : mode);
+  };
+
+  const handlePointerMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture?.pointers.has(e.pointerId)) return;
+
+    gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const points = [...gesture.pointers.values()];
+    const { start } = gesture;
+
+    if (gesture.mode === 'move') {
+      const rect = getLayerRect();
+      if (!rect?.width || !rect?.height) return;
+      onChange?.(gesture.id, {
+        x: clampPosition(start.x + (points[0].x - gesture.origin.x) / rect.width),
+        y: clampPosition(start.y + (points[0].y - gesture.origin.y) / rect.height),
+      });
+      return;
+    }
+
+    let distance;
+    let angle;
+    if (gesture.mode === 'pinch' && points.length >= 2) {
+      distance = getDistance(points[0], points[1]);
+      angle = getAngle(points[0], points[1]);
+    } else if (gesture.mode === 'handle') {
+      const centre = getCentre(start);
+      distance = getDistance(centre, points[0]);
+      angle = getAngle(centre, points[0]);
+    } else {
+      return;
+    }
+
+    if (!gesture.startDistance) return;
+    onChange?.(gesture.id, {
+      width: clampStickerWidth(start.width * (distance / gesture.startDistance)),
+      rotation: normalizeRotation(start.rotation + angle - gesture.startAngle),
+    });
+  };
+
+  const handlePointerUp = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture?.pointers.has(e.pointerId)) return;
+
+    gesture.pointers.delete(e.pointerId);
+    const sticker = stickers.find((s) => s.id === gesture.id);
+
+    if (gesture.pointers.size === 0 || !sticker) {
+      gestureRef.current = null;
+    } else {
+      // Second finger lifted: carry on dragging with the one left
+      startGesture(sticker, gesture.pointers, 'move');
+    }
+  };
+
+  const handleKeyDown = (e, sticker) => {
+    if (disabled) return;
+
+    let changes = null;
+    switch (e.key) {
+      case 'ArrowLeft':
+        changes = { x: clampPosition(sticker.x - KEY_MOVE_STEP) };
+        break;
+      case 'ArrowRight':
+        changes = { x: clampPosition(sticker.x + KEY_MOVE_STEP) };
+        break;
+      case 'ArrowUp':
+        changes = { y: clampPosition(sticker.y - KEY_MOVE_STEP) };
+        break;
+      case 'ArrowDown':
+        changes = { y: clampPosition(sticker.y + KEY_MOVE_STEP) };
+        break;
+      case '+':
+      case '=':
+        changes = { width: clampStickerWidth(sticker.width * KEY_SCALE_STEP) };
+        break;
+      case '-':
+        changes = { width: clampStickerWidth(sticker.width / KEY_SCALE_STEP) };
+        break;
+      case '[':
+        changes = { rotation: normalizeRotation(sticker.rotation - KEY_ROTATE_STEP) };
+        break;
+      case ']':
+        changes = { rotation: normalizeRotation(sticker.rotation + KEY_ROTATE_STEP) };
+        break;
+      case 'Delete':
+      case 'Backspace':
+        e.preventDefault();
+        e.stopPropagation();
+        onRemove?.(sticker.id);
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    onChange?.(sticker.id, changes);
+  };
+
+  return (
+    <div className={`sticker-layer ${disabled ? 'disabled' : ''}`} ref={layerRef}>
+      {stickers.map((sticker) => {
+        const isSelected = !disabled && sticker.id === selectedId;
+
+        return (
+          <div
+            key={sticker.id}
+            className={`sticker-item ${isSelected ? 'selected' : ''}`}
+            style={{
+              left: `${sticker.x * 100}%`,
+              top: `${sticker.y * 100}%`,
+              width: `${sticker.width * 100}%`,
+              transform: `translate(-50%, -50%) rotate(${sticker.rotation}deg)`,
+            }}
+            tabIndex={disabled ? -1 : 0}
+            role="button"
+            aria-label={`${sticker.name || 'Sticker'} (arrows move, +/- resize, [ ] rotate, Delete removes)`}
+            aria-pressed={isSelected}
+            onPointerDown={(e) => handlePointerDown(e, sticker)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={(e) => handleKeyDown(e, sticker)}
+          >
+            <img src={sticker.image} alt="" draggable={false} />
+
+            {isSelected && (
+              <>
+                <button
+                  type="button"
+                  className="sticker-remove"
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={() => onRemove?.(sticker.id)}
+                  aria-label="Remove sticker"
+                >
+                  ×
+                </button>
+                <span
+                  className="sticker-handle"
+                  onPointerDown={(e) => handlePointerDown(e, sticker, 'handle')}
+                  aria-hidden="true"
+                />
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StickerLayer;
@@ -0,0 +1,44 @@
+/**
+ * TextSlotOverlay Component
+ * Live preview of a personalized frame's text, drawn with the same canvas
+ * code the compositor uses so the preview matches the saved photo
+ */
+
+import React, { useRef, useEffect } from 'react';
+import { drawTextSlots } from '../utils/textSlots';
+
+export const TextSlotOverlay = ({ slots = [], values = {} }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+
+    const draw = () => {
+      const ratio = window.devicePixelRatio || 1;
+      const width = Math.round(canvas.clientWidth * ratio);
+      const height = Math.round(canvas.clientHeight * ratio);
+      if (!width || !height) return;
+
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+      drawTextSlots(ctx, slots, values, width, height);
+    };
+
+    draw();
+
+    // Redraw when the preview box is resized (frame change, window resize)
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [slots, values]);
+
+  if (slots.length === 0) return null;
+
+  return <canvas ref={canvasRef} className="text-slot-overlay" aria-hidden="true" />;
+};
+
+export default TextSlotOverlay;
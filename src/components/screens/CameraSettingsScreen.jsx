@@ -0,0 +1,255 @@
+/**
+ * CameraSettingsScreen Component
+ * Operator settings for network (IP) cameras
+ *
+ * Add, edit and remove IP camera sources, check that they answer, and pick
+ * the camera the booth starts with. USB webcams are listed alongside; a
+ * specific webcam is chosen from the capture screen's camera button.
+ */
+
+import React, { useState } from 'react';
+import { ipCameraService } from '../../services/ipCameraService';
+import '../screens/screens.css';
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  streamUrl: '',
+  snapshotUrl: '',
+  username: '',
+  password: '',
+};
+
+// Check results are keyed by source id, or this key for the open form
+const FORM_CHECK_KEY = 'form';
+
+export const CameraSettingsScreen = ({ onBack }) => {
+  const [sources, setSources] = useState(() => ipCameraService.load());
+  const [selectedId, setSelectedId] = useState(() => ipCameraService.getSelected()?.id || null);
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [checks, setChecks] = useState({});
+
+  /**
+   * Re-read the saved cameras after a change
+   */
+  const refresh = () => {
+    setSources(ipCameraService.list());
+    setSelectedId(ipCameraService.getSelected()?.id || null);
+  };
+
+  /**
+   * Check connection for a saved camera or the form being edited
+   */
+  const handleCheck = async (key, source) => {
+    setChecks((prev) => ({ ...prev, [key]: { status: 'checking', message: 'Checking connection…' } }));
+    const result = await ipCameraService.checkConnection(source);
+    setChecks((prev) => ({ ...prev, [key]: { status: result.ok ? 'ok' : 'failed', message: result.message } }));
+  };
+
+  const openForm = (source = EMPTY_FORM) => {
+    setForm({ ...EMPTY_FORM, ...source });
+    setFormError(null);
+    setChecks((prev) => ({ ...prev, [FORM_CHECK_KEY]: null }));
+  };
+
+  const updateField = (field) => (e) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const saved = ipCameraService.save(form);
+      setChecks((prev) => ({ ...prev, [saved.id]: prev[FORM_CHECK_KEY] || null, [FORM_CHECK_KEY]: null }));
+      setForm(null);
+      refresh();
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleRemove = (source) => {
+    if (!window.confirm(`Remove ${source.name} from the cameras?`)) return;
+    ipCameraService.remove(source.id);
+    if (form?.id === source.id) setForm(null);
+    refresh();
+  };
+
+  /**
+   * Start sessions with this IP camera, or with null the USB webcam
+   */
+  const handleUse = (id) => {
+    ipCameraService.setSelectedId(id);
+    refresh();
+  };
+
+  const renderCheck = (key) => {
+    const check = checks[key];
+    if (!check) return null;
+    return (
+      <span className={`settings-check settings-check-${check.status}`} role="status">
+        {check.status === 'ok' ? '✓ ' : check.status === 'failed' ? '✗ ' : ''}
+        {check.message}
+      </span>
+    );
+  };
+
+  const renderForm = () => (
+    <form className="settings-form" onSubmit={handleSave}>
+      <h3 className="settings-form-title">{form.id ? 'Edit camera' : 'Add IP camera'}</h3>
+
+      <label className="settings-field">
+        <span>Name</span>
+        <input
+          className="preview-details-input"
+          value={form.name}
+          onChange={updateField('name')}
+          placeholder="Phone on the tripod"
+          autoFocus
+        />
+      </label>
+      <label className="settings-field">
+        <span>Stream URL</span>
+        <input
+          className="preview-details-input"
+          type="url"
+          value={form.streamUrl}
+          onChange={updateField('streamUrl')}
+          placeholder="http://192.168.1.27:8080/video"
+        />
+      </label>
+      <label className="settings-field">
+        <span>Snapshot URL (optional, sharper captures)</span>
+        <input
+          className="preview-details-input"
+          type="url"
+          value={form.snapshotUrl}
+          onChange={updateField('snapshotUrl')}
+          placeholder="http://192.168.1.27:8080/shot.jpg"
+        />
+      </label>
+      <div className="settings-field-row">
+        <label className="settings-field">
+          <span>Username</span>
+          <input
+            className="preview-details-input"
+            value={form.username}
+            onChange={updateField('username')}
+            autoComplete="off"
+          />
+        </label>
+        <label className="settings-field">
+          <span>Password</span>
+          <input
+            className="preview-details-input"
+            type="password"
+            value={form.password}
+            onChange={updateField('password')}
+            autoComplete="new-password"
+          />
+        </label>
+      </div>
+
+      {formError && <p className="settings-error">{formError}</p>}
+      {renderCheck(FORM_CHECK_KEY)}
+
+      <div className="settings-form-actions">
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => handleCheck(FORM_CHECK_KEY, form)}
+          disabled={!form.streamUrl.trim() || checks[FORM_CHECK_KEY]?.status === 'checking'}
+        >
+          Check connection
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary">
+          Save
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="gallery-screen settings-screen">
+      {/* Header */}
+      <div className="gallery-header">
+        <button className="btn-icon btn-back" onClick={onBack} aria-label="Back">
+          ←
+        </button>
+        <h2 className="gallery-title">Cameras</h2>
+        <div className="btn-icon-spacer" />
+      </div>
+
+      <div className="gallery-main settings-main">
+        <p className="settings-intro">
+          Phones running an IP camera app and other network cameras on this network can be added here.
+          The camera marked “In use” starts with the next session.
+        </p>
+
+        <div className="settings-camera-list">
+          <div className={`settings-camera ${selectedId ? '' : 'active'}`}>
+            <div className="settings-camera-info">
+              <strong>USB webcam</strong>
+              <span>Built-in or plugged-in camera, chosen on the capture screen</span>
+            </div>
+            <div className="settings-camera-actions">
+              {selectedId ? (
+                <button className="btn btn-secondary btn-sm" onClick={() => handleUse(null)}>
+                  Use
+                </button>
+              ) : (
+                <span className="settings-camera-badge">In use</span>
+              )}
+            </div>
+          </div>
+
+          {sources.map((source) => (
+            <div key={source.id} className={`settings-camera ${selectedId === source.id ? 'active' : ''}`}>
+              <div className="settings-camera-info">
+                <strong>📡 {source.name}</strong>
+                <span>{source.streamUrl}</span>
+                {renderCheck(source.id)}
+              </div>
+              <div className="settings-camera-actions">
+                {selectedId === source.id ? (
+                  <span className="settings-camera-badge">In use</span>
+                ) : (
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleUse(source.id)}>
+                    Use
+                  </button>
+                )}
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => handleCheck(source.id, source)}
+                  disabled={checks[source.id]?.status === 'checking'}
+                >
+                  Check connection
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => openForm(source)}>
+                  Edit
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleRemove(source)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {form ? (
+          renderForm()
+        ) : (
+          <button className="btn btn-primary settings-add-btn" onClick={() => openForm()}>
+            + Add IP camera
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CameraSettingsScreen;
@@ -6,16 +6,59 @@
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { StickerLayer } from '../StickerLayer';
+import { TextSlotOverlay } from '../TextSlotOverlay';
 import { useCamera } from '../../hooks/useCamera';
 import { cameraService } from '../../services/cameraService';
-import { APP_CONFIG } from '../../constants';
+import { APP_CONFIG, IMAGE_CONFIG, MEDIA_TYPES, VIDEO_CONFIG } from '../../constants';
+import {
+  FIT_MODES,
+  clampZoom,
+  getCoverRect,
+  getDisplayRect,
+  getPreviewTransform,
+  getSourceSize,
+  normalizeFit,
+  MIN_ZOOM,
+  MAX_ZOOM,
+} from '../../utils/cropRegion';
+import { FULL_FRAME_WINDOW, composeCanvas, composePhoto, getWindowPixels } from '../../utils/compositor';
+import { encodeGif, getBoomerangFrames } from '../../utils/gifEncoder';
+import { createRenderRecipe } from '../../utils/renderRecipe';
+import { DEFAULT_FILTER_ID, getFilterCss, getFilterPreset, getFilterPresets } from '../../utils/filters';
+import { createId } from '../../utils/ids';
+import { loadSavedTextValues, resolveTextValues, saveTextValues } from '../../utils/textSlots';
+import { lutService } from '../../services/lutService';
 import '../screens/screens.css';
 
 const ZOOM_OPTIONS = [1, 1.25, 1.5, 1.75, 2, 2.25, 2.5, 2.75, 3];
 
+// Fill behind collage slots where the frame PNG is transparent
+const COLLAGE_BACKGROUND = '#fff';
+
+// Frames without personalized text
+const NO_TEXT_SLOTS = [];
+
+const MOTION_LABELS = {
+  [MEDIA_TYPES.GIF]: 'GIF',
+  [MEDIA_TYPES.BOOMERANG]: 'Boomerang',
+  [MEDIA_TYPES.VIDEO]: 'Video',
+};
+
+/**
+ * Absolute-position style for a photo window (fractions of the preview)
+ */
+const getWindowStyle = (photoWindow) => ({
+  left: `${photoWindow.x * 100}%`,
+  top: `${photoWindow.y * 100}%`,
+  width: `${photoWindow.width * 100}%`,
+  height: `${photoWindow.height * 100}%`,
+});
+
 export const CaptureScreen = ({
   category = 'children',
   frames = [],
+  stickerPacks = [],
   selectedFrame = 'none',
   onSelectFrame,
   onCapture,
@@ -28,7 +71,18 @@ export const CaptureScreen = ({
     isInitialized, 
     isLoading: cameraLoading,
     error: cameraError, 
+    devices,
+    selectedDevice,
+    ipCameras,
+    ipCamera,
+    ipStreamUrl,
+    notice: cameraNotice,
+    switchDevice,
+    switchToIPCamera,
+    reportStreamError,
+    clearNotice,
     captureFrame,
+    recordClip,
     restart
   } = useCamera();
   
@@ -43,50 +97,192 @@ export const CaptureScreen = ({
   const [isFrameDragging, setIsFrameDragging] = useState(false);
   const [frameDragStart, setFrameDragStart] = useState(0);
   const [frameDragStartScroll, setFrameDragStartScroll] = useState(0);
-  const [zoomLevel, setZoomLevel] = useState(1);
+  const [zoomLevel, setZoomLevel] = useState(MIN_ZOOM);
   const [showTimerPopup, setShowTimerPopup] = useState(false);
   const [showZoomPopup, setShowZoomPopup] = useState(false);
+  const [filterId, setFilterId] = useState(DEFAULT_FILTER_ID);
+  const [showFilterPopup, setShowFilterPopup] = useState(false);
+  const [filterPresets, setFilterPresets] = useState(getFilterPresets);
   const [frameAspectRatio, setFrameAspectRatio] = useState('16 / 9');
   const [previewDimensions, setPreviewDimensions] = useState({ width: '100%', height: 'auto' });
   const [framePixelSize, setFramePixelSize] = useState(null);
   const [windowSize, setWindowSize] = useState({ width: window.innerWidth, height: window.innerHeight });
-  const [capturedImage, setCapturedImage] = useState(null);
+  const [capturedImages, setCapturedImages] = useState([]);
+  const [activeCapture, setActiveCapture] = useState(0);
+  const [keptCaptures, setKeptCaptures] = useState([]);
+  const [burstCount, setBurstCount] = useState(1);
+  const [burstInterval, setBurstInterval] = useState(APP_CONFIG.DEFAULT_BURST_INTERVAL_MS);
+  const [showBurstPopup, setShowBurstPopup] = useState(false);
+  const [motionMode, setMotionMode] = useState(null);
+  const [showMotionPopup, setShowMotionPopup] = useState(false);
+  const [showCameraPopup, setShowCameraPopup] = useState(false);
+  const [clipDuration, setClipDuration] = useState(VIDEO_CONFIG.DEFAULT_DURATION_S);
+  const [recordingStatus, setRecordingStatus] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [activeSlot, setActiveSlot] = useState(0);
+  const [collageShots, setCollageShots] = useState([]);
+  const [stickers, setStickers] = useState([]);
+  const [selectedStickerId, setSelectedStickerId] = useState(null);
+  const [showStickerPopup, setShowStickerPopup] = useState(false);
+  const [textValues, setTextValues] = useState(loadSavedTextValues);
 
   const frameScrollRef = useRef(null);
   const countdownIntervalRef = useRef(null);
+  const countdownTimeoutRef = useRef(null);
   const timerWrapperRef = useRef(null);
   const zoomWrapperRef = useRef(null);
+  const filterWrapperRef = useRef(null);
+  const stickerWrapperRef = useRef(null);
+  const burstWrapperRef = useRef(null);
+  const motionWrapperRef = useRef(null);
+  const cameraWrapperRef = useRef(null);
+  const lutInputRef = useRef(null);
   const previewContainerRef = useRef(null);
 
-  const getCaptureDimensions = () => {
-    if (selectedFrame !== 'none' && framePixelSize?.width && framePixelSize?.height) {
-      return framePixelSize;
-    }
+  // How the camera source fills the selected frame (preview and capture share it)
+  const selectedFrameData = frames.find((f) => f.id === selectedFrame);
+  const frameFit = normalizeFit(selectedFrameData?.fit);
 
-    if (cameraService.isIPCamera) {
-      const img = document.querySelector('.camera-stream');
-      const width = img?.naturalWidth || img?.width;
-      const height = img?.naturalHeight || img?.height;
-      if (width && height) {
-        return { width, height };
+  // Frames with several photo windows are shot as a collage, one capture per window
+  const photoWindows = selectedFrameData?.photoWindows || [FULL_FRAME_WINDOW];
+  const isCollage = photoWindows.length > 1;
+
+  // Personalized frames take custom text (names, dates, event titles)
+  const textSlots = selectedFrameData?.textSlots || NO_TEXT_SLOTS;
+
+  // Motion records a GIF / boomerang frame sequence or a video clip (single-photo frames only)
+  const isMotion = Boolean(motionMode) && !isCollage;
+  const canRecordVideo = Boolean(cameraService.getClipMimeType());
+
+  // Burst shoots several frames in a row for the guest to pick from (single-photo frames only)
+  const isBurst = burstCount > 1 && !isCollage && !isMotion;
+
+  // Live preview uses CSS filters; vignette extras are drawn as an overlay
+  const filterVignette = getFilterPreset(filterId).vignette;
+
+  /**
+   * Load an operator-supplied .cube LUT and select it
+   */
+  const handleLutFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const preset = await lutService.addFile(file);
+      setFilterPresets(getFilterPresets());
+      setFilterId(preset.id);
+      setShowFilterPopup(false);
+      if (!preset.saved) {
+        alert(`${preset.name} is applied, but could not be saved (storage full?). It will be gone after a reload.`);
       }
+    } catch (err) {
+      console.error('Failed to load LUT:', err);
+      alert(`Could not load LUT: ${err.message}`);
     }
+  };
 
-    const video = videoRef.current;
-    const width = video?.videoWidth;
-    const height = video?.videoHeight;
-    if (width && height) {
-      return { width, height };
+  /**
+   * Update a frame text field; event-wide fields are remembered for next time
+   */
+  const handleTextChange = (slotId, value) => {
+    const next = { ...textValues, [slotId]: value };
+    setTextValues(next);
+    saveTextValues(textSlots, next);
+  };
+
+  /**
+   * Switch webcams from the camera settings (the choice is remembered)
+   */
+  const handleSelectDevice = (deviceId) => {
+    setShowCameraPopup(false);
+    if (ipCamera || deviceId !== selectedDevice?.deviceId) {
+      switchDevice(deviceId);
+    }
+  };
+
+  /**
+   * Switch to an IP camera added in the camera settings
+   */
+  const handleSelectIPCamera = (id) => {
+    setShowCameraPopup(false);
+    if (id !== ipCamera?.id) {
+      switchToIPCamera(id);
     }
+  };
+
+  /**
+   * Drop a sticker in the middle of the preview, ready to drag into place
+   */
+  const handleAddSticker = (sticker) => {
+    const placed = {
+      id: createId('sticker'),
+      stickerId: sticker.id,
+      name: sticker.name,
+      image: sticker.image,
+      x: 0.5,
+      y: 0.5,
+      width: sticker.width,
+      rotation: 0,
+    };
+    setStickers((prev) => [...prev, placed]);
+    setSelectedStickerId(placed.id);
+    setShowStickerPopup(false);
+  };
+
+  const handleStickerChange = (id, changes) => {
+    setStickers((prev) => prev.map((sticker) => (sticker.id === id ? { ...sticker, ...changes } : sticker)));
+  };
+
+  const handleRemoveSticker = (id) => {
+    setStickers((prev) => prev.filter((sticker) => sticker.id !== id));
+    setSelectedStickerId((prev) => (prev === id ? null : prev));
+  };
+
+  const handleClearStickers = () => {
+    setStickers([]);
+    setSelectedStickerId(null);
+    setShowStickerPopup(false);
+  };
+
+  // Apply the frame's recommended zoom whenever a different frame is picked
+  const [zoomFrameId, setZoomFrameId] = useState(selectedFrame);
+  if (zoomFrameId !== selectedFrame) {
+    setZoomFrameId(selectedFrame);
+    setZoomLevel(clampZoom(selectedFrameData?.crop?.zoom ?? MIN_ZOOM));
+  }
+
+  /**
+   * Output size for a capture
+   * Frames dictate the size; without a frame, the source is cropped to the
+   * preview container aspect so the photo matches the on-screen cover crop
+   */
+  const getCaptureDimensions = () => {
+    if (selectedFrame !== 'none' && framePixelSize?.width && framePixelSize?.height) {
+      return framePixelSize;
+    }
+
+    const source = cameraService.isIPCamera
+      ? document.querySelector('.camera-stream')
+      : videoRef.current;
+    const sourceSize = getSourceSize(source);
 
     const container = previewContainerRef.current;
-    if (container) {
-      const rect = container.getBoundingClientRect();
-      if (rect.width && rect.height) {
-        return { width: Math.round(rect.width), height: Math.round(rect.height) };
+    const rect = container?.getBoundingClientRect();
+
+    if (sourceSize?.width && sourceSize?.height) {
+      const cover = rect?.width && rect?.height
+        ? getCoverRect(sourceSize.width, sourceSize.height, rect.width, rect.height)
+        : null;
+      if (cover) {
+        return { width: Math.round(cover.sWidth), height: Math.round(cover.sHeight) };
       }
+      return sourceSize;
+    }
+
+    if (rect?.width && rect?.height) {
+      return { width: Math.round(rect.width), height: Math.round(rect.height) };
     }
 
     return null;
@@ -96,147 +292,401 @@ export const CaptureScreen = ({
    * Handle zoom controls
    */
   const handleZoomIn = () => {
-    setZoomLevel((prev) => Math.min(prev + 0.25, 3));
+    setZoomLevel((prev) => Math.min(prev + 0.25, MAX_ZOOM));
   };
 
   const handleZoomOut = () => {
-    setZoomLevel((prev) => Math.max(prev - 0.25, 1));
+    setZoomLevel((prev) => Math.max(prev - 0.25, MIN_ZOOM));
   };
 
   const handleZoomReset = () => {
-    setZoomLevel(1);
+    setZoomLevel(MIN_ZOOM);
+  };
+
+  /**
+   * Run the on-screen countdown, resolves when it reaches zero
+   */
+  const runCountdown = (seconds) => {
+    return new Promise((resolve) => {
+      setShowCountdown(true);
+      setCountdownValue(seconds);
+
+      countdownIntervalRef.current = setInterval(() => {
+        setCountdownValue((prev) => {
+          if (prev <= 1) {
+            clearInterval(countdownIntervalRef.current);
+            return 0;
+          }
+          return prev - 1;
+        });
+      }, 1000);
+
+      countdownTimeoutRef.current = setTimeout(() => {
+        clearInterval(countdownIntervalRef.current);
+        setShowCountdown(false);
+        resolve();
+      }, seconds * 1000);
+    });
+  };
+
+  /**
+   * Show the flash effect, resolves once it has finished
+   */
+  const triggerFlash = () => {
+    setShowFlash(true);
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        setShowFlash(false);
+        resolve();
+      }, 600);
+    });
+  };
+
+  /**
+   * Capture one or more frames of a slot, `interval` ms apart
+   * Each capture is started on schedule and encoded in the background, so
+   * slow encoding doesn't stretch the interval
+   */
+  const captureSequence = async (slot, count, interval, { includeOriginal = true, onFrame } = {}) => {
+    const pending = [];
+    const startedAt = performance.now();
+
+    for (let index = 0; index < count; index++) {
+      const wait = startedAt + index * interval - performance.now();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+
+      // Capture the same crop region the preview shows
+      pending.push(captureFrame(slot.width, slot.height, {
+        zoom: zoomLevel,
+        fit: frameFit,
+        filterId,
+        includeOriginal,
+      }));
+      onFrame?.(index + 1);
+    }
+
+    return Promise.all(pending);
+  };
+
+  /**
+   * Capture size scaled down to fit maxSize on the longest side (GIF frames, video clips)
+   */
+  const getScaledDimensions = (dimensions, maxSize) => {
+    const scale = Math.min(1, maxSize / Math.max(dimensions.width, dimensions.height));
+    return {
+      width: Math.max(1, Math.round(dimensions.width * scale)),
+      height: Math.max(1, Math.round(dimensions.height * scale)),
+    };
+  };
+
+  /**
+   * Composite shots into a finished photo with its render recipe
+   */
+  const composeCapture = async (shots, dimensions, extraMetadata = {}) => {
+    // Composite shots beneath the frame overlay, text and stickers on top
+    const background = isCollage ? COLLAGE_BACKGROUND : null;
+    const text = resolveTextValues(textSlots, textValues);
+    const { blob } = await composePhoto({
+      width: dimensions.width,
+      height: dimensions.height,
+      shots,
+      frameImage: selectedFrame !== 'none' ? selectedFrameData?.image : null,
+      background,
+      textSlots,
+      textValues: text,
+      stickers,
+    });
+
+    // Raw captures + recipe let the photo be re-rendered later (e.g. another frame)
+    const recipe = createRenderRecipe({
+      frameId: selectedFrame,
+      filterId,
+      zoom: zoomLevel,
+      fit: frameFit,
+      width: dimensions.width,
+      height: dimensions.height,
+      background,
+      shots: shots.map((shot) => ({ photoWindow: shot.photoWindow, mirror: shot.original.mirror })),
+      text,
+      stickers,
+    });
+
+    return {
+      url: URL.createObjectURL(blob),
+      blob,
+      originals: shots.map((shot) => shot.original.blob),
+      metadata: {
+        frameId: selectedFrame,
+        capturedAt: new Date().toISOString(),
+        width: dimensions.width,
+        height: dimensions.height,
+        zoom: zoomLevel,
+        fit: frameFit,
+        filterId,
+        layout: isCollage ? 'collage' : 'single',
+        shotCount: shots.length,
+        ...extraMetadata,
+        recipe,
+      },
+    };
+  };
+
+  /**
+   * Composite recorded frames with the frame overlay, text and stickers and
+   * encode them into an animated GIF (played forward and back for a boomerang)
+   * Animations have no originals or recipe, so they can't be re-rendered.
+   */
+  const composeMotion = async (captures, dimensions) => {
+    const text = resolveTextValues(textSlots, textValues);
+    const frameImages = [];
+    for (const capture of captures) {
+      const canvas = await composeCanvas({
+        width: dimensions.width,
+        height: dimensions.height,
+        shots: [{ source: capture.canvas }],
+        frameImage: selectedFrame !== 'none' ? selectedFrameData?.image : null,
+        textSlots,
+        textValues: text,
+        stickers,
+      });
+      frameImages.push(canvas.getContext('2d').getImageData(0, 0, dimensions.width, dimensions.height));
+    }
+
+    const sequence = motionMode === MEDIA_TYPES.BOOMERANG ? getBoomerangFrames(frameImages) : frameImages;
+    const blob = encodeGif(sequence, {
+      width: dimensions.width,
+      height: dimensions.height,
+      delay: APP_CONFIG.MOTION_FRAME_INTERVAL_MS,
+    });
+
+    return {
+      url: URL.createObjectURL(blob),
+      blob,
+      originals: [],
+      metadata: {
+        mediaType: motionMode,
+        frameId: selectedFrame,
+        capturedAt: new Date().toISOString(),
+        width: dimensions.width,
+        height: dimensions.height,
+        zoom: zoomLevel,
+        fit: frameFit,
+        filterId,
+        layout: 'single',
+        shotCount: captures.length,
+        frameCount: sequence.length,
+        frameDelayMs: APP_CONFIG.MOTION_FRAME_INTERVAL_MS,
+      },
+    };
+  };
+
+  /**
+   * Record a motion sequence after the countdown and turn it into an animation
+   */
+  const recordMotion = async (dimensions) => {
+    await runCountdown(timerDuration);
+
+    const motionSize = getScaledDimensions(dimensions, IMAGE_CONFIG.MOTION_MAX_SIZE);
+    const frameCount = APP_CONFIG.MOTION_FRAME_COUNT;
+    setRecordingStatus(`0 of ${frameCount}`);
+    const captures = await captureSequence(
+      { width: motionSize.width, height: motionSize.height },
+      frameCount,
+      APP_CONFIG.MOTION_FRAME_INTERVAL_MS,
+      { includeOriginal: false, onFrame: (count) => setRecordingStatus(`${count} of ${frameCount}`) }
+    );
+    setRecordingStatus(null);
+
+    setIsProcessing(true);
+    return composeMotion(captures, motionSize);
+  };
+
+  /**
+   * Record a video clip after the countdown, frame overlay / text / stickers baked in
+   * Clips have no originals or recipe; the first frame is kept as the poster.
+   */
+  const recordVideo = async (dimensions) => {
+    const clipSize = getScaledDimensions(dimensions, VIDEO_CONFIG.MAX_SIZE);
+
+    // Everything drawn over the camera, rendered once and reused for every video frame
+    const overlay = await composeCanvas({
+      width: clipSize.width,
+      height: clipSize.height,
+      frameImage: selectedFrame !== 'none' ? selectedFrameData?.image : null,
+      textSlots,
+      textValues: resolveTextValues(textSlots, textValues),
+      stickers,
+    });
+
+    await runCountdown(timerDuration);
+
+    setRecordingStatus(`0s of ${clipDuration}s`);
+    const clip = await recordClip(clipSize.width, clipSize.height, {
+      zoom: zoomLevel,
+      fit: frameFit,
+      filterId,
+      overlay,
+      durationMs: clipDuration * 1000,
+      onProgress: (elapsed) => setRecordingStatus(`${Math.floor(elapsed / 1000)}s of ${clipDuration}s`),
+    });
+    setRecordingStatus(null);
+
+    return {
+      url: URL.createObjectURL(clip.blob),
+      blob: clip.blob,
+      poster: clip.poster,
+      originals: [],
+      metadata: {
+        mediaType: MEDIA_TYPES.VIDEO,
+        frameId: selectedFrame,
+        capturedAt: new Date().toISOString(),
+        width: clip.width,
+        height: clip.height,
+        zoom: zoomLevel,
+        fit: frameFit,
+        filterId,
+        layout: 'single',
+        durationMs: clip.durationMs,
+      },
+    };
   };
 
   /**
    * Handle capture button click
    * Starts timer countdown then captures image
+   * Collage frames run one timed capture per photo window; burst mode takes
+   * several captures after one countdown, each becoming a candidate photo;
+   * motion mode records a frame sequence into one animation or video clip
    */
   const handleCaptureClick = async () => {
     if (isCapturing || !isInitialized) return;
 
     setIsCapturing(true);
-    setShowCountdown(true);
-    setCountdownValue(timerDuration);
-
-    // Countdown
-    countdownIntervalRef.current = setInterval(() => {
-      setCountdownValue((prev) => {
-        if (prev <= 1) {
-          clearInterval(countdownIntervalRef.current);
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
+    setSelectedStickerId(null);
 
-    // After timer, capture image
-    setTimeout(async () => {
-      try {
-        setShowCountdown(false);
-        
-        // Show flash immediately for instant feedback
-        setShowFlash(true);
-        setTimeout(() => {
-          setShowFlash(false);
-          setIsProcessing(true);  // Show processing screen
-        }, 600);
+    try {
+      const dimensions = getCaptureDimensions();
+      if (!dimensions) {
+        throw new Error('Unable to determine capture size');
+      }
 
-        const dimensions = getCaptureDimensions();
-        if (!dimensions) {
-          throw new Error('Unable to determine capture size');
-        }
+      if (isMotion) {
+        const animation = motionMode === MEDIA_TYPES.VIDEO
+          ? await recordVideo(dimensions)
+          : await recordMotion(dimensions);
+        setCapturedImages([animation]);
+        setActiveCapture(0);
+        setKeptCaptures([]);
+        setIsProcessing(false);
+        setShowPreview(true);
+        return;
+      }
 
-        // Capture frame from video
-        const captureResult = await captureFrame(dimensions.width, dimensions.height);
-
-        // Composite frame overlay if selected
-        let finalBlob = captureResult.blob;
-        if (selectedFrame !== 'none') {
-          const selectedFrameData = frames.find(f => f.id === selectedFrame);
-          if (selectedFrameData?.image) {
-            // Load frame image
-            const frameImg = new Image();
-            frameImg.crossOrigin = 'anonymous';
-            
-            await new Promise((resolve, reject) => {
-              frameImg.onload = resolve;
-              frameImg.onerror = () => reject(new Error('Failed to load frame'));
-              frameImg.src = selectedFrameData.image;
-            });
-
-            // Create canvas for compositing
-            const canvas = document.createElement('canvas');
-            canvas.width = dimensions.width;
-            canvas.height = dimensions.height;
-            const ctx = canvas.getContext('2d');
-
-            // Draw captured image
-            const capturedImg = new Image();
-            await new Promise((resolve, reject) => {
-              capturedImg.onload = resolve;
-              capturedImg.onerror = reject;
-              capturedImg.src = URL.createObjectURL(captureResult.blob);
-            });
-            
-            ctx.drawImage(capturedImg, 0, 0, canvas.width, canvas.height);
+      const slots = isCollage ? photoWindows : [FULL_FRAME_WINDOW];
+      const shots = [];
 
-            // Draw frame overlay on top
-            ctx.drawImage(frameImg, 0, 0, canvas.width, canvas.height);
+      for (let index = 0; index < slots.length; index++) {
+        const slot = getWindowPixels(slots[index], dimensions.width, dimensions.height);
+        setActiveSlot(index);
 
-            // Convert to blob
-            finalBlob = await new Promise((resolve) => {
-              canvas.toBlob(resolve, 'image/png', 1.0);
-            });
-          }
-        }
+        await runCountdown(timerDuration);
 
-        // Store composited image and show preview
-        const imageUrl = URL.createObjectURL(finalBlob);
-        setCapturedImage({
-          url: imageUrl,
-          blob: finalBlob,
-          metadata: {
-            frameId: selectedFrame,
-            capturedAt: new Date().toISOString(),
-            width: dimensions.width,
-            height: dimensions.height,
-          }
+        // Show flash immediately for instant feedback
+        const flashDone = triggerFlash();
+
+        const captureResults = await captureSequence(slot, isBurst ? burstCount : 1, burstInterval);
+        captureResults.forEach((captureResult) => {
+          shots.push({ source: captureResult.blob, photoWindow: slots[index], original: captureResult.original });
         });
-        
-        // Hide processing and show preview
-        setIsProcessing(false);
-        setShowPreview(true);
-      } catch (err) {
-        console.error('Capture failed:', err);
-        // Show more detailed error
-        const errorMsg = err.message || 'Failed to capture image. Please try again.';
-        alert(errorMsg);
-        setIsProcessing(false);  // Hide processing on error
-      } finally {
-        setIsCapturing(false);
+
+        if (isCollage) {
+          const url = URL.createObjectURL(captureResults[0].blob);
+          setCollageShots((prev) => [...prev, { url, photoWindow: slots[index] }]);
+        }
+
+        await flashDone;
+      }
+
+      setIsProcessing(true);  // Show processing screen
+
+      // A burst gives one candidate photo per shot, otherwise the shots make one photo
+      const takes = isBurst ? shots.map((shot) => [shot]) : [shots];
+      const burstId = isBurst ? createId('burst') : null;
+      const candidates = [];
+      for (let index = 0; index < takes.length; index++) {
+        const burstMetadata = burstId ? { burstId, burstIndex: index, burstCount: takes.length } : {};
+        candidates.push(await composeCapture(takes[index], dimensions, burstMetadata));
       }
-    }, timerDuration * 1000);
+
+      setCapturedImages(candidates);
+      setActiveCapture(0);
+      setKeptCaptures([]);
+      
+      // Hide processing and show preview
+      setIsProcessing(false);
+      setShowPreview(true);
+    } catch (err) {
+      console.error('Capture failed:', err);
+      // Show more detailed error
+      const errorMsg = err.message || 'Failed to capture image. Please try again.';
+      alert(errorMsg);
+      setShowCountdown(false);
+      setIsProcessing(false);  // Hide processing on error
+      clearCollageShots();
+    } finally {
+      setActiveSlot(0);
+      setRecordingStatus(null);
+      setIsCapturing(false);
+    }
+  };
+
+  /**
+   * Release collage slot previews
+   */
+  const clearCollageShots = () => {
+    setCollageShots((prev) => {
+      prev.forEach((shot) => URL.revokeObjectURL(shot.url));
+      return [];
+    });
   };
 
   /**
    * Handle retake photo
    */
   const handleRetake = () => {
-    if (capturedImage?.url) {
-      URL.revokeObjectURL(capturedImage.url);
-    }
-    setCapturedImage(null);
+    capturedImages.forEach((image) => URL.revokeObjectURL(image.url));
+    clearCollageShots();
+    setCapturedImages([]);
+    setActiveCapture(0);
+    setKeptCaptures([]);
     setShowPreview(false);
   };
 
+  /**
+   * Keep / drop an extra burst photo next to the chosen one
+   */
+  const handleToggleKeep = (index) => {
+    setKeptCaptures((prev) => (
+      prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index].sort((a, b) => a - b)
+    ));
+  };
+
   /**
    * Handle confirm and proceed
+   * The chosen photo goes to the preview; other burst photos marked "keep"
+   * are saved to the session alongside it
    */
   const handleConfirm = () => {
-    if (onCapture && capturedImage) {
+    const chosen = capturedImages[activeCapture];
+    if (onCapture && chosen) {
+      const toCaptureData = ({ blob, originals, poster, metadata }) => ({ blob, originals, poster, metadata });
       onCapture({
-        blob: capturedImage.blob,
-        metadata: capturedImage.metadata,
+        ...toCaptureData(chosen),
+        extraShots: keptCaptures
+          .filter((index) => index !== activeCapture)
+          .map((index) => toCaptureData(capturedImages[index])),
       });
     }
   };
@@ -286,6 +736,20 @@ export const CaptureScreen = ({
     setIsFrameDragging(false);
   };
 
+  /**
+   * Stored LUTs load asynchronously; list them once they are registered
+   */
+  useEffect(() => {
+    let isCancelled = false;
+    lutService.load().then(() => {
+      if (!isCancelled) setFilterPresets(getFilterPresets());
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
   /**
    * Auto-center selected frame
    */
@@ -376,55 +840,35 @@ export const CaptureScreen = ({
           const availableHeight = screenHeight - verticalReserve;
           const availableWidth = screenWidth - (horizontalPadding * 2);
           
-          let containerWidth, containerHeight;
-          
-          // Smart scaling based on both screen and frame ratios
+          // Largest box the preview may occupy for this screen/frame pairing
+          let maxWidth = availableWidth;
+          let maxHeight = availableHeight;
+
           if (isFramePortrait && isScreenPortrait) {
             // Portrait frame on portrait screen - maximize height
-            containerHeight = Math.min(availableHeight, screenHeight * 0.75);
-            containerWidth = containerHeight * frameRatio;
-            
-            // Ensure width fits
-            if (containerWidth > availableWidth) {
-              containerWidth = availableWidth;
-              containerHeight = containerWidth / frameRatio;
-            }
+            maxHeight = Math.min(availableHeight, screenHeight * 0.75);
           } else if (isFrameLandscape && isScreenLandscape) {
             // Landscape frame on landscape screen - maximize width
-            containerWidth = Math.min(availableWidth, screenWidth * 0.85);
-            containerHeight = containerWidth / frameRatio;
-            
-            // Ensure height fits
-            if (containerHeight > availableHeight) {
-              containerHeight = availableHeight;
-              containerWidth = containerHeight * frameRatio;
-            }
+            maxWidth = Math.min(availableWidth, screenWidth * 0.85);
           } else if (isFramePortrait && isScreenLandscape) {
             // Portrait frame on landscape screen - height limited
-            containerHeight = Math.min(availableHeight, screenHeight * 0.85);
-            containerWidth = containerHeight * frameRatio;
-            
-            // Ensure width fits
-            if (containerWidth > availableWidth * 0.6) {
-              containerWidth = availableWidth * 0.6;
-              containerHeight = containerWidth / frameRatio;
-            }
+            maxHeight = Math.min(availableHeight, screenHeight * 0.85);
+            maxWidth = availableWidth * 0.6;
           } else if (isFrameLandscape && isScreenPortrait) {
             // Landscape frame on portrait screen - width limited
-            containerWidth = availableWidth;
-            containerHeight = containerWidth / frameRatio;
-            
-            // Ensure height fits
-            if (containerHeight > availableHeight * 0.6) {
-              containerHeight = availableHeight * 0.6;
-              containerWidth = containerHeight * frameRatio;
-            }
+            maxHeight = availableHeight * 0.6;
           } else {
-            // Square frame - use the smaller dimension
+            // Square frame or screen - use the smaller dimension
             const size = Math.min(availableWidth, availableHeight) * 0.9;
-            containerWidth = size;
-            containerHeight = size;
+            maxWidth = size;
+            maxHeight = size;
           }
+
+          // Same contain math captureFrame uses, so the container keeps the frame aspect
+          const box = getDisplayRect(frameWidth, frameHeight, maxWidth, maxHeight, FIT_MODES.CONTAIN)
+            || { width: maxWidth, height: maxHeight };
+          let containerWidth = box.width;
+          let containerHeight = box.height;
           
           // Final bounds check
           containerWidth = Math.min(containerWidth, availableWidth);
@@ -497,23 +941,39 @@ export const CaptureScreen = ({
       };
     }
   }, [isFrameDragging, handleFrameDragMove]);
+
+  /**
+   * Keyboard shutter: always fire the latest handleCaptureClick, which reads
+   * the current frame, its pixel size and every capture option
+   */
+  const handleCaptureClickRef = useRef(handleCaptureClick);
+  useEffect(() => {
+    handleCaptureClickRef.current = handleCaptureClick;
+  });
+
   useEffect(() => {
     const handleKeyPress = (e) => {
       if (e.key === 'Escape') {
         setShowTimerPopup(false);
         setShowZoomPopup(false);
+        setShowFilterPopup(false);
+        setShowStickerPopup(false);
+        setShowBurstPopup(false);
+        setShowMotionPopup(false);
+        setShowCameraPopup(false);
         return;
       }
+      // Typing in a frame text field must not trigger the shutter
+      if (e.target.closest?.('input, textarea, select')) return;
       if (e.key === ' ' || e.key === 'Enter') {
         e.preventDefault();
-        handleCaptureClick();
+        handleCaptureClickRef.current();
       }
     };
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isCapturing, showTimerPopup, showZoomPopup]);
+  }, []);
 
   // Cleanup
   useEffect(() => {
@@ -521,6 +981,9 @@ export const CaptureScreen = ({
       if (countdownIntervalRef.current) {
         clearInterval(countdownIntervalRef.current);
       }
+      if (countdownTimeoutRef.current) {
+        clearTimeout(countdownTimeoutRef.current);
+      }
     };
   }, []);
 
@@ -533,11 +996,26 @@ export const CaptureScreen = ({
       if (showZoomPopup && zoomWrapperRef.current && !zoomWrapperRef.current.contains(e.target)) {
         setShowZoomPopup(false);
       }
+      if (showFilterPopup && filterWrapperRef.current && !filterWrapperRef.current.contains(e.target)) {
+        setShowFilterPopup(false);
+      }
+      if (showStickerPopup && stickerWrapperRef.current && !stickerWrapperRef.current.contains(e.target)) {
+        setShowStickerPopup(false);
+      }
+      if (showBurstPopup && burstWrapperRef.current && !burstWrapperRef.current.contains(e.target)) {
+        setShowBurstPopup(false);
+      }
+      if (showMotionPopup && motionWrapperRef.current && !motionWrapperRef.current.contains(e.target)) {
+        setShowMotionPopup(false);
+      }
+      if (showCameraPopup && cameraWrapperRef.current && !cameraWrapperRef.current.contains(e.target)) {
+        setShowCameraPopup(false);
+      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
     return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, [showTimerPopup, showZoomPopup]);
+  }, [showTimerPopup, showZoomPopup, showFilterPopup, showStickerPopup, showBurstPopup, showMotionPopup, showCameraPopup]);
 
   return (
     <div className="capture-screen">
@@ -555,47 +1033,81 @@ export const CaptureScreen = ({
       <div className="capture-main" style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', flex: 1 }}>
         {/* Camera preview with frame overlay */}
         <div 
-          className="preview-container" 
+          className={`preview-container ${isCollage ? 'collage-mode' : ''}`}
           ref={previewContainerRef}
+          onPointerDown={() => setSelectedStickerId(null)}
           style={{ 
             aspectRatio: frameAspectRatio,
             width: previewDimensions.width,
             height: previewDimensions.height,
             margin: 'auto'
           }}
-        >          {/* Camera feed - IP camera uses img, webcam uses video */}
-          {cameraService.isIPCamera ? (
-            <img 
-              src="/cam-proxy/video"
-              className="camera-stream"
-              alt="IP Camera Stream"
-              style={{ 
-                width: '100%',
-                height: '100%',
-                objectFit: 'cover',
-                objectPosition: 'center',
-                transform: `scale(${zoomLevel})`,
-                transition: 'transform 0.2s ease'
-              }}
-            />
-          ) : (
+        >
+          {/* Camera feed - IP camera uses img, webcam uses video */}
+          {/* In collage mode the feed sits inside the photo window being shot */}
+          <div
+            className={`camera-viewport ${isCollage ? 'collage-slot-active' : ''}`}
+            style={getWindowStyle(isCollage ? photoWindows[activeSlot] || photoWindows[0] : FULL_FRAME_WINDOW)}
+          >
+            {/* The video stays mounted so switching back to a webcam can attach its stream */}
+            {ipCamera && (
+              <img 
+                src={ipStreamUrl}
+                className="camera-stream"
+                alt="IP Camera Stream"
+                onError={reportStreamError}
+                style={{ 
+                  width: '100%',
+                  height: '100%',
+                  objectFit: frameFit,
+                  objectPosition: 'center',
+                  transform: getPreviewTransform({ zoom: zoomLevel }),
+                  filter: getFilterCss(filterId),
+                  transition: 'transform 0.2s ease'
+                }}
+              />
+            )}
             <video
               ref={videoRef}
               autoPlay
               playsInline
               muted
+              hidden={Boolean(ipCamera)}
               className={`camera-preview ${!isInitialized ? 'camera-loading' : ''}`}
               aria-label="Camera preview"
               style={{
                 width: '100%',
                 height: '100%',
-                objectFit: 'cover',
+                objectFit: frameFit,
                 objectPosition: 'center',
-                transform: `scale(${zoomLevel})`,
+                transform: getPreviewTransform({ zoom: zoomLevel, mirror: true }),
+                filter: getFilterCss(filterId),
                 transition: 'transform 0.2s ease'
               }}
             />
-          )}
+
+            {/* Approximate the filter's vignette on the live feed */}
+            {filterVignette && (
+              <div
+                className="filter-vignette"
+                style={{
+                  background: `radial-gradient(ellipse at center, transparent ${filterVignette.radius * 100}%, `
+                    + `rgba(0, 0, 0, ${filterVignette.amount}) 100%)`,
+                }}
+              />
+            )}
+          </div>
+
+          {/* Collage shots already taken */}
+          {isCollage && collageShots.map((shot, index) => (
+            <img
+              key={shot.url}
+              src={shot.url}
+              className="collage-shot"
+              alt={`Collage photo ${index + 1}`}
+              style={getWindowStyle(shot.photoWindow)}
+            />
+          ))}
 
           {/* Frame overlay */}
           {selectedFrame !== 'none' && frames.find(f => f.id === selectedFrame)?.image && (
@@ -617,6 +1129,54 @@ export const CaptureScreen = ({
             />
           )}
 
+          {/* Personalized frame text */}
+          <TextSlotOverlay slots={textSlots} values={textValues} />
+
+          {/* Stickers - drag, scale and rotate before the shot */}
+          <StickerLayer
+            stickers={stickers}
+            selectedId={selectedStickerId}
+            onSelect={setSelectedStickerId}
+            onChange={handleStickerChange}
+            onRemove={handleRemoveSticker}
+            disabled={isCapturing}
+          />
+
+          {/* Collage progress */}
+          {isCollage && (
+            <div className="collage-progress" aria-live="polite">
+              <span className="collage-progress-text">
+                Photo {Math.min(activeSlot + 1, photoWindows.length)} of {photoWindows.length}
+              </span>
+              <div className="collage-progress-dots">
+                {photoWindows.map((_, index) => (
+                  <span
+                    key={index}
+                    className={`collage-progress-dot ${index < collageShots.length ? 'done' : ''} ${
+                      isCapturing && index === activeSlot ? 'active' : ''
+                    }`}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Motion recording progress */}
+          {recordingStatus !== null && (
+            <div className="motion-recording" aria-live="polite">
+              <span className="motion-recording-dot" />
+              Recording {recordingStatus}
+            </div>
+          )}
+
+          {/* Camera fell back from the chosen device */}
+          {cameraNotice && (
+            <div className="camera-notice" role="status">
+              <span>{cameraNotice}</span>
+              <button type="button" onClick={clearNotice} aria-label="Dismiss">×</button>
+            </div>
+          )}
+
           {/* Flash animation on capture */}
           {showFlash && <div className="flash-effect" />}
 
@@ -683,8 +1243,76 @@ export const CaptureScreen = ({
             </div>
           </div>
 
+        {/* Personalized frame text fields */}
+        {textSlots.length > 0 && (
+          <div className="text-slot-panel">
+            {textSlots.map((slot) => (
+              <label key={slot.id} className="text-slot-field">
+                <span className="control-label">{slot.label}</span>
+                <input
+                  className="preview-details-input"
+                  type="text"
+                  value={resolveTextValues([slot], textValues)[slot.id]}
+                  maxLength={slot.maxLength}
+                  placeholder={slot.placeholder}
+                  onChange={(e) => handleTextChange(slot.id, e.target.value)}
+                  disabled={isCapturing}
+                  autoComplete="off"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
         {/* Control Panel */}
         <div className="control-panel" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', width: '100%' }}>
+          {/* Camera button (left) */}
+          <div className="control-wrapper" ref={cameraWrapperRef}>
+            <button
+              className="control-icon-btn camera-btn"
+              onClick={() => setShowCameraPopup(!showCameraPopup)}
+              disabled={isCapturing}
+              aria-label="Camera settings"
+              title={ipCamera?.name || selectedDevice?.label || undefined}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/>
+                <circle cx="12" cy="13" r="4"/>
+              </svg>
+              <span>Camera</span>
+            </button>
+
+            {/* Camera popup */}
+            {showCameraPopup && (
+              <div className="filter-popup camera-popup">
+                <div className="burst-popup-label">Camera</div>
+                {devices.length === 0 && ipCameras.length === 0 && (
+                  <p className="camera-popup-note">No cameras detected.</p>
+                )}
+                {devices.map((device, index) => (
+                  <button
+                    key={device.deviceId || index}
+                    className={`filter-option ${!ipCamera && selectedDevice?.deviceId === device.deviceId ? 'selected' : ''}`}
+                    onClick={() => handleSelectDevice(device.deviceId)}
+                    disabled={!device.deviceId || isLoading}
+                  >
+                    {device.label || `Camera ${index + 1}`}
+                  </button>
+                ))}
+                {ipCameras.map((source) => (
+                  <button
+                    key={source.id}
+                    className={`filter-option ${ipCamera?.id === source.id ? 'selected' : ''}`}
+                    onClick={() => handleSelectIPCamera(source.id)}
+                    disabled={isLoading}
+                  >
+                    📡 {source.name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Timer button (left) */}
           <div className="control-wrapper" ref={timerWrapperRef}>
             <button
@@ -766,6 +1394,219 @@ export const CaptureScreen = ({
               </div>
             )}
           </div>
+
+          {/* Filter button (right) */}
+          <div className="control-wrapper" ref={filterWrapperRef}>
+            <button
+              className="control-icon-btn filter-btn"
+              onClick={() => setShowFilterPopup(!showFilterPopup)}
+              disabled={isCapturing}
+              aria-label="Select filter"
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="9" cy="9" r="6"/>
+                <circle cx="15" cy="9" r="6"/>
+                <circle cx="12" cy="15" r="6"/>
+              </svg>
+              <span>{getFilterPreset(filterId).name}</span>
+            </button>
+
+            {/* Filter popup */}
+            {showFilterPopup && (
+              <div className="filter-popup">
+                {filterPresets.map((preset) => (
+                  <button
+                    key={preset.id}
+                    className={`filter-option ${filterId === preset.id ? 'selected' : ''}`}
+                    onClick={() => {
+                      setFilterId(preset.id);
+                      setShowFilterPopup(false);
+                    }}
+                    title={preset.lut ? 'LUT is applied to the captured photo only' : undefined}
+                  >
+                    {preset.name}
+                    {preset.lut && <span className="filter-option-hint"> (on capture)</span>}
+                  </button>
+                ))}
+                <button
+                  className="filter-option filter-option-load"
+                  onClick={() => lutInputRef.current?.click()}
+                >
+                  Load .cube…
+                </button>
+              </div>
+            )}
+            <input
+              ref={lutInputRef}
+              type="file"
+              accept=".cube"
+              onChange={handleLutFileChange}
+              style={{ display: 'none' }}
+            />
+          </div>
+
+          {/* Burst button (right) */}
+          <div className="control-wrapper" ref={burstWrapperRef}>
+            <button
+              className="control-icon-btn burst-btn"
+              onClick={() => setShowBurstPopup(!showBurstPopup)}
+              disabled={isCapturing || isCollage || isMotion}
+              aria-label="Select burst mode"
+              title={isCollage || isMotion ? 'Burst is available for single photos' : undefined}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <rect x="2" y="7" width="13" height="11" rx="2"/>
+                <path d="M18 8v9M21 9v7"/>
+              </svg>
+              <span>{isBurst ? `Burst ×${burstCount}` : 'Single'}</span>
+            </button>
+
+            {/* Burst popup */}
+            {showBurstPopup && (
+              <div className="filter-popup burst-popup">
+                <button
+                  className={`filter-option ${burstCount === 1 ? 'selected' : ''}`}
+                  onClick={() => {
+                    setBurstCount(1);
+                    setShowBurstPopup(false);
+                  }}
+                >
+                  Single
+                </button>
+                {APP_CONFIG.BURST_COUNT_OPTIONS.map((count) => (
+                  <button
+                    key={count}
+                    className={`filter-option ${burstCount === count ? 'selected' : ''}`}
+                    onClick={() => setBurstCount(count)}
+                  >
+                    {count} shots
+                  </button>
+                ))}
+                <div className="burst-popup-label">Interval</div>
+                {APP_CONFIG.BURST_INTERVAL_OPTIONS_MS.map((interval) => (
+                  <button
+                    key={interval}
+                    className={`filter-option ${burstInterval === interval ? 'selected' : ''}`}
+                    onClick={() => {
+                      setBurstInterval(interval);
+                      setShowBurstPopup(false);
+                    }}
+                  >
+                    {interval / 1000}s
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Motion button (right) */}
+          <div className="control-wrapper" ref={motionWrapperRef}>
+            <button
+              className="control-icon-btn motion-btn"
+              onClick={() => setShowMotionPopup(!showMotionPopup)}
+              disabled={isCapturing || isCollage}
+              aria-label="Select animation mode"
+              title={isCollage ? 'Animations are available for single-photo frames' : undefined}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <rect x="2" y="5" width="20" height="14" rx="2"/>
+                <polygon points="10 9 15 12 10 15 10 9"/>
+              </svg>
+              <span>
+                {isMotion ? MOTION_LABELS[motionMode] : 'Still'}
+                {isMotion && motionMode === MEDIA_TYPES.VIDEO ? ` ${clipDuration}s` : ''}
+              </span>
+            </button>
+
+            {/* Motion popup */}
+            {showMotionPopup && (
+              <div className="filter-popup motion-popup">
+                {[null, MEDIA_TYPES.GIF, MEDIA_TYPES.BOOMERANG].map((mode) => (
+                  <button
+                    key={mode || 'still'}
+                    className={`filter-option ${motionMode === mode ? 'selected' : ''}`}
+                    onClick={() => {
+                      setMotionMode(mode);
+                      setShowMotionPopup(false);
+                    }}
+                  >
+                    {mode ? MOTION_LABELS[mode] : 'Still'}
+                  </button>
+                ))}
+                <button
+                  className={`filter-option ${motionMode === MEDIA_TYPES.VIDEO ? 'selected' : ''}`}
+                  onClick={() => setMotionMode(MEDIA_TYPES.VIDEO)}
+                  disabled={!canRecordVideo}
+                  title={canRecordVideo ? undefined : 'This browser cannot record video'}
+                >
+                  {MOTION_LABELS[MEDIA_TYPES.VIDEO]}
+                </button>
+                {motionMode === MEDIA_TYPES.VIDEO && (
+                  <>
+                    <div className="burst-popup-label">Length</div>
+                    {VIDEO_CONFIG.DURATION_OPTIONS_S.map((seconds) => (
+                      <button
+                        key={seconds}
+                        className={`filter-option ${clipDuration === seconds ? 'selected' : ''}`}
+                        onClick={() => {
+                          setClipDuration(seconds);
+                          setShowMotionPopup(false);
+                        }}
+                      >
+                        {seconds}s
+                      </button>
+                    ))}
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Sticker button (right) */}
+          {stickerPacks.length > 0 && (
+            <div className="control-wrapper" ref={stickerWrapperRef}>
+              <button
+                className="control-icon-btn sticker-btn"
+                onClick={() => setShowStickerPopup(!showStickerPopup)}
+                disabled={isCapturing}
+                aria-label="Add sticker"
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M15.5 3H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h9.5L21 14.5V5a2 2 0 0 0-2-2z"/>
+                  <path d="M14 21v-5a2 2 0 0 1 2-2h5"/>
+                </svg>
+                <span>{stickers.length > 0 ? `Stickers (${stickers.length})` : 'Stickers'}</span>
+              </button>
+
+              {/* Sticker popup */}
+              {showStickerPopup && (
+                <div className="filter-popup sticker-popup">
+                  {stickerPacks.map((pack) => (
+                    <div key={pack.id}>
+                      <div className="sticker-pack-name">{pack.name}</div>
+                      <div className="sticker-pack-grid">
+                        {pack.stickers.map((sticker) => (
+                          <button
+                            key={sticker.id}
+                            className="sticker-option"
+                            onClick={() => handleAddSticker(sticker)}
+                            title={sticker.name}
+                          >
+                            <img src={sticker.image} alt={sticker.name} loading="lazy" />
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                  {stickers.length > 0 && (
+                    <button className="filter-option sticker-clear" onClick={handleClearStickers}>
+                      Remove all stickers
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -775,22 +1616,66 @@ export const CaptureScreen = ({
           <div className="processing-content">
             <div className="spinner"></div>
             <p className="processing-text">
-              {isProcessing ? 'Creating your photo...' : 'Saving photo...'}
+              {isProcessing
+                ? `Creating your ${isMotion ? MOTION_LABELS[motionMode].toLowerCase() : 'photo'}...`
+                : 'Saving photo...'}
             </p>
           </div>
         </div>
       )}
 
       {/* Preview Overlay */}
-      {showPreview && capturedImage && (
+      {showPreview && capturedImages[activeCapture] && (
         <div className="preview-overlay">
           <div className="preview-image-container">
-            <img 
-              src={capturedImage.url} 
-              alt="Captured" 
-              className="preview-image"
-            />
+            {capturedImages[activeCapture].metadata.mediaType === MEDIA_TYPES.VIDEO ? (
+              <video
+                src={capturedImages[activeCapture].url}
+                className="preview-image"
+                autoPlay
+                loop
+                muted
+                playsInline
+                aria-label="Recorded clip"
+              />
+            ) : (
+              <img 
+                src={capturedImages[activeCapture].url} 
+                alt="Captured" 
+                className="preview-image"
+              />
+            )}
           </div>
+
+          {/* Burst strip - pick the best shot, optionally keep others */}
+          {capturedImages.length > 1 && (
+            <div className="burst-strip" aria-label="Burst photos">
+              {capturedImages.map((image, index) => {
+                const isActive = index === activeCapture;
+                return (
+                  <div key={image.url} className={`burst-strip-item ${isActive ? 'selected' : ''}`}>
+                    <button
+                      className="burst-strip-thumb"
+                      onClick={() => setActiveCapture(index)}
+                      aria-pressed={isActive}
+                      aria-label={`Use photo ${index + 1}`}
+                    >
+                      <img src={image.url} alt="" />
+                    </button>
+                    <label className="burst-strip-keep">
+                      <input
+                        type="checkbox"
+                        checked={isActive || keptCaptures.includes(index)}
+                        disabled={isActive}
+                        onChange={() => handleToggleKeep(index)}
+                      />
+                      Keep
+                    </label>
+                  </div>
+                );
+              })}
+            </div>
+          )}
           
           <div className="preview-actions">
             <button 
@@ -811,7 +1696,9 @@ export const CaptureScreen = ({
               <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <polyline points="20 6 9 17 4 12" />
               </svg>
-              Continue
+              {keptCaptures.some((index) => index !== activeCapture)
+                ? `Save ${keptCaptures.filter((index) => index !== activeCapture).length + 1} photos`
+                : 'Continue'}
             </button>
           </div>
         </div>
@@ -0,0 +1,778 @@
+/**
+ * GalleryScreen Component
+ * US-031: Session History & Browsing, US-032: Delete Photos & Sessions
+ *
+ * Operator view of stored sessions: browse, view full size, re-download,
+ * re-print and delete photos or whole sessions, star favourites, find
+ * photos by tag or guest and swap the frame of photos saved with originals
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { storageService, IMPORT_CONFLICT } from '../../services/storageService';
+import { MEDIA_TYPES } from '../../constants';
+import { PRINT_FORMATS, PRINT_LAYOUTS } from '../../utils/printLayout';
+import { downloadBlob, printBlob } from '../../utils/photoExport';
+import '../screens/screens.css';
+
+const PAGE_SIZE = 24;
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * getSessions query for the gallery filters
+ * Dates come from <input type="date"> (local days) and are widened to whole days
+ */
+const buildHistoryQuery = ({ category, fromDate, toDate }) => ({
+  limit: PAGE_SIZE,
+  category: category || null,
+  from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null,
+  to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : null,
+});
+
+/**
+ * Human readable byte size
+ */
+const formatSize = (bytes = 0) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Localized date and time for a stored ISO timestamp
+ */
+const formatDate = (iso) => {
+  return iso ? new Date(iso).toLocaleString() : '';
+};
+
+/**
+ * GIFs, boomerangs and video clips can be viewed and downloaded but not printed
+ */
+const isAnimation = (photo) => Boolean(photo?.mediaType) && photo.mediaType !== MEDIA_TYPES.PHOTO;
+
+/**
+ * Image loaded from IndexedDB on demand
+ * Owns its object URL and revokes it when the source changes or unmounts
+ */
+const StoredImage = ({ loadBlob, alt, className }) => {
+  const [media, setMedia] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let isCancelled = false;
+
+    loadBlob()
+      .then((blob) => {
+        if (isCancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setMedia({ url: objectUrl, isVideo: blob.type.startsWith('video/') });
+      })
+      .catch((err) => console.warn('Failed to load stored image:', err));
+
+    return () => {
+      isCancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [loadBlob]);
+
+  if (!media) {
+    return <div className={`${className} gallery-image-placeholder`}>📷</div>;
+  }
+
+  // Video clips play in the full-size viewer (their grid thumbnails are poster images)
+  return media.isVideo
+    ? <video src={media.url} className={className} controls autoPlay loop muted playsInline aria-label={alt} />
+    : <img src={media.url} alt={alt} className={className} />;
+};
+
+/**
+ * Stored photo by id (thumbnail for grids, full blob for the viewer)
+ * A new `version` (the photo's updatedAt) remounts the image, reloading it after a re-render
+ */
+const PhotoImage = ({ photoId, className, thumbnail = false, version = null }) => {
+  const loadBlob = useCallback(
+    () => (thumbnail ? storageService.getPhotoThumbnail(photoId) : storageService.getPhotoBlob(photoId)),
+    [photoId, thumbnail]
+  );
+  return <StoredImage key={`${photoId}-${version}`} loadBlob={loadBlob} alt="Stored photo" className={className} />;
+};
+
+/**
+ * Thumbnail of a session's latest photo, used as its cover
+ */
+const SessionCover = ({ sessionId }) => {
+  const loadBlob = useCallback(() => storageService.getSessionThumbnail(sessionId), [sessionId]);
+  return <StoredImage loadBlob={loadBlob} alt="Session cover" className="gallery-thumb" />;
+};
+
+export const GalleryScreen = ({
+  sessions = [],
+  totalSessions = 0,
+  hasMoreSessions = false,
+  categories = [],
+  onLoadSessions,
+  onLoadMoreSessions,
+  onDeleteSession,
+  onDeletePhoto,
+  onUpdatePhoto,
+  onUpdateSession,
+  onChangePhotoFrame,
+  frameCatalog = {},
+  onCreatePrintLayout,
+  onBack,
+  isLoading = false,
+}) => {
+  const [filters, setFilters] = useState({ category: '', fromDate: '', toDate: '' });
+  const [photoFilters, setPhotoFilters] = useState({ starred: false, tag: '', guest: '' });
+  const [searchResults, setSearchResults] = useState([]);
+  const [openSession, setOpenSession] = useState(null);
+  const [sessionPhotos, setSessionPhotos] = useState([]);
+  const [viewerPhotoId, setViewerPhotoId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const importInputRef = useRef(null);
+  const loadMoreRef = useRef(null);
+
+  /**
+   * Reload the first page of sessions (newest first) for the current filters
+   */
+  const reloadSessions = useCallback(() => {
+    onLoadSessions?.(buildHistoryQuery(filters)).catch((err) => {
+      console.error('Failed to load sessions:', err);
+    });
+  }, [onLoadSessions, filters]);
+
+  useEffect(() => {
+    reloadSessions();
+  }, [reloadSessions]);
+
+  /**
+   * Infinite scroll: fetch the next page when the list end comes into view
+   */
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreSessions || !onLoadMoreSessions || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMoreSessions().catch((err) => console.error('Failed to load more sessions:', err));
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreSessions, onLoadMoreSessions, openSession, sessions.length]);
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const updatePhotoFilter = (name, value) => {
+    setPhotoFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Any photo filter switches the list from sessions to matching photos
+  const isPhotoSearch = photoFilters.starred || Boolean(photoFilters.tag.trim()) || Boolean(photoFilters.guest.trim());
+
+  /**
+   * Photos matching the star / tag / guest filters
+   */
+  const searchPhotos = useCallback(async () => {
+    const photos = await storageService.findPhotos({
+      starred: photoFilters.starred,
+      tag: photoFilters.tag.trim() || null,
+      guest: photoFilters.guest.trim() || null,
+    });
+    setSearchResults(photos);
+  }, [photoFilters]);
+
+  useEffect(() => {
+    if (!isPhotoSearch) return undefined;
+
+    const timeoutId = setTimeout(() => {
+      searchPhotos().catch((err) => console.error('Photo search failed:', err));
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [isPhotoSearch, searchPhotos]);
+
+  /**
+   * Load photos of the opened session, newest first
+   */
+  const loadSessionPhotos = useCallback(async (sessionId) => {
+    const { session, photos = [] } = await storageService.getSession(sessionId);
+    setOpenSession(session || null);
+    setSessionPhotos([...photos].sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+  }, []);
+
+  const handleOpenSession = async (sessionId) => {
+    try {
+      await loadSessionPhotos(sessionId);
+    } catch (err) {
+      console.error('Failed to open session:', err);
+      alert('Failed to open session');
+    }
+  };
+
+  const handleCloseSession = () => {
+    setOpenSession(null);
+    setSessionPhotos([]);
+    setViewerPhotoId(null);
+    reloadSessions();
+  };
+
+  /**
+   * Re-download a stored photo
+   */
+  const handleDownloadPhoto = async (photoId) => {
+    try {
+      const blob = await storageService.getPhotoBlob(photoId);
+      if (!blob) throw new Error('Photo not found');
+      downloadBlob(blob);
+    } catch (err) {
+      console.error('Download failed:', err);
+      alert('Failed to download image');
+    }
+  };
+
+  /**
+   * Re-print a stored photo
+   */
+  const handlePrintPhoto = async (photoId) => {
+    try {
+      const blob = await storageService.getPhotoBlob(photoId);
+      if (!blob) throw new Error('Photo not found');
+      printBlob(blob);
+    } catch (err) {
+      console.error('Print failed:', err);
+      alert('Failed to print image');
+    }
+  };
+
+  /**
+   * Print a strip / postcard from the opened session
+   */
+  const handlePrintLayout = async (layoutId) => {
+    if (!onCreatePrintLayout || !openSession) return;
+
+    try {
+      setIsBusy(true);
+      const { blob, layout } = await onCreatePrintLayout(layoutId, PRINT_FORMATS.PNG, openSession.id);
+      printBlob(blob, `${layout.sheetWidthIn}in ${layout.sheetHeightIn}in`);
+    } catch (err) {
+      console.error('Print layout failed:', err);
+      alert(err.message || 'Failed to create print layout');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDeletePhoto = async (photoId) => {
+    if (!window.confirm('Delete this photo? This cannot be undone.')) return;
+
+    try {
+      setIsBusy(true);
+      await onDeletePhoto(photoId);
+      setViewerPhotoId(null);
+      if (openSession) {
+        await loadSessionPhotos(openSession.id);
+      } else {
+        await searchPhotos();
+      }
+    } catch (err) {
+      console.error('Delete failed:', err);
+      alert('Failed to delete photo');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Star / unstar a photo (starred photos survive retention cleanup)
+   */
+  const handleTogglePhotoStar = async (photo) => {
+    if (!onUpdatePhoto) return;
+
+    try {
+      const updated = await onUpdatePhoto(photo.id, { starred: !photo.starred });
+      const replace = (list) => list.map((p) => (p.id === updated.id ? updated : p));
+      setSessionPhotos(replace);
+      setSearchResults(replace);
+    } catch (err) {
+      console.error('Star failed:', err);
+      alert(err.message || 'Failed to update photo');
+    }
+  };
+
+  /**
+   * Re-render a photo from its originals with another frame
+   */
+  const handleChangeFrame = async (photo, frameId) => {
+    if (!onChangePhotoFrame || frameId === photo.frameId) return;
+
+    try {
+      setIsBusy(true);
+      const updated = await onChangePhotoFrame(photo.id, frameId);
+      const replace = (list) => list.map((p) => (p.id === updated.id ? updated : p));
+      setSessionPhotos(replace);
+      setSearchResults(replace);
+    } catch (err) {
+      console.error('Frame change failed:', err);
+      alert(err.message || 'Failed to change frame');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Star / unstar a whole session
+   */
+  const handleToggleSessionStar = async (session) => {
+    if (!onUpdateSession) return;
+
+    try {
+      const updated = await onUpdateSession(session.id, { starred: !session.starred });
+      if (openSession?.id === updated.id) {
+        setOpenSession(updated);
+      }
+    } catch (err) {
+      console.error('Star failed:', err);
+      alert(err.message || 'Failed to update session');
+    }
+  };
+
+  const handleDeleteSession = async (session) => {
+    const count = session.photoCount || 0;
+    if (!window.confirm(`Delete this session and its ${count} photo${count === 1 ? '' : 's'}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setIsBusy(true);
+      await onDeleteSession(session.id);
+      if (openSession?.id === session.id) {
+        setOpenSession(null);
+        setSessionPhotos([]);
+        setViewerPhotoId(null);
+      }
+    } catch (err) {
+      console.error('Delete failed:', err);
+      alert('Failed to delete session');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Download one session (or every session) as a ZIP archive
+   */
+  const handleExport = async (sessionId = null) => {
+    try {
+      setIsBusy(true);
+      const archive = sessionId
+        ? await storageService.exportSession(sessionId)
+        : await storageService.exportAllSessions();
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(archive, sessionId ? `selfiebooth-${sessionId}.zip` : `selfiebooth-sessions-${date}.zip`);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(err.message || 'Failed to export sessions');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Restore sessions from an exported ZIP archive
+   * The operator decides per duplicate session whether to replace it or keep both
+   */
+  const handleImportFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsBusy(true);
+      const summary = await storageService.importSessions(file, {
+        onConflict: (stored) => (
+          window.confirm(
+            `The session from ${formatDate(stored.createdAt)} is already on this device.\n\n`
+            + 'OK replaces it with the imported copy, Cancel keeps both.'
+          )
+            ? IMPORT_CONFLICT.REPLACE
+            : IMPORT_CONFLICT.COPY
+        ),
+      });
+
+      const sessionCount = summary.imported + summary.replaced + summary.copied;
+      alert(`Imported ${sessionCount} session${sessionCount === 1 ? '' : 's'} (${summary.photos} photos).`);
+      reloadSessions();
+    } catch (err) {
+      console.error('Import failed:', err);
+      alert(`Import failed: ${err.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Close the viewer / session with Escape
+   */
+  useEffect(() => {
+    const handleKeyPress = (e) => {
+      if (e.key !== 'Escape') return;
+      if (viewerPhotoId) {
+        setViewerPhotoId(null);
+      } else if (openSession) {
+        setOpenSession(null);
+        setSessionPhotos([]);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyPress);
+    return () => window.removeEventListener('keydown', handleKeyPress);
+  }, [viewerPhotoId, openSession]);
+
+  const renderSessionList = () => (
+    <>
+      <div className="gallery-session-bar">
+        <div className="gallery-filters">
+          <select
+            className="gallery-filter"
+            value={filters.category}
+            onChange={(e) => updateFilter('category', e.target.value)}
+            aria-label="Filter by category"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category.charAt(0).toUpperCase() + category.slice(1)}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            className="gallery-filter"
+            value={filters.fromDate}
+            max={filters.toDate || undefined}
+            onChange={(e) => updateFilter('fromDate', e.target.value)}
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            className="gallery-filter"
+            value={filters.toDate}
+            min={filters.fromDate || undefined}
+            onChange={(e) => updateFilter('toDate', e.target.value)}
+            aria-label="To date"
+          />
+          <button
+            className={`gallery-filter gallery-filter-star ${photoFilters.starred ? 'active' : ''}`}
+            onClick={() => updatePhotoFilter('starred', !photoFilters.starred)}
+            aria-pressed={photoFilters.starred}
+          >
+            {photoFilters.starred ? '★' : '☆'} Starred
+          </button>
+          <input
+            type="search"
+            className="gallery-filter"
+            placeholder="Tag"
+            value={photoFilters.tag}
+            onChange={(e) => updatePhotoFilter('tag', e.target.value)}
+            aria-label="Filter photos by tag"
+          />
+          <input
+            type="search"
+            className="gallery-filter"
+            placeholder="Guest name or email"
+            value={photoFilters.guest}
+            onChange={(e) => updatePhotoFilter('guest', e.target.value)}
+            aria-label="Filter photos by guest"
+          />
+          <span className="gallery-card-meta">
+            {isPhotoSearch
+              ? `${searchResults.length} photo${searchResults.length === 1 ? '' : 's'}`
+              : `${sessions.length} of ${totalSessions} session${totalSessions === 1 ? '' : 's'}`}
+          </span>
+        </div>
+        <div className="gallery-session-actions">
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleExport()}
+            disabled={isBusy || sessions.length === 0}
+          >
+            📦 Export all
+          </button>
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => importInputRef.current?.click()}
+            disabled={isBusy}
+          >
+            📥 Import ZIP
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            onChange={handleImportFileChange}
+            style={{ display: 'none' }}
+          />
+        </div>
+      </div>
+
+      {isPhotoSearch ? renderSearchResults() : renderSessionGrid()}
+    </>
+  );
+
+  const renderSearchResults = () => (
+    <>
+      {searchResults.length === 0 && (
+        <p className="gallery-empty">No photos match these filters.</p>
+      )}
+
+      <div className="gallery-grid">
+        {searchResults.map((photo) => (
+          <button
+            key={photo.id}
+            className="gallery-photo"
+            onClick={() => setViewerPhotoId(photo.id)}
+            aria-label={`View photo from ${formatDate(photo.createdAt)}`}
+          >
+            <PhotoImage photoId={photo.id} className="gallery-thumb" thumbnail version={photo.updatedAt} />
+            {(photo.guestName || photo.tags?.length > 0) && (
+              <span className="gallery-photo-caption">
+                {[photo.guestName, ...(photo.tags || []).map((tag) => `#${tag}`)].filter(Boolean).join(' ')}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+
+  const renderSessionGrid = () => (
+    <>
+      {sessions.length === 0 && !isLoading && (
+        <p className="gallery-empty">No sessions saved yet.</p>
+      )}
+
+      <div className="gallery-grid">
+        {sessions.map((session) => (
+          <div key={session.id} className="gallery-card">
+            <button
+              className="gallery-card-open"
+              onClick={() => handleOpenSession(session.id)}
+              aria-label={`Open session from ${formatDate(session.createdAt)}`}
+            >
+              <SessionCover sessionId={session.id} />
+              <div className="gallery-card-info">
+                <span className="gallery-card-date">{formatDate(session.createdAt)}</span>
+                <span className="gallery-card-meta">
+                  {session.photoCount || 0} photos · {formatSize(session.totalSize)}
+                  {session.frameCategory && session.frameCategory !== 'none' ? ` · ${session.frameCategory}` : ''}
+                </span>
+                {session.guestName && (
+                  <span className="gallery-card-meta">{session.guestName}</span>
+                )}
+              </div>
+            </button>
+            {onUpdateSession && (
+              <button
+                className={`btn-icon gallery-card-star ${session.starred ? 'starred' : ''}`}
+                onClick={() => handleToggleSessionStar(session)}
+                aria-pressed={Boolean(session.starred)}
+                aria-label={session.starred ? 'Unstar session' : 'Star session'}
+              >
+                {session.starred ? '★' : '☆'}
+              </button>
+            )}
+            <button
+              className="btn-icon gallery-card-delete"
+              onClick={() => handleDeleteSession(session)}
+              disabled={isBusy}
+              aria-label="Delete session"
+            >
+              🗑️
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {hasMoreSessions && (
+        <div className="gallery-more" ref={loadMoreRef}>
+          <button
+            className="btn btn-secondary"
+            onClick={() => onLoadMoreSessions?.().catch(() => {})}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Loading…' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </>
+  );
+
+  const renderSessionDetail = () => (
+    <>
+      <div className="gallery-session-bar">
+        <span className="gallery-card-meta">
+          {formatDate(openSession.createdAt)} · {sessionPhotos.length} photos
+          {openSession.guestName ? ` · ${openSession.guestName}` : ''}
+          {openSession.guestEmail ? ` <${openSession.guestEmail}>` : ''}
+        </span>
+        <div className="gallery-session-actions">
+          {onUpdateSession && (
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={() => handleToggleSessionStar(openSession)}
+              aria-pressed={Boolean(openSession.starred)}
+            >
+              {openSession.starred ? '★ Starred' : '☆ Star'}
+            </button>
+          )}
+          {onCreatePrintLayout && Object.values(PRINT_LAYOUTS).map((layout) => (
+            <button
+              key={layout.id}
+              className="btn btn-secondary btn-sm"
+              onClick={() => handlePrintLayout(layout.id)}
+              disabled={isBusy || sessionPhotos.length === 0}
+            >
+              🎞️ {layout.name}
+            </button>
+          ))}
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleExport(openSession.id)}
+            disabled={isBusy}
+          >
+            📦 Export ZIP
+          </button>
+          <button
+            className="btn btn-outline btn-sm"
+            onClick={() => handleDeleteSession(openSession)}
+            disabled={isBusy}
+          >
+            🗑️ Delete session
+          </button>
+        </div>
+      </div>
+
+      {sessionPhotos.length === 0 && (
+        <p className="gallery-empty">This session has no photos.</p>
+      )}
+
+      <div className="gallery-grid">
+        {sessionPhotos.map((photo) => (
+          <button
+            key={photo.id}
+            className="gallery-photo"
+            onClick={() => setViewerPhotoId(photo.id)}
+            aria-label={`View photo from ${formatDate(photo.createdAt)}`}
+          >
+            <PhotoImage photoId={photo.id} className="gallery-thumb" thumbnail version={photo.updatedAt} />
+            {photo.starred ? <span className="gallery-photo-star">★</span> : null}
+            {isAnimation(photo) ? (
+              <span className="gallery-photo-badge">{photo.mediaType === MEDIA_TYPES.VIDEO ? '▶ Clip' : 'GIF'}</span>
+            ) : null}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+
+  const viewerPhoto = viewerPhotoId
+    ? [...sessionPhotos, ...searchResults].find((photo) => photo.id === viewerPhotoId)
+    : null;
+
+  // Frames the viewer photo can be re-rendered with (same number of photo windows)
+  const shotCount = viewerPhoto?.recipe?.shots.length || 0;
+  const frameChoices = Object.entries(frameCatalog)
+    .map(([category, frames]) => [category, frames.filter((frame) => (frame.photoWindows?.length || 1) === shotCount)])
+    .filter(([, frames]) => frames.length > 0);
+
+  return (
+    <div className="gallery-screen">
+      {/* Header */}
+      <div className="gallery-header">
+        <button
+          className="btn-icon btn-back"
+          onClick={openSession ? handleCloseSession : onBack}
+          aria-label="Back"
+        >
+          ←
+        </button>
+        <h2 className="gallery-title">{openSession ? 'Session' : 'Gallery'}</h2>
+        <div className="btn-icon-spacer" />
+      </div>
+
+      <div className="gallery-main">
+        {openSession ? renderSessionDetail() : renderSessionList()}
+      </div>
+
+      {/* Full-size viewer */}
+      {viewerPhotoId && (
+        <div className="gallery-viewer" onClick={() => setViewerPhotoId(null)}>
+          <div className="gallery-viewer-content" onClick={(e) => e.stopPropagation()}>
+            <PhotoImage photoId={viewerPhotoId} className="gallery-viewer-image" version={viewerPhoto?.updatedAt} />
+            {onChangePhotoFrame && viewerPhoto?.recipe && (
+              <label className="gallery-viewer-frame">
+                Frame
+                <select
+                  className="gallery-filter"
+                  value={viewerPhoto.frameId || 'none'}
+                  onChange={(e) => handleChangeFrame(viewerPhoto, e.target.value)}
+                  disabled={isBusy}
+                >
+                  {shotCount === 1 && <option value="none">Original (no frame)</option>}
+                  {frameChoices.map(([category, frames]) => (
+                    <optgroup key={category} label={category.charAt(0).toUpperCase() + category.slice(1)}>
+                      {frames.map((frame) => (
+                        <option key={frame.id} value={frame.id}>{frame.name}</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </label>
+            )}
+            <div className="preview-actions">
+              <button className="btn btn-secondary" onClick={() => setViewerPhotoId(null)}>
+                ✕ Close
+              </button>
+              {onUpdatePhoto && viewerPhoto && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleTogglePhotoStar(viewerPhoto)}
+                  aria-pressed={Boolean(viewerPhoto.starred)}
+                >
+                  {viewerPhoto.starred ? '★ Starred' : '☆ Star'}
+                </button>
+              )}
+              <button className="btn btn-primary" onClick={() => handleDownloadPhoto(viewerPhotoId)}>
+                💾 Download
+              </button>
+              {!isAnimation(viewerPhoto) && (
+                <button className="btn btn-primary" onClick={() => handlePrintPhoto(viewerPhotoId)}>
+                  🖨️ Print
+                </button>
+              )}
+              <button
+                className="btn btn-outline"
+                onClick={() => handleDeletePhoto(viewerPhotoId)}
+                disabled={isBusy}
+              >
+                🗑️ Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isBusy && (
+        <div className="preview-loading">
+          <div className="spinner" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GalleryScreen;
@@ -3,22 +3,67 @@
  * Phase 1 MVP: US-014, 040, 041, 042
  * 
  * Display captured photo with options to retake, edit, save, print, or share
+ * GIFs, boomerangs and video clips play in place and can be downloaded or
+ * shared, not printed
  */
 
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useEffect } from 'react';
+import { PhotoEditor } from '../PhotoEditor';
+import { useBlobSource } from '../../hooks/useBlobSource';
+import { MEDIA_TYPES } from '../../constants';
+import { PRINT_FORMATS, PRINT_LAYOUTS } from '../../utils/printLayout';
+import { downloadBlob, getBlobExtension, printBlob } from '../../utils/photoExport';
 import '../screens/screens.css';
 
+/**
+ * Tags and guest details of a stored photo as the details form shows them
+ */
+const getDetails = (metadata = {}) => ({
+  tags: (metadata.tags || []).join(', '),
+  guestName: metadata.guestName || '',
+  guestEmail: metadata.guestEmail || '',
+});
+
 export const PreviewScreen = ({
   imageData,
+  frames = [],
+  stickerImages,
   onRetake,
   onSave,
   onPrint,
+  onCreatePrintLayout,
+  onUpdateDetails,
+  onSaveEdit,
   onShare,
   isLoading = false,
 }) => {
   const [zoomLevel, setZoomLevel] = useState(1);
   const [showExportMenu, setShowExportMenu] = useState(false);
-  const imgRef = useRef(null);
+  const [isBuildingPrint, setIsBuildingPrint] = useState(false);
+  const [isStarred, setIsStarred] = useState(Boolean(imageData.metadata?.starred));
+  const [details, setDetails] = useState(() => getDetails(imageData.metadata));
+  const [detailsStatus, setDetailsStatus] = useState(null); // 'saving' | 'saved' | null
+  const [detailsPhotoId, setDetailsPhotoId] = useState(imageData.photoId);
+  const [isEditing, setIsEditing] = useState(false);
+
+  // Only photos saved with their originals and recipe can be re-rendered
+  const canEdit = Boolean(onSaveEdit && imageData.metadata?.recipe && imageData.originals?.length);
+
+  const mediaType = imageData.metadata?.mediaType || MEDIA_TYPES.PHOTO;
+  const isAnimation = mediaType !== MEDIA_TYPES.PHOTO;
+  const isVideo = mediaType === MEDIA_TYPES.VIDEO;
+
+  // Another photo (e.g. a saved edit) starts from its own stored details
+  if (imageData.photoId !== detailsPhotoId) {
+    setDetailsPhotoId(imageData.photoId);
+    setIsStarred(Boolean(imageData.metadata?.starred));
+    setDetails(getDetails(imageData.metadata));
+    setDetailsStatus(null);
+  }
+
+  // Object URLs live as long as the blob, not a render
+  const videoSource = useBlobSource(isVideo ? imageData.blob : null, imageData.poster);
+  const imageSource = useBlobSource(isVideo ? null : imageData.blob);
 
   /**
    * Download image
@@ -26,16 +71,7 @@ export const PreviewScreen = ({
    */
   const handleDownload = async () => {
     try {
-      const url = URL.createObjectURL(imageData.blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `selfie-${Date.now()}.png`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      // Cleanup blob URL after short delay
-      setTimeout(() => URL.revokeObjectURL(url), 100);
+      downloadBlob(imageData.blob);
 
       // Call parent handler
       if (onSave) onSave(imageData);
@@ -51,27 +87,7 @@ export const PreviewScreen = ({
    */
   const handlePrint = () => {
     try {
-      const printWindow = window.open('', '', 'width=800,height=600');
-      const url = URL.createObjectURL(imageData.blob);
-
-      printWindow.document.write(`
-        <html>
-          <head>
-            <title>Print Photo</title>
-            <style>
-              body { margin: 0; padding: 20px; }
-              img { max-width: 100%; height: auto; }
-              @media print {
-                body { margin: 0; padding: 0; }
-              }
-            </style>
-          </head>
-          <body onload="window.print(); window.close();">
-            <img src="${url}" alt="Photo" />
-          </body>
-        </html>
-      `);
-      printWindow.document.close();
+      printBlob(imageData.blob);
 
       if (onPrint) onPrint(imageData);
     } catch (err) {
@@ -80,6 +96,85 @@ export const PreviewScreen = ({
     }
   };
 
+  /**
+   * Print a strip / postcard built from the latest session photos
+   */
+  const handlePrintLayout = async (layoutId) => {
+    if (!onCreatePrintLayout) return;
+
+    try {
+      setIsBuildingPrint(true);
+      const { blob, layout } = await onCreatePrintLayout(layoutId, PRINT_FORMATS.PNG);
+      printBlob(blob, `${layout.sheetWidthIn}in ${layout.sheetHeightIn}in`);
+
+      if (onPrint) onPrint({ blob, metadata: { layout: layout.id } });
+    } catch (err) {
+      console.error('Print layout failed:', err);
+      alert(err.message || 'Failed to create print layout');
+    } finally {
+      setIsBuildingPrint(false);
+    }
+  };
+
+  /**
+   * Star / unstar the stored photo (starred photos survive retention cleanup)
+   */
+  const handleToggleStar = async () => {
+    const next = !isStarred;
+    setIsStarred(next);
+
+    try {
+      await onUpdateDetails({ starred: next });
+    } catch (err) {
+      console.error('Star failed:', err);
+      setIsStarred(!next);
+      alert(err.message || 'Failed to update photo');
+    }
+  };
+
+  const handleDetailChange = (field, value) => {
+    setDetails((prev) => ({ ...prev, [field]: value }));
+    setDetailsStatus(null);
+  };
+
+  /**
+   * Save tags and guest details onto the stored photo
+   * Only edited fields are sent, so untouched ones keep their stored values
+   */
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+
+    const savedDetails = getDetails(imageData.metadata);
+    const changes = {};
+    Object.keys(details).forEach((field) => {
+      if (details[field] !== savedDetails[field]) changes[field] = details[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      setDetailsStatus('saved');
+      return;
+    }
+
+    try {
+      setDetailsStatus('saving');
+      const photo = await onUpdateDetails(changes);
+      setDetails(getDetails(photo));
+      setDetailsStatus('saved');
+    } catch (err) {
+      console.error('Saving details failed:', err);
+      setDetailsStatus(null);
+      alert(err.message || 'Failed to save details');
+    }
+  };
+
+  /**
+   * Store the editor's result as a new version and show it
+   */
+  const handleSaveEdit = async (result) => {
+    await onSaveEdit(result);
+    setIsEditing(false);
+  };
+
   /**
    * Share image
    * US-042: Share via Native API
@@ -88,7 +183,8 @@ export const PreviewScreen = ({
     try {
       if (navigator.share) {
         // Native share
-        const file = new File([imageData.blob], 'photo.png', { type: 'image/png' });
+        const type = imageData.blob.type || 'image/png';
+        const file = new File([imageData.blob], `photo.${getBlobExtension(imageData.blob)}`, { type });
         await navigator.share({
           title: 'My Selfie',
           text: 'Check out my selfie!',
@@ -99,7 +195,7 @@ export const PreviewScreen = ({
         try {
           await navigator.clipboard.write([
             new ClipboardItem({
-              'image/png': imageData.blob,
+              [imageData.blob.type || 'image/png']: imageData.blob,
             }),
           ]);
           alert('Photo copied to clipboard!');
@@ -120,120 +216,223 @@ export const PreviewScreen = ({
     <div className="preview-screen">
       {/* Header */}
       <div className="preview-header">
-        <h2 className="preview-title">Your Photo</h2>
+        <h2 className="preview-title">
+          {isVideo ? 'Your Clip' : isAnimation ? 'Your Animation' : 'Your Photo'}
+        </h2>
       </div>
 
-      {/* Main preview area */}
-      <div className="preview-main">
-        <div className="preview-image-container">
-          {/* Image display */}
-          <div
-            className="preview-image-wrapper"
-            style={{
-              transform: `scale(${zoomLevel})`,
-              overflow: 'auto',
-            }}
-          >
-            <img
-              ref={imgRef}
-              src={URL.createObjectURL(imageData.blob)}
-              alt="Captured photo"
-              className="preview-image"
-            />
-          </div>
+      {isEditing && (
+        <PhotoEditor
+          recipe={imageData.metadata.recipe}
+          originals={imageData.originals}
+          frames={frames}
+          stickerImages={stickerImages}
+          onSave={handleSaveEdit}
+          onCancel={() => setIsEditing(false)}
+        />
+      )}
 
-          {/* Loading state */}
-          {isLoading && (
-            <div className="preview-loading">
-              <div className="spinner" />
+      {!isEditing && (
+        <>
+          {/* Main preview area */}
+          <div className="preview-main">
+            <div className="preview-image-container">
+              {/* Image display */}
+              <div
+                className="preview-image-wrapper"
+                style={{
+                  transform: `scale(${zoomLevel})`,
+                  overflow: 'auto',
+                }}
+              >
+                {isVideo ? (
+                  <video
+                    ref={videoSource}
+                    className="preview-image"
+                    controls
+                    autoPlay
+                    loop
+                    muted
+                    playsInline
+                    aria-label="Recorded clip"
+                  />
+                ) : (
+                  <img
+                    ref={imageSource}
+                    alt="Captured photo"
+                    className="preview-image"
+                  />
+                )}
+              </div>
+
+              {/* Loading state */}
+              {isLoading && (
+                <div className="preview-loading">
+                  <div className="spinner" />
+                </div>
+              )}
             </div>
-          )}
-        </div>
-
-        {/* Zoom controls */}
-        <div className="preview-zoom-controls">
-          <button
-            className="btn btn-sm"
-            onClick={() => setZoomLevel(Math.max(1, zoomLevel - 0.1))}
-            disabled={zoomLevel <= 1}
-            aria-label="Zoom out"
-          >
-            −
-          </button>
-          <span className="zoom-level">{(zoomLevel * 100).toFixed(0)}%</span>
-          <button
-            className="btn btn-sm"
-            onClick={() => setZoomLevel(Math.min(3, zoomLevel + 0.1))}
-            disabled={zoomLevel >= 3}
-            aria-label="Zoom in"
-          >
-            +
-          </button>
-        </div>
-      </div>
 
-      {/* Action buttons */}
-      <div className="preview-actions">
-        {/* Primary actions - prominent */}
-        <button className="btn btn-secondary btn-lg" onClick={onRetake} disabled={isLoading}>
-          ↻ Retake
-        </button>
-
-        {/* Export menu trigger */}
-        <div className="export-menu-wrapper">
-          <button
-            className={`btn btn-primary btn-lg ${showExportMenu ? 'active' : ''}`}
-            onClick={() => setShowExportMenu(!showExportMenu)}
-            disabled={isLoading}
-            aria-expanded={showExportMenu}
-            aria-haspopup="menu"
-          >
-            📤 Save & Share
-          </button>
-
-          {/* Export options menu */}
-          {showExportMenu && (
-            <div className="export-menu" role="menu">
+            {/* Zoom controls */}
+            <div className="preview-zoom-controls">
               <button
-                className="export-option"
-                onClick={handleDownload}
-                role="menuitem"
-                disabled={isLoading}
+                className="btn btn-sm"
+                onClick={() => setZoomLevel(Math.max(1, zoomLevel - 0.1))}
+                disabled={zoomLevel <= 1}
+                aria-label="Zoom out"
               >
-                <span className="export-icon">💾</span>
-                <span>Download</span>
+                −
+              </button>
+              <span className="zoom-level">{(zoomLevel * 100).toFixed(0)}%</span>
+              <button
+                className="btn btn-sm"
+                onClick={() => setZoomLevel(Math.min(3, zoomLevel + 0.1))}
+                disabled={zoomLevel >= 3}
+                aria-label="Zoom in"
+              >
+                +
+              </button>
+            </div>
+          </div>
+
+          {/* Action buttons */}
+          <div className="preview-actions">
+            {/* Primary actions - prominent */}
+            <button className="btn btn-secondary btn-lg" onClick={onRetake} disabled={isLoading}>
+              ↻ Retake
+            </button>
+
+            {canEdit && (
+              <button className="btn btn-secondary btn-lg" onClick={() => setIsEditing(true)} disabled={isLoading}>
+                ✏️ Edit
               </button>
+            )}
 
+            {/* Export menu trigger */}
+            <div className="export-menu-wrapper">
               <button
-                className="export-option"
-                onClick={handlePrint}
-                role="menuitem"
+                className={`btn btn-primary btn-lg ${showExportMenu ? 'active' : ''}`}
+                onClick={() => setShowExportMenu(!showExportMenu)}
                 disabled={isLoading}
+                aria-expanded={showExportMenu}
+                aria-haspopup="menu"
               >
-                <span className="export-icon">🖨️</span>
-                <span>Print</span>
+                📤 Save & Share
               </button>
 
+              {/* Export options menu */}
+              {showExportMenu && (
+                <div className="export-menu" role="menu">
+                  <button
+                    className="export-option"
+                    onClick={handleDownload}
+                    role="menuitem"
+                    disabled={isLoading}
+                  >
+                    <span className="export-icon">💾</span>
+                    <span>{isVideo ? 'Download video' : isAnimation ? 'Download GIF' : 'Download'}</span>
+                  </button>
+
+                  {!isAnimation && (
+                    <button
+                      className="export-option"
+                      onClick={handlePrint}
+                      role="menuitem"
+                      disabled={isLoading}
+                    >
+                      <span className="export-icon">🖨️</span>
+                      <span>Print</span>
+                    </button>
+                  )}
+
+                  {onCreatePrintLayout && Object.values(PRINT_LAYOUTS).map((layout) => (
+                    <button
+                      key={layout.id}
+                      className="export-option"
+                      onClick={() => handlePrintLayout(layout.id)}
+                      role="menuitem"
+                      disabled={isLoading || isBuildingPrint}
+                    >
+                      <span className="export-icon">🎞️</span>
+                      <span>{isBuildingPrint ? 'Preparing…' : `Print ${layout.name}`}</span>
+                    </button>
+                  ))}
+
+                  <button
+                    className="export-option"
+                    onClick={handleShare}
+                    role="menuitem"
+                    disabled={isLoading}
+                  >
+                    <span className="export-icon">📲</span>
+                    <span>Share</span>
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Star, tags and guest details */}
+          {onUpdateDetails && (
+            <form className="preview-details" onSubmit={handleSaveDetails}>
               <button
-                className="export-option"
-                onClick={handleShare}
-                role="menuitem"
+                type="button"
+                className={`btn btn-secondary preview-star ${isStarred ? 'starred' : ''}`}
+                onClick={handleToggleStar}
+                aria-pressed={isStarred}
                 disabled={isLoading}
               >
-                <span className="export-icon">📲</span>
-                <span>Share</span>
+                {isStarred ? '★ Starred' : '☆ Star'}
               </button>
-            </div>
+              <input
+                className="preview-details-input"
+                type="text"
+                placeholder="Tags (comma separated)"
+                value={details.tags}
+                onChange={(e) => handleDetailChange('tags', e.target.value)}
+                aria-label="Tags"
+              />
+              <input
+                className="preview-details-input"
+                type="text"
+                placeholder="Guest name"
+                value={details.guestName}
+                onChange={(e) => handleDetailChange('guestName', e.target.value)}
+                autoComplete="off"
+                aria-label="Guest name"
+              />
+              <input
+                className="preview-details-input"
+                type="email"
+                placeholder="Guest email"
+                value={details.guestEmail}
+                onChange={(e) => handleDetailChange('guestEmail', e.target.value)}
+                autoComplete="off"
+                aria-label="Guest email"
+              />
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={isLoading || detailsStatus === 'saving'}
+              >
+                {detailsStatus === 'saved' ? '✓ Saved' : detailsStatus === 'saving' ? 'Saving…' : 'Save details'}
+              </button>
+            </form>
           )}
-        </div>
-      </div>
 
-      {/* Photo info */}
-      <div className="preview-info" aria-polite="polite">
-        <p className="info-text">
-          📏 {imageData.metadata?.width} × {imageData.metadata?.height}px
-        </p>
-      </div>
+          {/* Photo info */}
+          <div className="preview-info" aria-polite="polite">
+            <p className="info-text">
+              📏 {imageData.metadata?.width} × {imageData.metadata?.height}px
+              {imageData.metadata?.edited ? ' · edited' : ''}
+              {isVideo ? ` · video, ${Math.round(imageData.metadata.durationMs / 1000)}s` : ''}
+              {isAnimation && !isVideo
+                ? ` · ${mediaType === MEDIA_TYPES.BOOMERANG ? 'boomerang' : 'GIF'}, ${imageData.metadata.frameCount} frames`
+                : ''}
+            </p>
+          </div>
+        </>
+      )}
     </div>
   );
 };
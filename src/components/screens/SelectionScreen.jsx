@@ -27,6 +27,12 @@ const CATEGORIES = [
     description: 'Thoughtful and inspiring',
     emoji: '🌟',
   },
+  {
+    id: 'personalized',
+    name: 'Personalized',
+    description: 'Names, dates and event titles',
+    emoji: '✍️',
+  },
   {
     id: 'collage',
     name: 'Creative',
@@ -8,7 +8,7 @@
 import React, { useEffect, useState } from 'react';
 import '../screens/screens.css';
 
-export const WelcomeScreen = ({ onStart }) => {
+export const WelcomeScreen = ({ onStart, onOpenGallery, onOpenCameraSettings }) => {
   const [isAnimating, setIsAnimating] = useState(false);
   const [isRequestingCamera, setIsRequestingCamera] = useState(false);
 
@@ -52,6 +52,34 @@ export const WelcomeScreen = ({ onStart }) => {
       {/* Background gradient */}
       <div className="welcome-bg-gradient" />
 
+      {/* Operator gallery (doesn't start a session) */}
+      {onOpenGallery && (
+        <button
+          className="btn btn-secondary btn-sm welcome-gallery-btn"
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpenGallery();
+          }}
+          aria-label="Open gallery"
+        >
+          🖼️ Gallery
+        </button>
+      )}
+
+      {/* Operator camera settings (IP cameras) */}
+      {onOpenCameraSettings && (
+        <button
+          className="btn btn-secondary btn-sm welcome-settings-btn"
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpenCameraSettings();
+          }}
+          aria-label="Open camera settings"
+        >
+          📡 Cameras
+        </button>
+      )}
+
       {/* Main content container */}
       <div className={`welcome-content ${isAnimating ? 'animated' : ''}`}>
         {/* Logo/Brand */}
@@ -7,11 +7,17 @@ export const APP_CONFIG = {
   // UI/UX Configuration
   ZOOM_LEVELS: [1, 1.5, 2, 2.5, 3],
   TIMER_OPTIONS: [1, 3, 5, 10],
+  BURST_COUNT_OPTIONS: [3, 5], // shots per burst (1 = burst off)
+  BURST_INTERVAL_OPTIONS_MS: [250, 500, 1000],
+  DEFAULT_BURST_INTERVAL_MS: 500,
+  MOTION_FRAME_COUNT: 10, // frames recorded for a GIF / boomerang
+  MOTION_FRAME_INTERVAL_MS: 150,
 
   // Frame Configuration
   FRAME_CATEGORIES: ['children', 'adult', 'proverb', 'personalized', 'collage'],
   DEFAULT_CATEGORY: null,
   DEFAULT_FRAME: 'none',
+  DEFAULT_FRAME_FIT: 'cover', // how the camera fills a frame: cover | contain | fill
 
   // Scroll/Selection
   SCROLL_THRESHOLD: 5, // pixels before triggering frame selection
@@ -39,15 +45,16 @@ export const CAMERA_CONFIG = {
   // Scroll interaction
   SCROLL_SPEED_MULTIPLIER: 2, // Right-click drag speed multiplier
 
-  // IP Camera proxy (update with your IP)
-  USE_IP_CAMERA: true, // Set to true to use IP camera
-  IP_CAMERA_URL: '/cam-proxy/video', // Proxy endpoint for IP Webcam
-  IP_CAMERA_SNAPSHOT: '/cam-proxy/shot.jpg', // Snapshot endpoint for capturing frames
+  // IP cameras are added in the camera settings and reached through this
+  // dev / preview server proxy (see vite.config.js)
+  IP_CAMERA_PROXY_PATH: '/cam-remote',
+  IP_CAMERA_CHECK_TIMEOUT_MS: 8000,
 };
 
 export const FILTER_PRESETS = [
   { id: 'none', name: 'Original', class: '' },
-  { id: 'sepia', name: 'Vintage', class: 'sepia(1)' },
+  // Optional vignette/grain/curves extras are applied by the pixel filter engine
+  { id: 'sepia', name: 'Vintage', class: 'sepia(1)', vignette: { amount: 0.45, radius: 0.45 }, grain: { amount: 0.08, seed: 7 } },
   { id: 'grayscale', name: 'B&W', class: 'grayscale(1)' },
   { id: 'vivid', name: 'Vivid', class: 'saturate(2) contrast(1.1)' },
   { id: 'cool', name: 'Ice', class: 'hue-rotate(180deg) saturate(1.5)' },
@@ -80,6 +87,79 @@ export const IMAGE_CONFIG = {
 
   // Memory optimization
   BLOB_URL_CLEANUP_DELAY_MS: 100, // Wait before revoking blob URLs
+
+  // Gallery thumbnails (generated at save time, longest side in px)
+  THUMBNAIL_MAX_SIZE: 320,
+  THUMBNAIL_FORMAT: 'image/webp', // Falls back to JPEG where WebP encoding is unsupported
+  THUMBNAIL_QUALITY: 0.8,
+
+  // Raw camera captures kept for re-rendering (full sensor frame, before crop / filter / frame)
+  ORIGINAL_FORMAT: 'image/jpeg',
+  ORIGINAL_QUALITY: 0.95,
+
+  // Animated GIF / boomerang frames (longest side), keeps files small
+  MOTION_MAX_SIZE: 480,
+};
+
+/**
+ * Kinds of saved media (photos.mediaType)
+ */
+export const MEDIA_TYPES = {
+  PHOTO: 'photo',
+  GIF: 'gif',
+  BOOMERANG: 'boomerang',
+  VIDEO: 'video',
+};
+
+/**
+ * Video Clip Recording (canvas.captureStream + MediaRecorder)
+ */
+export const VIDEO_CONFIG = {
+  DURATION_OPTIONS_S: [3, 5, 10],
+  DEFAULT_DURATION_S: 5,
+  MAX_SIZE: 720, // longest side of the recorded canvas
+  FRAME_RATE: 30,
+  BITS_PER_SECOND: 2500000,
+
+  // First type the browser can record wins; WebM where available, MP4 on Safari
+  MIME_TYPES: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'],
+
+  // Poster frame, also the gallery thumbnail source
+  POSTER_FORMAT: 'image/jpeg',
+  POSTER_QUALITY: 0.9,
+};
+
+/**
+ * Print Layout Settings (photo strips / postcards)
+ */
+export const PRINT_CONFIG = {
+  DPI: 300,
+  MARGIN_IN: 0.1, // outer margin on each strip / postcard
+  GAP_IN: 0.08, // space between photos
+  BRANDING_TEXT: 'SelfieBooth',
+  BRANDING_HEIGHT_IN: 0.5, // band under the photos for branding text
+  BRANDING_COLOR: '#1f2937',
+  BACKGROUND: '#fff',
+  CUT_MARKS: true,
+  CUT_MARK_LENGTH_IN: 0.12,
+  CUT_MARK_COLOR: '#9ca3af',
+};
+
+/**
+ * Storage Retention Policies
+ * Applied on startup and after every save; 0 disables a limit
+ */
+export const RETENTION_CONFIG = {
+  MAX_AGE_DAYS: 30,
+  MAX_TOTAL_MB: 2048, // photo blobs across all sessions
+  MAX_PHOTOS: 5000,
+  KEEP_STARRED: true, // starred photos / sessions are never pruned
+  SWEEP_INTERVAL_MINUTES: 15, // policies are applied on start and then this often, not per save
+
+  // Operator warnings from navigator.storage.estimate()
+  QUOTA_WARNING_RATIO: 0.8,
+  QUOTA_CRITICAL_RATIO: 0.95,
+  MIN_FREE_MB: 200, // critical below this much free space, whatever the ratio
 };
 
 /**
@@ -0,0 +1,32 @@
+/**
+ * useBlobSource Hook - Point a media element at Blobs through object URLs
+ * Returns a ref callback that creates the URLs once per blob and revokes them
+ * when the blob changes or the element unmounts, so re-renders neither leak
+ * URLs nor restart playback.
+ */
+
+import { useCallback } from 'react';
+
+/**
+ * @param {Blob|null} blob - Shown as the element's src
+ * @param {Blob|null} posterBlob - Shown as a <video> poster
+ * @returns {Function} Ref callback for an <img> or <video>
+ */
+export const useBlobSource = (blob, posterBlob = null) => {
+  return useCallback((element) => {
+    if (!element) return undefined;
+
+    const urls = [];
+    const attach = (attribute, value) => {
+      if (!value) return;
+      const url = URL.createObjectURL(value);
+      urls.push(url);
+      element[attribute] = url;
+    };
+
+    attach('src', blob);
+    attach('poster', posterBlob);
+
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, [blob, posterBlob]);
+};
@@ -5,6 +5,7 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { cameraService } from '../services/cameraService';
+import { ipCameraService } from '../services/ipCameraService';
 
 export const useCamera = (options = {}) => {
   // State
@@ -13,13 +14,34 @@ export const useCamera = (options = {}) => {
   const [devices, setDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [notice, setNotice] = useState(null);
+  const [ipCameras, setIpCameras] = useState([]);
+  const [ipCamera, setIpCamera] = useState(null);
 
   // Refs
   const videoRef = useRef(null);
   const isMountedRef = useRef(true);
 
+  /**
+   * Re-read the webcam and IP camera lists and mark the one that is streaming
+   * Labels only appear once camera permission has been granted, so this runs
+   * after the camera starts rather than before.
+   */
+  const refreshDevices = useCallback(async () => {
+    const mediaDevices = await cameraService.getDevices();
+    if (!isMountedRef.current) return mediaDevices;
+
+    const activeId = cameraService.getActiveDeviceId();
+    setIpCameras(ipCameraService.load());
+    setIpCamera(cameraService.isIPCamera ? cameraService.ipSource : null);
+    setDevices(mediaDevices);
+    setSelectedDevice(mediaDevices.find((d) => d.deviceId === activeId) || null);
+    return mediaDevices;
+  }, []);
+
   /**
    * Initialize camera on mount
+   * The service starts the remembered webcam, or the front / default camera
    */
   useEffect(() => {
     isMountedRef.current = true;
@@ -28,32 +50,20 @@ export const useCamera = (options = {}) => {
       try {
         setIsLoading(true);
 
-        // Get available devices
-        const mediaDevices = await cameraService.getDevices();
-        if (!isMountedRef.current) return;
-
-        setDevices(mediaDevices);
-
-        // Prefer front-facing camera or first device
-        const frontCamera = mediaDevices.find((d) => d.facingMode === 'user');
-        const camera = frontCamera || mediaDevices[0];
-
-        if (!camera) {
-          setError('No camera device found');
-          setIsLoading(false);
-          return;
-        }
-
-        setSelectedDevice(camera);
-
         // Initialize camera
         const result = await cameraService.initialize(options.constraints, videoRef.current);
 
         if (!isMountedRef.current) return;
 
+        await refreshDevices();
+        if (!isMountedRef.current) return;
+
         if (result.success) {
           setIsInitialized(true);
           setError(null);
+          setNotice(result.preferredDeviceMissing
+            ? 'The saved camera is not connected, using the default camera instead.'
+            : null);
         } else {
           setError(result.error);
           setIsInitialized(false);
@@ -81,7 +91,7 @@ export const useCamera = (options = {}) => {
       isMountedRef.current = false;
       cameraService.stop();
     };
-  }, []);
+  }, [options.constraints, refreshDevices]);
 
   /**
    * Request camera permission again (after denial)
@@ -91,6 +101,7 @@ export const useCamera = (options = {}) => {
     setError(null);
 
     const result = await cameraService.initialize(options.constraints, videoRef.current);
+    await refreshDevices();
 
     if (result.success) {
       setIsInitialized(true);
@@ -100,23 +111,75 @@ export const useCamera = (options = {}) => {
     }
 
     setIsLoading(false);
-  }, [options.constraints]);
+  }, [options.constraints, refreshDevices]);
+
+  /**
+   * Follow cameras being plugged in or removed
+   * If the streaming camera disappears, fall back to the default camera
+   */
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return undefined;
+
+    const handleDeviceChange = async () => {
+      const activeId = cameraService.getActiveDeviceId();
+      let isRestarting = false;
+
+      try {
+        const available = await refreshDevices();
+        if (!isMountedRef.current || !activeId || available.some((d) => d.deviceId === activeId)) return;
+
+        console.warn('Active camera was disconnected, switching to the default camera');
+        isRestarting = true;
+        setIsLoading(true);
+        const result = await cameraService.initialize(options.constraints, videoRef.current);
+        if (!isMountedRef.current) return;
+
+        await refreshDevices();
+        if (!isMountedRef.current) return;
+        setIsInitialized(result.success);
+        setError(result.success ? null : result.error);
+        setNotice(result.success ? 'The camera was disconnected, using the default camera instead.' : null);
+      } catch (err) {
+        if (!isRestarting) {
+          // The streaming camera is unaffected, only the device list is stale
+          console.warn('Failed to refresh cameras:', err);
+        } else if (isMountedRef.current) {
+          setError(`Unexpected error: ${err.message}`);
+          setIsInitialized(false);
+        }
+      } finally {
+        // Only the restart above may end loading; a device list refresh leaves it alone
+        if (isRestarting && isMountedRef.current) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [options.constraints, refreshDevices]);
 
   /**
    * Switch to different camera device
+   * A successful switch is remembered for the next reload
    */
   const switchDevice = useCallback(
     async (deviceId) => {
       try {
         setIsLoading(true);
 
-        const result = await cameraService.switchDevice(deviceId);
+        const result = await cameraService.switchDevice(deviceId, videoRef.current);
+        await refreshDevices();
 
         if (result.success) {
-          const device = devices.find((d) => d.deviceId === deviceId);
-          setSelectedDevice(device);
+          setIsInitialized(true);
           setError(null);
+          setNotice(cameraService.getActiveDeviceId() === deviceId
+            ? null
+            : 'That camera could not be started, using the default camera instead.');
         } else {
+          setIsInitialized(false);
           setError(result.error);
         }
       } catch (err) {
@@ -125,14 +188,55 @@ export const useCamera = (options = {}) => {
         setIsLoading(false);
       }
     },
-    [devices]
+    [refreshDevices]
   );
 
+  /**
+   * Switch to an IP camera from the camera settings
+   * It stays in use across reloads until a webcam is picked
+   */
+  const switchToIPCamera = useCallback(
+    async (id) => {
+      try {
+        setIsLoading(true);
+
+        const result = await cameraService.switchToIPCamera(id, videoRef.current);
+        await refreshDevices();
+
+        if (result.success) {
+          setIsInitialized(true);
+          setError(null);
+          setNotice(null);
+        } else if (result.errorType === 'NO_DEVICE') {
+          // Removed in the meantime; the current camera keeps running
+          setNotice(result.error);
+        } else {
+          setIsInitialized(false);
+          setError(result.error);
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [refreshDevices]
+  );
+
+  /**
+   * The IP camera stream failed to load in the preview
+   */
+  const reportStreamError = useCallback(() => {
+    const name = cameraService.ipSource?.name || 'The IP camera';
+    setNotice(`${name} is not answering. Check it in the camera settings or pick another camera.`);
+  }, []);
+
   /**
    * Capture frame from video stream
+   * options (zoom, fit, filterId) are forwarded so the capture matches the preview
    */
   const captureFrame = useCallback(
-    async (width, height) => {
+    async (width, height, options = {}) => {
       if (!width || !height) {
         throw new Error('Capture size not provided');
       }
@@ -143,11 +247,31 @@ export const useCamera = (options = {}) => {
         throw new Error('Video element not available');
       }
 
-      return await cameraService.captureFrame(videoRef.current, width, height);
+      return await cameraService.captureFrame(videoRef.current, width, height, options);
     },
     []
   );
 
+  /**
+   * Record a video clip from the camera stream
+   * options (zoom, fit, filterId, overlay, durationMs, onProgress) go to cameraService.recordClip
+   */
+  const recordClip = useCallback(
+    async (width, height, options = {}) => {
+      if (!cameraService.isIPCamera && !videoRef.current) {
+        throw new Error('Video element not available');
+      }
+
+      return await cameraService.recordClip(videoRef.current, width, height, options);
+    },
+    []
+  );
+
+  /**
+   * Dismiss the camera fallback notice
+   */
+  const clearNotice = useCallback(() => setNotice(null), []);
+
   /**
    * Stop camera
    */
@@ -177,10 +301,18 @@ export const useCamera = (options = {}) => {
     error,
     devices,
     selectedDevice,
+    ipCameras,
+    ipCamera,
+    ipStreamUrl: ipCamera ? ipCameraService.getStreamUrl(ipCamera) : null,
+    notice,
 
     // Methods
     switchDevice,
+    switchToIPCamera,
+    reportStreamError,
+    clearNotice,
     captureFrame,
+    recordClip,
     stop,
     restart,
     requestPermissionAgain,
@@ -0,0 +1,70 @@
+/**
+ * useEditHistory Hook - Undo / redo over a sequence of edits
+ * Each entry pairs the edited value with the action that produced it, so the
+ * applied actions double as an edit log.
+ */
+
+import { useState, useCallback } from 'react';
+
+export const useEditHistory = (initialValue) => {
+  const [history, setHistory] = useState({
+    past: [],
+    present: { value: initialValue, action: null },
+    future: [],
+  });
+
+  /**
+   * Record a new value
+   * With `coalesce`, a run of actions of the same type (e.g. dragging a
+   * slider) collapses into one undo step.
+   *
+   * @param {*} value
+   * @param {{type: string}} action
+   * @param {{coalesce?: boolean}} [options]
+   */
+  const apply = useCallback((value, action, { coalesce = false } = {}) => {
+    setHistory((prev) => {
+      const entry = { value, action: { ...action, at: new Date().toISOString() } };
+      const merge = coalesce && prev.past.length > 0 && prev.present.action?.type === action.type;
+
+      return {
+        past: merge ? prev.past : [...prev.past, prev.present],
+        present: entry,
+        future: [],
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((prev) => {
+      if (prev.past.length === 0) return prev;
+      return {
+        past: prev.past.slice(0, -1),
+        present: prev.past[prev.past.length - 1],
+        future: [prev.present, ...prev.future],
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((prev) => {
+      if (prev.future.length === 0) return prev;
+      return {
+        past: [...prev.past, prev.present],
+        present: prev.future[0],
+        future: prev.future.slice(1),
+      };
+    });
+  }, []);
+
+  return {
+    value: history.present.value,
+    // Actions that led to the current value, oldest first
+    actions: [...history.past, history.present].map((entry) => entry.action).filter(Boolean),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    apply,
+    undo,
+    redo,
+  };
+};
@@ -5,28 +5,77 @@
 
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { storageService } from '../services/storageService';
+import { retentionService } from '../services/retentionService';
+import { lutService } from '../services/lutService';
+import { applyRecipeFrame, renderRecipe } from '../utils/renderRecipe';
 
 export const useSession = () => {
   // State
   const [currentSession, setCurrentSession] = useState(null);
   const [sessionHistory, setSessionHistory] = useState([]);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [storageStats, setStorageStats] = useState(null);
+  const [storageStatus, setStorageStatus] = useState(retentionService.lastStatus);
 
   // Ref to prevent state updates after unmount
   const isMountedRef = useRef(true);
 
+  // Session in progress, protected from the scheduled retention sweeps
+  const currentSessionIdRef = useRef(null);
+
+  // History paging: active query, next page cursor, and a counter that
+  // lets a new query discard pages still in flight for the old one
+  const historyQueryRef = useRef({});
+  const historyCursorRef = useRef(null);
+  const historyRequestRef = useRef(0);
+  const isLoadingMoreRef = useRef(false);
+
+  /**
+   * Update storage stats
+   */
+  const updateStorageStats = useCallback(async () => {
+    try {
+      const stats = await storageService.getStorageStats();
+      if (isMountedRef.current) {
+        setStorageStats(stats);
+      }
+    } catch (err) {
+      console.warn('Failed to update storage stats:', err);
+    }
+  }, []);
+
   /**
    * Initialize storage on mount
    */
   useEffect(() => {
+    // Re-arm after StrictMode's simulated unmount
+    isMountedRef.current = true;
+
+    const unsubscribe = retentionService.subscribe((status) => {
+      if (!isMountedRef.current) return;
+      setStorageStatus(status);
+      if (status.deletedPhotos > 0 || status.deletedSessions > 0) {
+        updateStorageStats();
+      }
+    });
+    let stopSweeps = null;
+    let isCancelled = false;
+
     const init = async () => {
       try {
         await storageService.init();
-        if (isMountedRef.current) {
-          await updateStorageStats();
-        }
+
+        await retentionService.requestPersistence();
+        if (isCancelled) return;
+
+        // Policies scan every photo, so they run on start and then on a timer
+        stopSweeps = retentionService.schedule(() => ({
+          protectSessionIds: currentSessionIdRef.current ? [currentSessionIdRef.current] : [],
+        }));
+        await updateStorageStats();
       } catch (err) {
         if (isMountedRef.current) {
           setError(`Storage initialization failed: ${err.message}`);
@@ -38,8 +87,15 @@ export const useSession = () => {
 
     return () => {
       isMountedRef.current = false;
+      isCancelled = true;
+      unsubscribe();
+      stopSweeps?.();
     };
-  }, []);
+  }, [updateStorageStats]);
+
+  useEffect(() => {
+    currentSessionIdRef.current = currentSession?.id || null;
+  }, [currentSession]);
 
   /**
    * Create new session
@@ -75,30 +131,38 @@ export const useSession = () => {
 
   /**
    * Save photo to current session
+   * Pass the session id when the session was created in the same handler,
+   * before this callback has seen the new currentSession; video clips pass
+   * their poster frame for the thumbnail
    */
   const savePhoto = useCallback(
-    async (imageBlob, metadata = {}) => {
+    async (imageBlob, metadata = {}, sessionId = currentSession?.id, originals = [], poster = null) => {
       try {
-        if (!currentSession) {
+        if (!sessionId) {
           throw new Error('No active session. Create one first.');
         }
 
         setError(null);
 
-        const photo = await storageService.savePhoto(currentSession.id, imageBlob, metadata);
+        const photo = await storageService.savePhoto(sessionId, imageBlob, metadata, originals, poster);
 
         if (isMountedRef.current) {
           // Update session photo count
-          setCurrentSession((prev) => ({
-            ...prev,
-            photoCount: (prev.photoCount || 0) + 1,
-            totalSize: (prev.totalSize || 0) + imageBlob.size,
-          }));
+          setCurrentSession((prev) => (prev?.id === sessionId
+            ? {
+              ...prev,
+              photoCount: (prev.photoCount || 0) + 1,
+              totalSize: (prev.totalSize || 0) + photo.blobSize + (photo.originalSize || 0),
+            }
+            : prev));
 
           // Update storage stats
           await updateStorageStats();
         }
 
+        // Re-check the quota without holding up the guest (pruning runs on a timer)
+        retentionService.checkQuota();
+
         return photo;
       } catch (err) {
         const errorMsg = `Failed to save photo: ${err.message}`;
@@ -108,25 +172,71 @@ export const useSession = () => {
         throw err;
       }
     },
-    [currentSession]
+    [currentSession, updateStorageStats]
   );
 
   /**
-   * Load session history
+   * Load the first page of session history (replaces the list)
    * US-031: Session History
+   *
+   * @param {Object} [query] - storageService.getSessions query (limit, category, from, to)
    */
-  const loadHistory = useCallback(async (limit = 10, offset = 0) => {
+  const loadHistory = useCallback(async (query = {}) => {
+    const requestId = ++historyRequestRef.current;
+    historyQueryRef.current = query;
+
     try {
       setIsLoading(true);
       setError(null);
 
-      const sessions = await storageService.getSessions(limit, offset);
+      const page = await storageService.getSessions({ ...query, cursor: null });
+
+      if (isMountedRef.current && requestId === historyRequestRef.current) {
+        historyCursorRef.current = page.nextCursor;
+        setSessionHistory(page.sessions);
+        setHistoryTotal(page.total);
+        setHasMoreHistory(Boolean(page.nextCursor));
+      }
 
+      return page;
+    } catch (err) {
+      const errorMsg = `Failed to load history: ${err.message}`;
       if (isMountedRef.current) {
-        setSessionHistory(sessions);
+        setError(errorMsg);
+      }
+      throw err;
+    } finally {
+      if (isMountedRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
+  /**
+   * Append the next page of the current history query (infinite scroll)
+   * No-op while a page is loading or when everything is loaded
+   */
+  const loadMoreHistory = useCallback(async () => {
+    const cursor = historyCursorRef.current;
+    if (!cursor || isLoadingMoreRef.current) return null;
+
+    const requestId = historyRequestRef.current;
+    isLoadingMoreRef.current = true;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const page = await storageService.getSessions({ ...historyQueryRef.current, cursor });
+
+      if (isMountedRef.current && requestId === historyRequestRef.current) {
+        historyCursorRef.current = page.nextCursor;
+        setSessionHistory((prev) => [...prev, ...page.sessions]);
+        setHistoryTotal(page.total);
+        setHasMoreHistory(Boolean(page.nextCursor));
       }
 
-      return sessions;
+      return page;
     } catch (err) {
       const errorMsg = `Failed to load history: ${err.message}`;
       if (isMountedRef.current) {
@@ -134,12 +244,29 @@ export const useSession = () => {
       }
       throw err;
     } finally {
+      isLoadingMoreRef.current = false;
       if (isMountedRef.current) {
         setIsLoading(false);
       }
     }
   }, []);
 
+  /**
+   * Get the last N photo blobs of a session (oldest first)
+   * Defaults to the current session
+   */
+  const getRecentPhotoBlobs = useCallback(
+    async (count, sessionId = currentSession?.id) => {
+      if (!sessionId) {
+        throw new Error('No active session. Create one first.');
+      }
+
+      const photos = await storageService.getRecentPhotos(sessionId, count);
+      return photos.map((photo) => photo.blob).filter(Boolean);
+    },
+    [currentSession]
+  );
+
   /**
    * Delete photo
    * US-032: Delete Photos
@@ -170,28 +297,140 @@ export const useSession = () => {
       }
       throw err;
     }
-  }, [currentSession]);
+  }, [currentSession, updateStorageStats]);
 
   /**
-   * End current session
+   * Delete a whole session with its photos
+   * US-032: Delete Sessions
    */
-  const endSession = useCallback(() => {
-    if (isMountedRef.current) {
-      setCurrentSession(null);
+  const deleteSession = useCallback(async (sessionId) => {
+    try {
+      setError(null);
+
+      await storageService.deleteSession(sessionId);
+
+      if (isMountedRef.current) {
+        if (sessionHistory.some((s) => s.id === sessionId)) {
+          setSessionHistory((prev) => prev.filter((s) => s.id !== sessionId));
+          setHistoryTotal((prev) => Math.max(0, prev - 1));
+        }
+        if (currentSession?.id === sessionId) {
+          setCurrentSession(null);
+        }
+
+        // Update storage stats
+        await updateStorageStats();
+      }
+
+      return true;
+    } catch (err) {
+      const errorMsg = `Failed to delete session: ${err.message}`;
+      if (isMountedRef.current) {
+        setError(errorMsg);
+      }
+      throw err;
+    }
+  }, [currentSession, sessionHistory, updateStorageStats]);
+
+  /**
+   * Update a photo's star, tags or guest details
+   */
+  const updatePhoto = useCallback(async (photoId, changes) => {
+    try {
+      setError(null);
+      return await storageService.updatePhoto(photoId, changes);
+    } catch (err) {
+      if (isMountedRef.current) {
+        setError(`Failed to update photo: ${err.message}`);
+      }
+      throw err;
     }
   }, []);
 
   /**
-   * Update storage stats
+   * Re-render a stored photo from its originals and recipe
+   * Used to fix or swap the frame after the fact; the frame must have as many
+   * photo windows as the photo has shots.
+   *
+   * @param {string} photoId
+   * @param {Object} frame - Frame catalog entry, or { id: 'none', image: null }
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.stickerImages] - Sticker id -> image URL
+   * @returns {Promise<Object>} Updated photo (without blob)
    */
-  const updateStorageStats = useCallback(async () => {
+  const rerenderPhoto = useCallback(async (photoId, frame, { stickerImages = {} } = {}) => {
     try {
-      const stats = await storageService.getStorageStats();
+      setError(null);
+
+      const photo = await storageService.getPhoto(photoId);
+      if (!photo) {
+        throw new Error('Photo not found');
+      }
+      if (!photo.recipe) {
+        throw new Error('This photo was saved without its original capture and cannot be re-rendered');
+      }
+
+      const originals = await storageService.getPhotoOriginals(photoId);
+
+      // .cube LUT filters only resolve once their presets are registered
+      await lutService.load();
+
+      const recipe = await applyRecipeFrame(photo.recipe, frame);
+      const { blob } = await renderRecipe(recipe, originals, {
+        frameImage: frame.image || null,
+        textSlots: frame.textSlots || [],
+        stickerImages,
+      });
+      const updated = await storageService.updatePhotoImage(photoId, blob, {
+        recipe,
+        frameId: recipe.frameId,
+        width: recipe.width,
+        height: recipe.height,
+        fit: recipe.fit,
+      });
+
       if (isMountedRef.current) {
-        setStorageStats(stats);
+        await updateStorageStats();
       }
+
+      return updated;
     } catch (err) {
-      console.warn('Failed to update storage stats:', err);
+      if (isMountedRef.current) {
+        setError(`Failed to re-render photo: ${err.message}`);
+      }
+      throw err;
+    }
+  }, [updateStorageStats]);
+
+  /**
+   * Update a session's star, tags or guest details
+   */
+  const updateSession = useCallback(async (sessionId, changes) => {
+    try {
+      setError(null);
+
+      const session = await storageService.updateSession(sessionId, changes);
+
+      if (isMountedRef.current) {
+        setCurrentSession((prev) => (prev?.id === sessionId ? { ...prev, ...session } : prev));
+        setSessionHistory((prev) => prev.map((s) => (s.id === sessionId ? session : s)));
+      }
+
+      return session;
+    } catch (err) {
+      if (isMountedRef.current) {
+        setError(`Failed to update session: ${err.message}`);
+      }
+      throw err;
+    }
+  }, []);
+
+  /**
+   * End current session
+   */
+  const endSession = useCallback(() => {
+    if (isMountedRef.current) {
+      setCurrentSession(null);
     }
   }, []);
 
@@ -199,15 +438,24 @@ export const useSession = () => {
     // State
     currentSession,
     sessionHistory,
+    historyTotal,
+    hasMoreHistory,
     isLoading,
     error,
     storageStats,
+    storageStatus,
 
     // Methods
     createSession,
     savePhoto,
     loadHistory,
+    loadMoreHistory,
     deletePhoto,
+    deleteSession,
+    updatePhoto,
+    updateSession,
+    rerenderPhoto,
+    getRecentPhotoBlobs,
     endSession,
     updateStorageStats,
   };
@@ -0,0 +1,74 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { createElement } from 'react';
+import { renderToString } from 'react-dom/server';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { useSession } from './useSession';
+import { lutService } from '../services/lutService';
+import { storageService } from '../services/storageService';
+import { getFilterPreset } from '../utils/filters';
+import { createRenderRecipe, renderRecipe } from '../utils/renderRecipe';
+
+vi.mock('../utils/renderRecipe', async (importOriginal) => ({
+  ...(await importOriginal()),
+  renderRecipe: vi.fn(),
+}));
+
+const WARM_CUBE = 'TITLE "Warm"\nLUT_3D_SIZE 2\n0 0 0\n1 0 0\n0 1 0\n1 1 0\n0 0 1\n1 0 1\n0 1 1\n1 1 1\n';
+
+/**
+ * The hook's callbacks, from a server render (effects don't run there)
+ */
+const Probe = ({ onRender }) => {
+  onRender(useSession());
+  return null;
+};
+
+const getSession = () => {
+  let session;
+  renderToString(createElement(Probe, { onRender: (value) => { session = value; } }));
+  return session;
+};
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  storageService.db = null;
+  storageService.initPromise = null;
+  lutService.luts.clear();
+  lutService.loadPromise = null;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('rerenderPhoto', () => {
+  it('applies a stored LUT filter when the LUTs have not been loaded yet', async () => {
+    await storageService.saveLut({ id: 'lut-warm', name: 'Warm', text: WARM_CUBE, addedAt: '2024-01-01T00:00:00.000Z' });
+    const recipe = createRenderRecipe({
+      frameId: 'none',
+      filterId: 'lut-warm',
+      zoom: 1,
+      fit: 'cover',
+      width: 4,
+      height: 4,
+      shots: [{ photoWindow: { x: 0, y: 0, width: 1, height: 1 } }],
+    });
+    const session = await storageService.createSession();
+    const photo = await storageService.savePhoto(
+      session.id,
+      new Blob(['photo'], { type: 'image/png' }),
+      { recipe, filterId: 'lut-warm' },
+      [new Blob(['original'], { type: 'image/png' })]
+    );
+
+    let renderedFilter = null;
+    renderRecipe.mockImplementation(async (rendered) => {
+      renderedFilter = getFilterPreset(rendered.filterId).id;
+      return { blob: new Blob(['rerendered'], { type: 'image/png' }) };
+    });
+
+    await getSession().rerenderPhoto(photo.id, { id: 'none', image: null });
+
+    expect(renderedFilter).toBe('lut-warm');
+    expect(await (await storageService.getPhotoBlob(photo.id)).text()).toBe('rerendered');
+  });
+});
@@ -3,7 +3,15 @@
  * Phase 1 MVP Implementation
  */
 
-import { CAMERA_CONFIG } from '../constants';
+import { CAMERA_CONFIG, IMAGE_CONFIG, VIDEO_CONFIG } from '../constants';
+import { FIT_MODES } from '../utils/cropRegion';
+import { DEFAULT_FILTER_ID } from '../utils/filters';
+import { canvasToBlob, drawCrop, renderCrop, renderOriginal } from '../utils/compositor';
+import { applyFilterToCanvas, getPresetPipeline } from '../utils/filterEngine';
+import { ipCameraService } from './ipCameraService';
+
+// Webcam picked in the camera settings, remembered across reloads
+const PREFERRED_DEVICE_KEY = 'selfiebooth.cameraDeviceId';
 
 class CameraService {
   constructor() {
@@ -11,6 +19,7 @@ class CameraService {
     this.mediaStream = null;
     this.videoElement = null;
     this.isIPCamera = false;
+    this.ipSource = null;
     this.isInitializing = false;
   }
 
@@ -37,23 +46,40 @@ class CameraService {
       
       this.videoElement = videoElement;
 
-      // Check if IP camera is enabled
-      if (CAMERA_CONFIG.USE_IP_CAMERA) {
+      // Use the IP camera selected in the camera settings (an explicitly chosen webcam wins)
+      const ipSource = constraints.video?.deviceId ? null : ipCameraService.getSelected();
+      if (ipSource) {
         console.log('Using IP camera mode...');
-        const ipResult = await this.initializeIPCamera();
+        const ipResult = await this.initializeIPCamera(ipSource);
         return ipResult;
       }
 
-      // Use device camera (original code)
-      const result = await this.initializeDeviceCamera(constraints, videoElement);
+      // Use device camera, starting with the remembered webcam unless one was asked for
+      const preferredId = constraints.video?.deviceId ? null : this.getPreferredDeviceId();
+      let preferredDeviceMissing = false;
+      if (preferredId) {
+        const preferred = await this.initializeDeviceCamera(
+          { ...constraints, video: { ...constraints.video, deviceId: { exact: preferredId } } },
+          videoElement
+        );
+        if (preferred.success || !['OVERCONSTRAINED', 'NO_DEVICE'].includes(preferred.errorType)) {
+          return preferred;
+        }
+
+        // Remembered webcam is gone (unplugged, replaced): carry on with the default camera
+        console.warn('Remembered camera not found, using the default camera');
+        preferredDeviceMissing = true;
+      }
+
+      let result = await this.initializeDeviceCamera(constraints, videoElement);
       
       // If overconstrained, retry with basic settings
       if (!result.success && result.errorType === 'OVERCONSTRAINED') {
         console.log('Retrying with basic camera settings...');
-        return await this.initializeDeviceCamera({ video: true }, videoElement);
+        result = await this.initializeDeviceCamera({ video: true }, videoElement);
       }
       
-      return result;
+      return preferredDeviceMissing ? { ...result, preferredDeviceMissing } : result;
     } catch (error) {
       console.error('Camera initialization failed:', error);
       return {
@@ -70,11 +96,15 @@ class CameraService {
    * Initialize IP camera (e.g., IP Webcam app)
    * IP camera uses img tag, not video element
    */
-  async initializeIPCamera() {
+  async initializeIPCamera(source) {
+    // The proxy only serves cameras registered since the server started
+    await ipCameraService.register(source);
+
     this.isIPCamera = true;
+    this.ipSource = source;
     
-    const endpoint = CAMERA_CONFIG.IP_CAMERA_URL || '/cam-proxy/video';
-    console.log(`Using IP camera endpoint: ${endpoint}`);
+    const endpoint = ipCameraService.getStreamUrl(source);
+    console.log(`Using IP camera "${source.name}"`);
     
     // IP camera doesn't use mediaStream - it uses img tag in the UI
     // Just return success and let the component render the img tag
@@ -83,6 +113,7 @@ class CameraService {
       stream: null,
       isIPCamera: true,
       endpoint: endpoint,
+      ipSource: source,
     };
   }
 
@@ -93,10 +124,10 @@ class CameraService {
     try {
       this.isIPCamera = false;
 
-      // Merge with default constraints
+      // Merge with default constraints; a chosen device replaces the front-camera preference
       const mergedConstraints = {
         video: {
-          facingMode: 'user',
+          ...(constraints.video?.deviceId ? {} : { facingMode: 'user' }),
           width: { ideal: 1920 },
           height: { ideal: 1080 },
           ...constraints.video,
@@ -185,8 +216,43 @@ class CameraService {
     }
   }
 
+  /**
+   * Device id of the webcam currently streaming, or null
+   */
+  getActiveDeviceId() {
+    const track = this.mediaStream?.getVideoTracks()[0];
+    return track?.getSettings?.().deviceId || null;
+  }
+
+  /**
+   * Remembered webcam device id, or null
+   */
+  getPreferredDeviceId() {
+    try {
+      return localStorage.getItem(PREFERRED_DEVICE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remember (or, with null, forget) the webcam to start with
+   */
+  setPreferredDeviceId(deviceId) {
+    try {
+      if (deviceId) {
+        localStorage.setItem(PREFERRED_DEVICE_KEY, deviceId);
+      } else {
+        localStorage.removeItem(PREFERRED_DEVICE_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to remember camera:', error);
+    }
+  }
+
   /**
    * Get list of available camera devices
+   * Labels are empty until camera permission has been granted
    */
   async getDevices() {
     try {
@@ -200,8 +266,9 @@ class CameraService {
 
   /**
    * Switch to different camera device
+   * The device is remembered once it is streaming
    */
-  async switchDevice(deviceId) {
+  async switchDevice(deviceId, videoElement = this.videoElement) {
     try {
       // Stop current stream
       if (this.mediaStream) {
@@ -218,7 +285,12 @@ class CameraService {
         audio: false,
       };
 
-      return await this.initialize(constraints, this.videoElement);
+      const result = await this.initialize(constraints, videoElement);
+      if (result.success && this.getActiveDeviceId() === deviceId) {
+        this.setPreferredDeviceId(deviceId);
+        ipCameraService.setSelectedId(null);
+      }
+      return result;
     } catch (error) {
       console.error('Failed to switch camera:', error);
       return {
@@ -228,97 +300,105 @@ class CameraService {
     }
   }
 
+  /**
+   * Switch to a saved IP camera
+   * It stays selected across reloads until a webcam is picked
+   */
+  async switchToIPCamera(id, videoElement = this.videoElement) {
+    if (!ipCameraService.get(id)) {
+      return {
+        success: false,
+        error: 'That IP camera is no longer in the camera settings',
+        errorType: 'NO_DEVICE',
+      };
+    }
+
+    ipCameraService.setSelectedId(id);
+    return this.initialize({}, videoElement);
+  }
+
+  /**
+   * Convert a capture canvas into the captureFrame result shape
+   */
+  canvasToResult(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (!blob) {
+            reject(new Error('Failed to create blob from canvas'));
+            return;
+          }
+          resolve({
+            blob,
+            canvas,
+            width: canvas.width,
+            height: canvas.height,
+          });
+        },
+        'image/png',
+        0.95
+      );
+    });
+  }
+
+  /**
+   * captureFrame result, plus the unmirrored source frame when requested
+   * The original is copied before any encoding awaits, so a live video
+   * source can't move on between the capture and its original
+   */
+  async buildCaptureResult(canvas, source, { mirror, includeOriginal }) {
+    const originalCanvas = includeOriginal ? renderOriginal(source) : null;
+    const result = await this.canvasToResult(canvas);
+    if (!originalCanvas) return result;
+
+    const blob = await canvasToBlob(originalCanvas, IMAGE_CONFIG.ORIGINAL_FORMAT, IMAGE_CONFIG.ORIGINAL_QUALITY);
+    return {
+      ...result,
+      original: { blob, width: originalCanvas.width, height: originalCanvas.height, mirror },
+    };
+  }
+
   /**
    * Capture frame from video stream or IP camera as blob
    * US-013: Image Capture with Frame Compositing
+   *
+   * options.zoom and options.fit crop the source exactly like the preview does,
+   * options.filterId applies a FILTER_PRESETS filter to the captured pixels,
+   * options.includeOriginal also returns the full unfiltered source frame
+   * (`original`) so the photo can be re-rendered later
    */
-  async captureFrame(sourceElement = null, targetWidth, targetHeight) {
+  async captureFrame(sourceElement = null, targetWidth, targetHeight, options = {}) {
     try {
       if (!targetWidth || !targetHeight) {
         throw new Error('Capture size not provided');
       }
 
-      const getSourceSize = (element) => {
-        if (!element) return null;
-        if (element.tagName === 'VIDEO') {
-          return { width: element.videoWidth, height: element.videoHeight };
-        }
-        if (element.tagName === 'IMG') {
-          return { width: element.naturalWidth || element.width, height: element.naturalHeight || element.height };
-        }
-        return { width: element.width, height: element.height };
-      };
-
-      const getCoverRect = (srcWidth, srcHeight, dstWidth, dstHeight) => {
-        if (!srcWidth || !srcHeight) {
-          return null;
-        }
-        const srcAspect = srcWidth / srcHeight;
-        const dstAspect = dstWidth / dstHeight;
-
-        if (srcAspect > dstAspect) {
-          const sWidth = srcHeight * dstAspect;
-          const sx = (srcWidth - sWidth) / 2;
-          return { sx, sy: 0, sWidth, sHeight: srcHeight };
-        }
-
-        const sHeight = srcWidth / dstAspect;
-        const sy = (srcHeight - sHeight) / 2;
-        return { sx: 0, sy, sWidth: srcWidth, sHeight };
-      };
-
+      const { zoom = 1, fit = FIT_MODES.COVER, filterId = DEFAULT_FILTER_ID, includeOriginal = false } = options;
       let source = sourceElement;
       
       // For IP camera, always fetch from snapshot endpoint or img element
       if (this.isIPCamera) {
-        const snapshotUrl = CAMERA_CONFIG.IP_CAMERA_SNAPSHOT;
+        const snapshotUrl = ipCameraService.getSnapshotUrl(this.ipSource);
         if (snapshotUrl) {
-          console.log('Using snapshot endpoint:', snapshotUrl);
+          console.log(`Using snapshot of IP camera "${this.ipSource.name}"`);
           
           // Create a temporary img to load the snapshot
           const snapshotImg = new Image();
           snapshotImg.crossOrigin = 'anonymous';
           
-          return new Promise((resolve, reject) => {
-            snapshotImg.onload = async () => {
-              try {
-                const canvas = document.createElement('canvas');
-                canvas.width = targetWidth;
-                canvas.height = targetHeight;
-                const ctx = canvas.getContext('2d');
-                
-                // Draw snapshot
-                ctx.drawImage(snapshotImg, 0, 0, canvas.width, canvas.height);
-                
-                // Convert to blob
-                canvas.toBlob(
-                  (blob) => {
-                    if (!blob) {
-                      throw new Error('Failed to create blob from canvas');
-                    }
-                    resolve({
-                      blob,
-                      canvas,
-                      width: canvas.width,
-                      height: canvas.height,
-                    });
-                  },
-                  'image/png',
-                  0.95
-                );
-              } catch (err) {
-                reject(err);
-              }
-            };
-            
+          await new Promise((resolve, reject) => {
+            snapshotImg.onload = resolve;
             snapshotImg.onerror = () => {
-              console.error('Failed to load snapshot from IP camera at:', snapshotUrl);
-              reject(new Error('Failed to load snapshot from IP camera. Make sure the endpoint ' + snapshotUrl + ' is available.'));
+              console.error('Failed to load snapshot from IP camera:', this.ipSource.name);
+              reject(new Error(`Failed to load a snapshot from ${this.ipSource.name}. Check its snapshot URL in the camera settings.`));
             };
             
-            // Add timestamp to prevent caching
-            snapshotImg.src = snapshotUrl + '?t=' + Date.now();
+            // The snapshot URL carries a timestamp to prevent caching
+            snapshotImg.src = snapshotUrl;
           });
+
+          const canvas = renderCrop(snapshotImg, targetWidth, targetHeight, { zoom, fit, filterId });
+          return await this.buildCaptureResult(canvas, snapshotImg, { mirror: false, includeOriginal });
         } else {
           // No snapshot URL, try to use img element
           source = document.querySelector('.camera-stream') || 
@@ -335,50 +415,155 @@ class CameraService {
         throw new Error('Camera source element not provided');
       }
 
-      const canvas = document.createElement('canvas');
-      canvas.width = targetWidth;
-      canvas.height = targetHeight;
+      // Mirror ONLY for webcam (not IP camera)
+      const mirror = !this.isIPCamera && source.tagName === 'VIDEO';
+      const canvas = renderCrop(source, targetWidth, targetHeight, { zoom, fit, mirror, filterId });
 
-      const ctx = canvas.getContext('2d');
+      return await this.buildCaptureResult(canvas, source, { mirror, includeOriginal });
+    } catch (error) {
+      console.error('Failed to capture frame:', error);
+      throw error;
+    }
+  }
 
-      // Mirror ONLY for webcam (not IP camera)
-      if (!this.isIPCamera && source && source.tagName === 'VIDEO') {
-        ctx.translate(canvas.width, 0);
-        ctx.scale(-1, 1);
+  /**
+   * First clip MIME type MediaRecorder supports here, or null
+   */
+  getClipMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return VIDEO_CONFIG.MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * Record a video clip of the camera source
+   * Every animation frame draws the preview crop onto a canvas, with
+   * options.overlay (frame PNG, text, stickers) on top, and the canvas stream
+   * is recorded with MediaRecorder. The filter goes through the same pixel
+   * pipeline as stills (ctx.filter is ignored by Safari, which records MP4).
+   *
+   * options.durationMs sets the clip length, options.onProgress receives the
+   * elapsed milliseconds on every frame. The poster is the first frame.
+   *
+   * @returns {Promise<{blob: Blob, poster: Blob, width: number, height: number, durationMs: number}>}
+   */
+  async recordClip(sourceElement = null, targetWidth, targetHeight, options = {}) {
+    if (!targetWidth || !targetHeight) {
+      throw new Error('Capture size not provided');
+    }
+
+    const mimeType = this.getClipMimeType();
+    if (!mimeType) {
+      throw new Error('Video recording is not supported in this browser');
+    }
+
+    const {
+      durationMs = VIDEO_CONFIG.DEFAULT_DURATION_S * 1000,
+      zoom = 1,
+      fit = FIT_MODES.COVER,
+      filterId = DEFAULT_FILTER_ID,
+      overlay = null,
+      onProgress,
+    } = options;
+
+    // IP camera streams are drawn straight from the MJPEG img element
+    const source = this.isIPCamera
+      ? document.querySelector('.camera-stream') || document.querySelector('img[alt="IP Camera Stream"]')
+      : sourceElement;
+    if (!source) {
+      throw new Error('Camera source element not provided');
+    }
+    const mirror = !this.isIPCamera && source.tagName === 'VIDEO';
+    // Resolved once, not per frame (LUT presets carry a parsed cube)
+    const pipeline = getPresetPipeline(filterId);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = targetWidth;
+    canvas.height = targetHeight;
+    // Every filtered frame is read back, so keep the canvas in CPU memory
+    const ctx = canvas.getContext('2d', { willReadFrequently: pipeline.length > 0 });
+
+    const drawFrame = () => {
+      const region = drawCrop(ctx, source, targetWidth, targetHeight, { zoom, fit, mirror });
+      applyFilterToCanvas(canvas, pipeline, {
+        x: targetWidth - region.dx - region.dWidth,
+        y: region.dy,
+        width: region.dWidth,
+        height: region.dHeight,
+      });
+      if (overlay) {
+        ctx.drawImage(overlay, 0, 0, targetWidth, targetHeight);
       }
+    };
+
+    // First frame doubles as the poster (toBlob copies the pixels right away)
+    drawFrame();
+    const posterPromise = canvasToBlob(canvas, VIDEO_CONFIG.POSTER_FORMAT, VIDEO_CONFIG.POSTER_QUALITY);
+
+    const stream = canvas.captureStream(VIDEO_CONFIG.FRAME_RATE);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_CONFIG.BITS_PER_SECOND });
+    const chunks = [];
+    let drawError = null;
+    let frameRequest = null;
+
+    const stopped = new Promise((resolve, reject) => {
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = resolve;
+      recorder.onerror = (event) => reject(event.error || new Error('Video recording failed'));
+    });
 
-      // Draw frame from source
+    const finish = () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+    };
+
+    const startedAt = performance.now();
+    const tick = () => {
+      const elapsed = performance.now() - startedAt;
       try {
-        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
-        console.log('✓ Image drawn to canvas successfully');
-      } catch (drawError) {
-        console.error('Canvas draw error:', drawError);
-        throw new Error('Failed to capture image: ' + drawError.message);
+        drawFrame();
+      } catch (error) {
+        drawError = error;
+        finish();
+        return;
       }
 
-      // Convert to blob
-      return new Promise((resolve, reject) => {
-        canvas.toBlob(
-          (blob) => {
-            if (!blob) {
-              reject(new Error('Failed to create blob from canvas'));
-              return;
-            }
-            resolve({
-              blob,
-              canvas,
-              width: canvas.width,
-              height: canvas.height,
-            });
-          },
-          'image/png',
-          0.95
-        );
-      });
-    } catch (error) {
-      console.error('Failed to capture frame:', error);
-      throw error;
+      onProgress?.(Math.min(elapsed, durationMs));
+      if (elapsed >= durationMs) {
+        finish();
+        return;
+      }
+      frameRequest = requestAnimationFrame(tick);
+    };
+
+    recorder.start();
+    tick();
+
+    try {
+      await stopped;
+    } finally {
+      cancelAnimationFrame(frameRequest);
+      stream.getTracks().forEach((track) => track.stop());
     }
+
+    if (drawError) {
+      console.error('Clip recording stopped:', drawError);
+      throw drawError;
+    }
+
+    // Plain container type (no codecs) so downloads get a clean extension
+    const blob = new Blob(chunks, { type: mimeType.split(';')[0] });
+    if (blob.size === 0) {
+      throw new Error('Video recording produced no data');
+    }
+
+    return {
+      blob,
+      poster: await posterPromise,
+      width: targetWidth,
+      height: targetHeight,
+      durationMs,
+    };
   }
 
   /**
@@ -412,6 +597,7 @@ class CameraService {
       this.stream = null;
       this.mediaStream = null;
       this.isIPCamera = false;
+      this.ipSource = null;
       this.isInitializing = false;
       
       console.log('Camera service stopped and cleaned up');
@@ -442,6 +628,7 @@ class CameraService {
       isActive: this.isActive(),
       isInitializing: this.isInitializing,
       isIPCamera: this.isIPCamera,
+      ipCameraId: this.ipSource?.id || null,
       hasStream: !!this.mediaStream,
     };
   }
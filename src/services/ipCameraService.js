@@ -0,0 +1,312 @@
+/**
+ * IP Camera Service - Operator-configured network camera sources
+ * Stores the IP cameras added in the camera settings (stream URL, optional
+ * snapshot URL, credentials) and which one the booth should use. Cameras are
+ * registered with the dev / preview server's camera proxy and reached through
+ * it, so frames stay same-origin and can be drawn onto capture canvases.
+ */
+
+import { CAMERA_CONFIG } from '../constants';
+import { createId } from '../utils/ids';
+
+const STORAGE_KEY = 'selfiebooth.ipCameras';
+const SELECTED_KEY = 'selfiebooth.ipCameraId';
+const MAX_NAME_LENGTH = 60;
+// Proxy id for connection checks of camera settings being edited
+const UNSAVED_CAMERA_ID = 'unsaved';
+
+/**
+ * Parse an operator-entered camera URL
+ *
+ * @returns {URL|null} null for an empty value
+ * @throws {Error} When the value is not an http(s) URL
+ */
+const parseCameraUrl = (value, label) => {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    throw new Error(`${label} is not a valid URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${label} must start with http:// or https://`);
+  }
+  if (url.username || url.password) {
+    throw new Error(`Enter the camera login as username and password, not in the ${label}`);
+  }
+  return url;
+};
+
+class IpCameraService {
+  constructor() {
+    this.sources = [];
+    this.isLoaded = false;
+  }
+
+  /**
+   * Restore saved IP cameras from localStorage
+   * Entries without a usable stream URL are dropped with a warning
+   */
+  load() {
+    if (this.isLoaded) return this.list();
+    this.isLoaded = true;
+
+    let stored = [];
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+      console.warn('Stored IP cameras are unreadable, ignoring:', error);
+    }
+
+    this.sources = (Array.isArray(stored) ? stored : []).filter((source) => {
+      try {
+        return Boolean(source?.id && parseCameraUrl(source.streamUrl, 'Stream URL'));
+      } catch (error) {
+        console.warn(`Dropping stored IP camera "${source?.name}":`, error.message);
+        return false;
+      }
+    });
+
+    return this.list();
+  }
+
+  /**
+   * All saved IP cameras
+   */
+  list() {
+    return this.sources.map((source) => ({ ...source }));
+  }
+
+  /**
+   * A saved IP camera by id, or null
+   */
+  get(id) {
+    const source = this.load().find((entry) => entry.id === id);
+    return source || null;
+  }
+
+  /**
+   * Add an IP camera, or update one when fields.id matches a saved camera
+   *
+   * @param {Object} fields
+   * @param {string} [fields.id]
+   * @param {string} fields.name
+   * @param {string} fields.streamUrl - MJPEG stream, e.g. http://192.168.1.27:8080/video
+   * @param {string} [fields.snapshotUrl] - Still image used for captures, e.g. .../shot.jpg
+   * @param {string} [fields.username]
+   * @param {string} [fields.password]
+   * @returns {Object} The saved source
+   * @throws {Error} When a field is missing or invalid
+   */
+  save(fields) {
+    this.load();
+
+    const name = (fields.name || '').trim();
+    if (!name) {
+      throw new Error('Give the camera a name');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Camera names are limited to ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const streamUrl = parseCameraUrl(fields.streamUrl, 'Stream URL');
+    if (!streamUrl) {
+      throw new Error('Stream URL is required');
+    }
+    const snapshotUrl = parseCameraUrl(fields.snapshotUrl, 'Snapshot URL');
+
+    const existing = fields.id ? this.sources.find((source) => source.id === fields.id) : null;
+    const source = {
+      id: existing?.id || createId('ipcam'),
+      name,
+      streamUrl: streamUrl.href,
+      snapshotUrl: snapshotUrl?.href || '',
+      username: (fields.username || '').trim(),
+      password: fields.password || '',
+    };
+
+    this.sources = existing
+      ? this.sources.map((entry) => (entry.id === existing.id ? source : entry))
+      : [...this.sources, source];
+    this.persist();
+
+    return { ...source };
+  }
+
+  /**
+   * Remove a saved IP camera (and stop using it if it was selected)
+   */
+  remove(id) {
+    this.load();
+    if (!this.sources.some((source) => source.id === id)) return false;
+
+    this.sources = this.sources.filter((source) => source.id !== id);
+    this.persist();
+    this.unregister(id);
+    if (this.getSelectedId() === id) {
+      this.setSelectedId(null);
+    }
+    return true;
+  }
+
+  /**
+   * Id of the IP camera the booth uses, or null for a USB webcam
+   */
+  getSelectedId() {
+    try {
+      return localStorage.getItem(SELECTED_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * The selected IP camera, or null (also when it has been removed)
+   */
+  getSelected() {
+    const id = this.getSelectedId();
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Use an IP camera, or with null go back to USB webcams
+   */
+  setSelectedId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(SELECTED_KEY, id);
+      } else {
+        localStorage.removeItem(SELECTED_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to remember IP camera:', error);
+    }
+  }
+
+  /**
+   * Hand a source's URLs and login to the camera proxy
+   * The proxy only fetches registered cameras, and keeps the login so it never
+   * has to travel in a URL. Registrations last until the server restarts.
+   *
+   * @throws {Error} When the proxy refuses the camera
+   */
+  async register(source, id = source.id) {
+    const response = await fetch(this.getCameraPath(id), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        streamUrl: source.streamUrl,
+        snapshotUrl: source.snapshotUrl || '',
+        username: source.username || '',
+        password: source.password || '',
+      }),
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text()).trim();
+      throw new Error(detail || `The camera proxy answered with HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Drop a removed source from the camera proxy
+   */
+  unregister(id) {
+    fetch(this.getCameraPath(id), { method: 'DELETE' }).catch((error) => {
+      console.warn('Could not remove IP camera from the camera proxy:', error);
+    });
+  }
+
+  /**
+   * Camera proxy path of a registered source
+   */
+  getCameraPath(id) {
+    return `${CAMERA_CONFIG.IP_CAMERA_PROXY_PATH}/cameras/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Live MJPEG stream URL for the preview img (source must be registered)
+   */
+  getStreamUrl(source, id = source.id) {
+    return `${this.getCameraPath(id)}/stream`;
+  }
+
+  /**
+   * Uncached snapshot URL for captures, or null when the source has none
+   */
+  getSnapshotUrl(source, id = source.id) {
+    if (!source.snapshotUrl) return null;
+    // Snapshots must not come from the browser cache
+    return `${this.getCameraPath(id)}/snapshot?${new URLSearchParams({ t: Date.now() })}`;
+  }
+
+  /**
+   * Check that a source answers through the proxy
+   * Loads the snapshot when there is one, otherwise opens the stream and
+   * closes it again as soon as the response headers arrive.
+   *
+   * @param {Object} source - Saved or unsaved source fields
+   * @returns {Promise<{ok: boolean, message: string}>}
+   */
+  async checkConnection(source) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CAMERA_CONFIG.IP_CAMERA_CHECK_TIMEOUT_MS);
+
+    try {
+      // Checked under its own id, so unsaved edits don't touch a camera in use
+      const id = UNSAVED_CAMERA_ID;
+      await this.register(source, id);
+
+      const useSnapshot = Boolean(source.snapshotUrl);
+      const url = useSnapshot ? this.getSnapshotUrl(source, id) : this.getStreamUrl(source, id);
+      const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok) {
+        if (response.status === 401) {
+          return { ok: false, message: 'The camera refused the username or password' };
+        }
+        // Proxy errors are plain text; camera error pages are not worth showing
+        const detail = /^text\/plain/i.test(contentType) ? (await response.text()).trim() : '';
+        return { ok: false, message: detail || `The camera answered with HTTP ${response.status}` };
+      }
+
+      if (!useSnapshot) {
+        controller.abort();
+        if (!/^(multipart|image|video)\//i.test(contentType)) {
+          return { ok: false, message: `The stream URL returned ${contentType || 'an unknown type'}, not video` };
+        }
+        return { ok: true, message: 'Stream is reachable' };
+      }
+
+      const bitmap = await createImageBitmap(await response.blob());
+      const message = `Snapshot is ${bitmap.width}×${bitmap.height}`;
+      bitmap.close();
+      return { ok: true, message };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { ok: false, message: 'The camera did not answer in time' };
+      }
+      return { ok: false, message: `Connection failed: ${error.message}` };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Save the camera list
+   */
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.sources));
+    } catch (error) {
+      console.warn('Could not persist IP cameras (storage full?), they will be lost on reload:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const ipCameraService = new IpCameraService();
@@ -0,0 +1,136 @@
+/**
+ * LUT Service - Operator-loaded .cube colour grades
+ * Parses, validates and persists LUT files (in IndexedDB, as they easily
+ * outgrow localStorage), and registers each one as a named filter preset so
+ * it appears in the capture filter picker
+ */
+
+import { parseCubeLut } from '../utils/cubeLut';
+import { registerFilterPreset, unregisterFilterPreset } from '../utils/filters';
+import { storageService } from './storageService';
+
+const MAX_FILE_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Filter preset id for a LUT name
+ */
+const toPresetId = (name) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `lut-${slug || 'custom'}`;
+};
+
+class LutService {
+  constructor() {
+    this.luts = new Map();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Restore previously loaded LUTs (once; later calls share the result)
+   * Entries that no longer parse are dropped with a warning
+   *
+   * @returns {Promise<Array<{id: string, name: string}>>} The registered presets
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.restore();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Register every stored LUT as a filter preset
+   */
+  async restore() {
+    let stored = [];
+    try {
+      stored = await storageService.getLuts();
+    } catch (error) {
+      console.warn('Stored LUTs are unreadable, ignoring:', error);
+    }
+
+    stored.forEach(({ id, name, text }) => {
+      try {
+        this.register(id, name, parseCubeLut(text, name), text);
+      } catch (error) {
+        console.warn(`Dropping stored LUT "${name}":`, error.message);
+      }
+    });
+
+    return this.getPresets();
+  }
+
+  /**
+   * Load a .cube file chosen by the operator
+   *
+   * The LUT is usable right away; `saved` is false when it could not be
+   * stored and will be gone after a reload.
+   *
+   * @param {File} file - .cube file
+   * @returns {Promise<{id: string, name: string, saved: boolean}>} The registered preset
+   * @throws {Error} When the file is not a valid 3D LUT
+   */
+  async addFile(file) {
+    if (!file) {
+      throw new Error('No LUT file selected');
+    }
+    if (!/\.cube$/i.test(file.name)) {
+      throw new Error(`${file.name} is not a .cube file`);
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      throw new Error(`${file.name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+    }
+
+    const text = await file.text();
+    const fallbackName = file.name.replace(/\.cube$/i, '');
+
+    let lut;
+    try {
+      lut = parseCubeLut(text, fallbackName);
+    } catch (error) {
+      throw new Error(`${file.name}: ${error.message}`);
+    }
+
+    const id = toPresetId(lut.title);
+    this.register(id, lut.title, lut, text);
+
+    let saved = true;
+    try {
+      await storageService.saveLut({ id, name: lut.title, text, addedAt: new Date().toISOString() });
+    } catch (error) {
+      console.warn(`Could not save LUT "${lut.title}", it will be lost on reload:`, error);
+      saved = false;
+    }
+
+    return { id, name: lut.title, saved };
+  }
+
+  /**
+   * Remove a loaded LUT
+   */
+  async remove(id) {
+    if (!this.luts.has(id)) return false;
+    this.luts.delete(id);
+    unregisterFilterPreset(id);
+    await storageService.deleteLut(id);
+    return true;
+  }
+
+  /**
+   * Presets for every loaded LUT
+   */
+  getPresets() {
+    return Array.from(this.luts.values()).map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Track a parsed LUT and expose it as a filter preset
+   */
+  register(id, name, lut, text) {
+    this.luts.set(id, { id, name, lut, text });
+    registerFilterPreset({ id, name, lut });
+  }
+}
+
+// Singleton instance
+export const lutService = new LutService();
@@ -0,0 +1,58 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { lutService } from './lutService';
+import { storageService } from './storageService';
+import { getFilterPreset } from '../utils/filters';
+
+const IDENTITY_CUBE = 'LUT_3D_SIZE 2\n0 0 0\n1 0 0\n0 1 0\n1 1 0\n0 0 1\n1 0 1\n0 1 1\n1 1 1\n';
+
+const cubeFile = (name, text) => ({ name, size: text.length, text: async () => text });
+
+/**
+ * Forget everything loaded in memory, as a page reload would
+ */
+const reload = () => {
+  lutService.luts.clear();
+  lutService.loadPromise = null;
+  storageService.db?.close();
+  storageService.db = null;
+  storageService.initPromise = null;
+};
+
+beforeEach(() => {
+  reload();
+  globalThis.indexedDB = new IDBFactory();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('lutService', () => {
+  it('keeps added LUTs across a reload', async () => {
+    await lutService.load();
+    const preset = await lutService.addFile(cubeFile('Warm.cube', `TITLE "Warm"\n${IDENTITY_CUBE}`));
+    expect(preset).toEqual({ id: 'lut-warm', name: 'Warm', saved: true });
+
+    reload();
+    await expect(lutService.load()).resolves.toEqual([{ id: 'lut-warm', name: 'Warm' }]);
+    expect(getFilterPreset('lut-warm').lut.size).toBe(2);
+  });
+
+  it('reports a LUT that could not be saved but still applies it', async () => {
+    await lutService.load();
+    vi.spyOn(storageService, 'saveLut').mockRejectedValue(new Error('QuotaExceededError'));
+
+    const preset = await lutService.addFile(cubeFile('Big.cube', IDENTITY_CUBE));
+    expect(preset.saved).toBe(false);
+    expect(lutService.getPresets()).toEqual([{ id: 'lut-big', name: 'Big' }]);
+  });
+
+  it('forgets removed LUTs', async () => {
+    await lutService.load();
+    await lutService.addFile(cubeFile('Gone.cube', IDENTITY_CUBE));
+    await lutService.remove('lut-gone');
+
+    reload();
+    await expect(lutService.load()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Retention Service - Keeps the kiosk's photo storage within bounds
+ * Prunes old photos by policy (age, total size, photo count, keep-starred),
+ * asks the browser for persistent storage and warns the operator before
+ * the origin quota runs out
+ */
+
+import { RETENTION_CONFIG } from '../constants';
+import { storageService } from './storageService';
+
+const MB = 1024 * 1024;
+
+export const QUOTA_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+class RetentionService {
+  constructor() {
+    this.policy = {
+      maxAgeDays: RETENTION_CONFIG.MAX_AGE_DAYS,
+      maxTotalMB: RETENTION_CONFIG.MAX_TOTAL_MB,
+      maxPhotos: RETENTION_CONFIG.MAX_PHOTOS,
+      keepStarred: RETENTION_CONFIG.KEEP_STARRED,
+    };
+    this.persisted = null;
+    this.lastStatus = null;
+    this.activeRun = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Override retention limits (0 disables a limit)
+   *
+   * @param {{maxAgeDays?: number, maxTotalMB?: number, maxPhotos?: number, keepStarred?: boolean}} policy
+   */
+  configure(policy = {}) {
+    this.policy = { ...this.policy, ...policy };
+    return this.policy;
+  }
+
+  /**
+   * Subscribe to status updates after each run
+   *
+   * @param {(status: Object) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Ask the browser not to evict our storage under pressure
+   *
+   * @returns {Promise<boolean>} Whether storage is persistent
+   */
+  async requestPersistence() {
+    if (!navigator.storage?.persist) {
+      this.persisted = false;
+      return false;
+    }
+
+    try {
+      this.persisted = await navigator.storage.persisted();
+      if (!this.persisted) {
+        this.persisted = await navigator.storage.persist();
+      }
+      if (!this.persisted) {
+        console.warn('Persistent storage was not granted; the browser may evict photos when disk space is low');
+      }
+    } catch (error) {
+      console.warn('Persistent storage request failed:', error);
+      this.persisted = false;
+    }
+
+    return this.persisted;
+  }
+
+  /**
+   * Current origin usage against the browser quota
+   *
+   * @returns {Promise<{supported: boolean, usage: number, quota: number, ratio: number, freeMB: number, level: string, persisted: boolean|null}>}
+   */
+  async getQuotaStatus() {
+    if (!navigator.storage?.estimate) {
+      return { supported: false, usage: 0, quota: 0, ratio: 0, freeMB: Infinity, level: QUOTA_LEVELS.OK, persisted: this.persisted };
+    }
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const ratio = quota > 0 ? usage / quota : 0;
+    const freeMB = quota > 0 ? (quota - usage) / MB : Infinity;
+
+    let level = QUOTA_LEVELS.OK;
+    if (ratio >= RETENTION_CONFIG.QUOTA_CRITICAL_RATIO || freeMB < RETENTION_CONFIG.MIN_FREE_MB) {
+      level = QUOTA_LEVELS.CRITICAL;
+    } else if (ratio >= RETENTION_CONFIG.QUOTA_WARNING_RATIO) {
+      level = QUOTA_LEVELS.WARNING;
+    }
+
+    return { supported: true, usage, quota, ratio, freeMB, level, persisted: this.persisted };
+  }
+
+  /**
+   * Delete whatever the policies no longer allow
+   * Oldest photos go first. Protected sessions (e.g. the one in progress)
+   * and, with keepStarred, starred photos/sessions are never touched.
+   * Sessions left without photos are removed too.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.protectSessionIds]
+   * @returns {Promise<{deletedPhotos: number, deletedSessions: number}>}
+   */
+  async applyPolicies({ protectSessionIds = [] } = {}) {
+    const { maxAgeDays, maxTotalMB, maxPhotos, keepStarred } = this.policy;
+    if (!(maxAgeDays > 0) && !(maxTotalMB > 0) && !(maxPhotos > 0)) {
+      // Nothing to enforce: skip the scan over every stored photo
+      return { deletedPhotos: 0, deletedSessions: 0 };
+    }
+
+    const { sessions, photos } = await storageService.getRetentionSnapshot();
+
+    const protectedIds = new Set(protectSessionIds);
+    const sessionsById = new Map(sessions.map((session) => [session.id, session]));
+    const isSessionKept = (session) => protectedIds.has(session.id) || (keepStarred && session.starred);
+    const isPhotoKept = (photo) => {
+      const session = sessionsById.get(photo.sessionId);
+      return (session && isSessionKept(session)) || protectedIds.has(photo.sessionId) || (keepStarred && photo.starred);
+    };
+
+    const candidates = photos
+      .filter((photo) => !isPhotoKept(photo))
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    const toDelete = new Set();
+
+    const cutoffISO = maxAgeDays > 0
+      ? new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    // Max age
+    if (cutoffISO) {
+      candidates.forEach((photo) => {
+        if (photo.createdAt < cutoffISO) toDelete.add(photo.id);
+      });
+    }
+
+    // Max photo count
+    if (maxPhotos > 0) {
+      let remaining = photos.length - toDelete.size;
+      for (const photo of candidates) {
+        if (remaining <= maxPhotos) break;
+        if (toDelete.has(photo.id)) continue;
+        toDelete.add(photo.id);
+        remaining--;
+      }
+    }
+
+    // Max total size
+    if (maxTotalMB > 0) {
+      const limit = maxTotalMB * MB;
+      let remaining = photos.reduce((sum, photo) => sum + (toDelete.has(photo.id) ? 0 : photo.blobSize), 0);
+      for (const photo of candidates) {
+        if (remaining <= limit) break;
+        if (toDelete.has(photo.id)) continue;
+        toDelete.add(photo.id);
+        remaining -= photo.blobSize;
+      }
+    }
+
+    const deletedPhotos = await storageService.deletePhotos([...toDelete]);
+
+    // Sessions with nothing left: emptied by this run, or abandoned before the cutoff
+    const remainingBySession = new Map();
+    photos.forEach((photo) => {
+      if (toDelete.has(photo.id)) return;
+      remainingBySession.set(photo.sessionId, (remainingBySession.get(photo.sessionId) || 0) + 1);
+    });
+
+    const emptySessions = sessions.filter((session) => {
+      if (isSessionKept(session) || remainingBySession.has(session.id)) return false;
+      const wasEmptied = photos.some((photo) => photo.sessionId === session.id);
+      return wasEmptied || (cutoffISO && session.createdAt < cutoffISO);
+    });
+
+    for (const session of emptySessions) {
+      await storageService.deleteSession(session.id);
+    }
+
+    if (deletedPhotos > 0 || emptySessions.length > 0) {
+      console.log(`Retention: removed ${deletedPhotos} photos and ${emptySessions.length} sessions`);
+    }
+
+    return { deletedPhotos, deletedSessions: emptySessions.length };
+  }
+
+  /**
+   * Apply policies, then check the quota and notify subscribers
+   * Overlapping calls share the run in progress. Applying policies scans every
+   * stored photo, so it runs on a schedule (see schedule) rather than per save.
+   *
+   * @param {Object} [options] - See applyPolicies
+   * @returns {Promise<{deletedPhotos: number, deletedSessions: number, quota: Object, checkedAt: string}>}
+   */
+  run(options = {}) {
+    if (this.activeRun) return this.activeRun;
+
+    this.activeRun = (async () => {
+      let result = { deletedPhotos: 0, deletedSessions: 0 };
+      try {
+        result = await this.applyPolicies(options);
+      } catch (error) {
+        console.error('Retention policies failed:', error);
+      }
+
+      let quota;
+      try {
+        quota = await this.getQuotaStatus();
+      } catch (error) {
+        console.warn('Storage estimate failed:', error);
+        quota = { supported: false, level: QUOTA_LEVELS.OK, persisted: this.persisted };
+      }
+
+      const status = { ...result, quota, checkedAt: new Date().toISOString() };
+      this.lastStatus = status;
+      this.listeners.forEach((listener) => listener(status));
+      return status;
+    })().finally(() => {
+      this.activeRun = null;
+    });
+
+    return this.activeRun;
+  }
+
+  /**
+   * Re-check only the quota (cheap), e.g. after a save, and notify subscribers
+   *
+   * @returns {Promise<Object>} Status, as from run
+   */
+  async checkQuota() {
+    let quota;
+    try {
+      quota = await this.getQuotaStatus();
+    } catch (error) {
+      console.warn('Storage estimate failed:', error);
+      return this.lastStatus;
+    }
+
+    const status = { deletedPhotos: 0, deletedSessions: 0, quota, checkedAt: new Date().toISOString() };
+    this.lastStatus = status;
+    this.listeners.forEach((listener) => listener(status));
+    return status;
+  }
+
+  /**
+   * Run now and then every RETENTION_CONFIG.SWEEP_INTERVAL_MINUTES
+   *
+   * @param {() => Object} [getOptions] - run options for each sweep, e.g. the session in progress to protect
+   * @returns {() => void} Stop the schedule
+   */
+  schedule(getOptions = () => ({})) {
+    const sweep = () => this.run(getOptions());
+    sweep();
+    const timer = setInterval(sweep, RETENTION_CONFIG.SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    return () => clearInterval(timer);
+  }
+}
+
+// Singleton instance
+export const retentionService = new RetentionService();
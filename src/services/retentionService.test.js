@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { QUOTA_LEVELS, retentionService } from './retentionService';
+import { storageService } from './storageService';
+import { RETENTION_CONFIG } from '../constants';
+
+const DEFAULT_POLICY = { ...retentionService.policy };
+
+beforeEach(() => {
+  vi.stubGlobal('navigator', { storage: { estimate: async () => ({ usage: 8000 * 1024 * 1024, quota: 10000 * 1024 * 1024 }) } });
+  vi.spyOn(storageService, 'getRetentionSnapshot').mockResolvedValue({ sessions: [], photos: [] });
+  vi.spyOn(storageService, 'deletePhotos').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  retentionService.configure(DEFAULT_POLICY);
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('applyPolicies', () => {
+  it('does not scan stored photos when every limit is off', async () => {
+    retentionService.configure({ maxAgeDays: 0, maxTotalMB: 0, maxPhotos: 0 });
+
+    await expect(retentionService.applyPolicies()).resolves.toEqual({ deletedPhotos: 0, deletedSessions: 0 });
+    expect(storageService.getRetentionSnapshot).not.toHaveBeenCalled();
+  });
+
+  it('deletes the oldest photos over the count limit, keeping protected sessions', async () => {
+    retentionService.configure({ maxAgeDays: 0, maxTotalMB: 0, maxPhotos: 2 });
+    storageService.getRetentionSnapshot.mockResolvedValue({
+      sessions: [{ id: 'old', createdAt: '2024-01-01' }, { id: 'current', createdAt: '2024-01-03' }],
+      photos: [
+        { id: 'p1', sessionId: 'current', createdAt: '2024-01-01T00:00:00Z', blobSize: 1 },
+        { id: 'p2', sessionId: 'old', createdAt: '2024-01-02T00:00:00Z', blobSize: 1 },
+        { id: 'p3', sessionId: 'old', createdAt: '2024-01-03T00:00:00Z', blobSize: 1 },
+      ],
+    });
+
+    await retentionService.applyPolicies({ protectSessionIds: ['current'] });
+    expect(storageService.deletePhotos).toHaveBeenCalledWith(['p2']);
+  });
+});
+
+describe('checkQuota', () => {
+  it('reports the quota without applying policies', async () => {
+    const listener = vi.fn();
+    const unsubscribe = retentionService.subscribe(listener);
+
+    const status = await retentionService.checkQuota();
+    unsubscribe();
+
+    expect(status).toMatchObject({ deletedPhotos: 0, deletedSessions: 0, quota: { level: QUOTA_LEVELS.WARNING } });
+    expect(listener).toHaveBeenCalledWith(status);
+    expect(storageService.getRetentionSnapshot).not.toHaveBeenCalled();
+  });
+});
+
+describe('schedule', () => {
+  it('sweeps on start and then every interval until stopped', async () => {
+    vi.useFakeTimers();
+    const run = vi.spyOn(retentionService, 'run').mockResolvedValue(null);
+    let protectSessionIds = [];
+
+    const stop = retentionService.schedule(() => ({ protectSessionIds }));
+    expect(run).toHaveBeenCalledTimes(1);
+
+    protectSessionIds = ['current'];
+    vi.advanceTimersByTime(RETENTION_CONFIG.SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(run).toHaveBeenLastCalledWith({ protectSessionIds: ['current'] });
+
+    stop();
+    vi.advanceTimersByTime(RETENTION_CONFIG.SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Session Stats - Session photoCount / totalSize derived from stored photos
+ * Shared by storageService and the storage migrations so counters are
+ * always rebuilt the same way, inside the caller's transaction.
+ */
+
+/**
+ * Bytes a photo occupies: the final image plus its originals
+ */
+export const getStoredSize = (photo) => (photo.blobSize || photo.blob?.size || 0) + (photo.originalSize || 0);
+
+/**
+ * Count and size the photos of one session, or of every session
+ *
+ * @returns {Promise<Map<string, {photoCount: number, totalSize: number}>>} By session id
+ */
+const countPhotos = (photoStore, sessionId) => {
+  return new Promise((resolve, reject) => {
+    const totals = new Map();
+    const request = sessionId === null
+      ? photoStore.openCursor()
+      : photoStore.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(totals);
+        return;
+      }
+
+      const photo = cursor.value;
+      const total = totals.get(photo.sessionId) || { photoCount: 0, totalSize: 0 };
+      total.photoCount++;
+      total.totalSize += getStoredSize(photo);
+      totals.set(photo.sessionId, total);
+      cursor.continue();
+    };
+  });
+};
+
+/**
+ * Rewrite the sessions whose counters disagree with the counted totals
+ *
+ * @returns {Promise<number>} Number of sessions corrected
+ */
+const applyTotals = (sessionStore, totals, sessionId) => {
+  return new Promise((resolve, reject) => {
+    let corrected = 0;
+    const request = sessionId === null
+      ? sessionStore.openCursor()
+      : sessionStore.openCursor(IDBKeyRange.only(sessionId));
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(corrected);
+        return;
+      }
+
+      const session = cursor.value;
+      const { photoCount, totalSize } = totals.get(session.id) || { photoCount: 0, totalSize: 0 };
+      if (session.photoCount !== photoCount || session.totalSize !== totalSize) {
+        cursor.update({ ...session, photoCount, totalSize });
+        corrected++;
+      }
+      cursor.continue();
+    };
+  });
+};
+
+/**
+ * Rebuild photoCount / totalSize from the photos actually stored
+ *
+ * @param {IDBTransaction} transaction - readwrite (or upgrade) transaction over 'sessions' and 'photos'
+ * @param {string[]|null} [sessionIds] - Only these sessions; every session when null
+ * @returns {Promise<number>} Number of sessions whose counters were corrected
+ */
+export const recountSessionStats = async (transaction, sessionIds = null) => {
+  const photoStore = transaction.objectStore('photos');
+  const sessionStore = transaction.objectStore('sessions');
+
+  let corrected = 0;
+  for (const sessionId of sessionIds || [null]) {
+    const totals = await countPhotos(photoStore, sessionId);
+    corrected += await applyTotals(sessionStore, totals, sessionId);
+  }
+  return corrected;
+};
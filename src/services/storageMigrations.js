@@ -0,0 +1,174 @@
+/**
+ * Storage Migrations - Ordered IndexedDB schema history
+ *
+ * Each entry upgrades the database from `version - 1` to `version` and runs
+ * inside the versionchange transaction, so a failure rolls the whole upgrade
+ * back. A migration that rewrites records returns its promise (updateRecords,
+ * recountSessionStats); the next one only starts once it has finished.
+ * Append new entries; never edit or reorder shipped ones.
+ */
+
+import { recountSessionStats } from './sessionStats';
+
+/**
+ * Rewrite every record of a store in place
+ * `transform` returns the new record, or undefined to leave it unchanged.
+ *
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ * @param {string} storeName
+ * @param {(record: Object) => Object|undefined} transform
+ * @returns {Promise<void>} Resolves once every record has been visited
+ */
+export const updateRecords = (transaction, storeName, transform) => {
+  return new Promise((resolve, reject) => {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      try {
+        const updated = transform(cursor.value);
+        if (updated !== undefined) {
+          cursor.update(updated);
+        }
+        cursor.continue();
+      } catch (error) {
+        reject(error);
+      }
+    };
+  });
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Sessions, photos and frames stores',
+    migrate: (db) => {
+      const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
+      sessionStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+      const photoStore = db.createObjectStore('photos', { keyPath: 'id' });
+      photoStore.createIndex('sessionId', 'sessionId', { unique: false });
+      photoStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+      db.createObjectStore('frames', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 2,
+    description: 'Thumbnails store, kept apart from photos so listings never touch full blobs',
+    migrate: (db) => {
+      const thumbnailStore = db.createObjectStore('thumbnails', { keyPath: 'photoId' });
+      thumbnailStore.createIndex('sessionId', 'sessionId', { unique: false });
+    },
+  },
+  {
+    version: 3,
+    description: 'Backfill filterId / edited on photos saved before the filter picker',
+    migrate: (db, transaction) => {
+      return updateRecords(transaction, 'photos', (photo) => {
+        if (photo.filterId !== undefined && photo.edited !== undefined) return undefined;
+        return { filterId: 'none', edited: false, ...photo };
+      });
+    },
+  },
+  {
+    version: 4,
+    description: 'Sessions by category and date, for filtered gallery pages',
+    migrate: (db, transaction) => {
+      transaction.objectStore('sessions').createIndex(
+        'frameCategoryCreatedAt',
+        ['frameCategory', 'createdAt'],
+        { unique: false }
+      );
+    },
+  },
+  {
+    version: 5,
+    description: 'Starred / tag / guest email indexes on photos and sessions',
+    migrate: (db, transaction) => {
+      ['photos', 'sessions'].forEach((storeName) => {
+        const store = transaction.objectStore(storeName);
+        store.createIndex('starred', 'starred', { unique: false });
+        store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        store.createIndex('guestEmail', 'guestEmail', { unique: false });
+      });
+    },
+  },
+  {
+    version: 6,
+    description: 'Originals store: raw camera captures kept for re-rendering photos',
+    migrate: (db) => {
+      const originalStore = db.createObjectStore('originals', { keyPath: 'photoId' });
+      originalStore.createIndex('sessionId', 'sessionId', { unique: false });
+    },
+  },
+  {
+    version: 7,
+    description: 'Media type on photos (still photo, GIF, boomerang); existing records are photos',
+    migrate: (db, transaction) => {
+      transaction.objectStore('photos').createIndex('mediaType', 'mediaType', { unique: false });
+      return updateRecords(transaction, 'photos', (photo) => {
+        if (photo.mediaType !== undefined) return undefined;
+        return { ...photo, mediaType: 'photo' };
+      });
+    },
+  },
+  {
+    version: 8,
+    description: 'LUTs store: operator .cube files, too large for localStorage',
+    migrate: (db) => {
+      db.createObjectStore('luts', { keyPath: 'id' });
+    },
+  },
+  {
+    version: 9,
+    description: 'Rebuild session photoCount / totalSize once; older versions let them drift',
+    migrate: (db, transaction) => recountSessionStats(transaction),
+  },
+];
+
+/**
+ * Schema version the app expects (latest migration)
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration between oldVersion (exclusive) and newVersion (inclusive)
+ * Migrations run one after another: each waits for the previous one's
+ * record rewrites, so two cursors never race over the same store.
+ *
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - 0 for a fresh database
+ * @param {number} [newVersion]
+ * @param {Array} [migrations] - Registry to run (defaults to MIGRATIONS)
+ * @returns {Promise<number[]>} Versions that were applied
+ * @throws {Error} When the registry has gaps or a migration fails
+ */
+export const runMigrations = async (db, transaction, oldVersion, newVersion = LATEST_VERSION, migrations = MIGRATIONS) => {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Storage migration ${index + 1} is missing (found v${migration.version})`);
+    }
+  });
+
+  const applied = [];
+  for (const migration of migrations) {
+    if (migration.version <= oldVersion || migration.version > newVersion) continue;
+
+    try {
+      await migration.migrate(db, transaction);
+    } catch (error) {
+      throw new Error(`Storage migration v${migration.version} failed: ${error?.message || error}`);
+    }
+    applied.push(migration.version);
+  }
+
+  return applied;
+};
@@ -0,0 +1,207 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LATEST_VERSION, MIGRATIONS, runMigrations } from './storageMigrations';
+import { storageService } from './storageService';
+
+const DB_NAME = 'SelfieBooth';
+
+/**
+ * Open the database at a version, running the registry up to it
+ */
+const openAt = (version, migrations = MIGRATIONS) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = (event) => {
+      runMigrations(request.result, request.transaction, event.oldVersion, version, migrations).catch((error) => {
+        request.transaction.abort();
+        reject(error);
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const putAll = (db, storeName, records) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    records.forEach((record) => transaction.objectStore(storeName).put(record));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const getAll = (db, storeName) => {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName]).objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  storageService.db = null;
+  storageService.initPromise = null;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  storageService.db?.close();
+  vi.restoreAllMocks();
+});
+
+describe('MIGRATIONS', () => {
+  it('is numbered 1..n without gaps', () => {
+    expect(MIGRATIONS.map((migration) => migration.version)).toEqual(
+      MIGRATIONS.map((migration, index) => index + 1)
+    );
+    expect(LATEST_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  it('creates every store and index on a fresh install', async () => {
+    const db = await openAt(LATEST_VERSION);
+
+    expect([...db.objectStoreNames].sort()).toEqual(['frames', 'luts', 'originals', 'photos', 'sessions', 'thumbnails']);
+
+    const transaction = db.transaction(['photos', 'sessions']);
+    expect([...transaction.objectStore('photos').indexNames].sort()).toEqual(
+      ['createdAt', 'guestEmail', 'mediaType', 'sessionId', 'starred', 'tags']
+    );
+    expect([...transaction.objectStore('sessions').indexNames].sort()).toEqual(
+      ['createdAt', 'frameCategoryCreatedAt', 'guestEmail', 'starred', 'tags']
+    );
+    db.close();
+  });
+
+  it('upgrades a v1 database to the latest version keeping every backfill', async () => {
+    const v1 = await openAt(1);
+    await putAll(v1, 'sessions', [{ id: 's1', createdAt: '2024-01-01T00:00:00.000Z', photoCount: 2 }]);
+    await putAll(v1, 'photos', [
+      { id: 'p1', sessionId: 's1', createdAt: '2024-01-01T00:00:01.000Z' },
+      { id: 'p2', sessionId: 's1', createdAt: '2024-01-01T00:00:02.000Z', filterId: 'sepia', edited: true },
+    ]);
+    v1.close();
+
+    const db = await openAt(LATEST_VERSION);
+    const photos = await getAll(db, 'photos');
+
+    expect(photos).toEqual([
+      { id: 'p1', sessionId: 's1', createdAt: '2024-01-01T00:00:01.000Z', filterId: 'none', edited: false, mediaType: 'photo' },
+      { id: 'p2', sessionId: 's1', createdAt: '2024-01-01T00:00:02.000Z', filterId: 'sepia', edited: true, mediaType: 'photo' },
+    ]);
+    expect(await getAll(db, 'sessions')).toEqual([
+      { id: 's1', createdAt: '2024-01-01T00:00:00.000Z', photoCount: 2, totalSize: 0 },
+    ]);
+    db.close();
+  });
+
+  it('repairs session counters that drifted in older versions', async () => {
+    const v8 = await openAt(8);
+    await putAll(v8, 'sessions', [
+      { id: 's1', createdAt: 'x', photoCount: 5, totalSize: 1 },
+      { id: 's2', createdAt: 'y', photoCount: 1, totalSize: 300 },
+      { id: 's3', createdAt: 'z', photoCount: 2, totalSize: 10 },
+    ]);
+    await putAll(v8, 'photos', [
+      { id: 'p1', sessionId: 's1', createdAt: 'x', blobSize: 100, originalSize: 20 },
+      { id: 'p2', sessionId: 's1', createdAt: 'x', blobSize: 30 },
+      { id: 'p3', sessionId: 's2', createdAt: 'y', blobSize: 300 },
+    ]);
+    v8.close();
+
+    const db = await openAt(LATEST_VERSION);
+    expect(await getAll(db, 'sessions')).toEqual([
+      { id: 's1', createdAt: 'x', photoCount: 2, totalSize: 150 },
+      { id: 's2', createdAt: 'y', photoCount: 1, totalSize: 300 },
+      { id: 's3', createdAt: 'z', photoCount: 0, totalSize: 0 },
+    ]);
+    db.close();
+  });
+
+  it('keeps a media type that is already set', async () => {
+    const v6 = await openAt(6);
+    await putAll(v6, 'photos', [{ id: 'g1', sessionId: 's1', createdAt: 'x', filterId: 'none', edited: false, mediaType: 'gif' }]);
+    v6.close();
+
+    const db = await openAt(LATEST_VERSION);
+    expect((await getAll(db, 'photos'))[0].mediaType).toBe('gif');
+    db.close();
+  });
+});
+
+describe('runMigrations', () => {
+  it('runs only the versions after oldVersion, in order', async () => {
+    const calls = [];
+    const migrations = [1, 2, 3].map((version) => ({
+      version,
+      migrate: async () => {
+        calls.push(`start ${version}`);
+        await Promise.resolve();
+        calls.push(`end ${version}`);
+      },
+    }));
+
+    await expect(runMigrations(null, null, 1, 3, migrations)).resolves.toEqual([2, 3]);
+    expect(calls).toEqual(['start 2', 'end 2', 'start 3', 'end 3']);
+  });
+
+  it('rejects a registry with gaps', async () => {
+    const migrations = [{ version: 1, migrate: () => {} }, { version: 3, migrate: () => {} }];
+    await expect(runMigrations(null, null, 0, 3, migrations)).rejects.toThrow('Storage migration 2 is missing');
+  });
+
+  it('names the migration that failed and rolls the upgrade back', async () => {
+    const migrations = [
+      ...MIGRATIONS.slice(0, 1),
+      {
+        version: 2,
+        migrate: (db) => {
+          db.createObjectStore('extra');
+          throw new Error('boom');
+        },
+      },
+    ];
+
+    await expect(openAt(2, migrations)).rejects.toThrow('Storage migration v2 failed: boom');
+
+    const db = await openAt(1);
+    expect([...db.objectStoreNames]).not.toContain('extra');
+    expect(db.version).toBe(1);
+    db.close();
+  });
+});
+
+describe('storageService.init', () => {
+  it('reports a blocked upgrade and finishes once the old connection closes', async () => {
+    const oldTab = await openAt(1);
+    const onBlocked = vi.fn(() => oldTab.close());
+    const unsubscribe = storageService.onBlocked(onBlocked);
+
+    const db = await storageService.init();
+    unsubscribe();
+
+    expect(onBlocked).toHaveBeenCalledTimes(1);
+    expect(db.version).toBe(LATEST_VERSION);
+  });
+
+  it('closes its connection when a newer version opens elsewhere', async () => {
+    const db = await storageService.init();
+    const closeSpy = vi.spyOn(db, 'close');
+
+    const newerTab = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, LATEST_VERSION + 1);
+      request.onblocked = () => reject(new Error('upgrade was blocked'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    expect(closeSpy).toHaveBeenCalled();
+    expect(storageService.db).toBeNull();
+    expect(storageService.initPromise).toBeNull();
+    newerTab.close();
+  });
+});
@@ -3,48 +3,177 @@
  * Phase 1 MVP Implementation (US-030, US-031, US-032)
  */
 
+import { MEDIA_TYPES } from '../constants';
+import { createThumbnail } from '../utils/thumbnail';
+import { createZip, readZip } from '../utils/zip';
+import { createId } from '../utils/ids';
+import { getBlobExtension } from '../utils/photoExport';
+import { LATEST_VERSION, runMigrations } from './storageMigrations';
+import { getStoredSize, recountSessionStats } from './sessionStats';
+
 const DB_NAME = 'SelfieBooth';
-const DB_VERSION = 1;
+const DB_VERSION = LATEST_VERSION;
+
+// Session export archives
+const ARCHIVE_FORMAT = 'selfiebooth-session';
+const ARCHIVE_VERSION = 1;
+const SESSION_MANIFEST = 'session.json';
+
+// Operator annotations on photos and sessions
+const ANNOTATION_FIELDS = ['starred', 'tags', 'guestName', 'guestEmail'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_GUEST_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Parse a comma separated tag string (or array) into clean, unique tags
+ *
+ * @param {string|string[]} tags
+ * @returns {string[]} Lowercase tags
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const cleaned = list
+    .map((tag) => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(cleaned)].slice(0, MAX_TAGS);
+};
+
+/**
+ * Validate and normalize annotation changes
+ * Empty strings / empty tag lists mean "clear the field" (returned as null).
+ * `starred` is stored as 1/0 because IndexedDB cannot index booleans.
+ *
+ * @throws {Error} For unknown fields or an invalid email address
+ */
+const normalizeAnnotations = (changes) => {
+  const result = {};
+
+  Object.keys(changes).forEach((field) => {
+    if (!ANNOTATION_FIELDS.includes(field)) {
+      throw new Error(`${field} cannot be updated`);
+    }
+  });
+
+  if ('starred' in changes) {
+    result.starred = changes.starred ? 1 : 0;
+  }
+  if ('tags' in changes) {
+    const tags = normalizeTags(changes.tags);
+    result.tags = tags.length > 0 ? tags : null;
+  }
+  if ('guestName' in changes) {
+    const name = String(changes.guestName || '').trim().slice(0, MAX_GUEST_NAME_LENGTH);
+    result.guestName = name || null;
+  }
+  if ('guestEmail' in changes) {
+    const email = String(changes.guestEmail || '').trim().toLowerCase();
+    if (email && !EMAIL_PATTERN.test(email)) {
+      throw new Error(`"${changes.guestEmail}" is not a valid email address`);
+    }
+    result.guestEmail = email || null;
+  }
+
+  return result;
+};
+
+/**
+ * Image MIME type for an archived file name
+ */
+const getArchivedImageType = (path) => {
+  const extension = path.split('.').pop();
+  return extension === 'jpg' ? 'image/jpeg' : `image/${extension}`;
+};
+
+/**
+ * What importSessions does when an archived session id already exists
+ */
+export const IMPORT_CONFLICT = {
+  SKIP: 'skip', // Keep the stored session, ignore the archived one
+  REPLACE: 'replace', // Delete the stored session, import the archived one
+  COPY: 'copy', // Keep both; the archived session gets a new id
+};
 
 class StorageService {
   constructor() {
     this.db = null;
+    this.initPromise = null;
+    this.blockedListeners = new Set();
+  }
+
+  /**
+   * Subscribe to "upgrade blocked" notifications
+   * Fired when another tab holds an older version of the database open.
+   *
+   * @param {() => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  onBlocked(listener) {
+    this.blockedListeners.add(listener);
+    return () => this.blockedListeners.delete(listener);
   }
 
   /**
    * Initialize IndexedDB
+   * Concurrent callers share one open request; schema changes come from
+   * the migration registry in storageMigrations.js
    */
   async init() {
-    return new Promise((resolve, reject) => {
+    if (this.db) return this.db;
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let migrationError = null;
 
-      request.onerror = () => reject(request.error);
+      request.onerror = () => {
+        this.initPromise = null;
+        reject(migrationError || request.error);
+      };
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
+      request.onblocked = () => {
+        console.warn('Storage upgrade blocked: another SelfieBooth tab is still using the old database');
+        this.blockedListeners.forEach((listener) => listener());
       };
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
+      request.onsuccess = () => {
+        const db = request.result;
 
-        // Create object stores
-        if (!db.objectStoreNames.contains('sessions')) {
-          const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
-          sessionStore.createIndex('createdAt', 'createdAt', { unique: false });
-        }
+        // Let a newer version in another tab upgrade instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) {
+            this.db = null;
+            this.initPromise = null;
+          }
+        };
 
-        if (!db.objectStoreNames.contains('photos')) {
-          const photoStore = db.createObjectStore('photos', { keyPath: 'id' });
-          photoStore.createIndex('sessionId', 'sessionId', { unique: false });
-          photoStore.createIndex('createdAt', 'createdAt', { unique: false });
-        }
+        this.db = db;
+        resolve(db);
+      };
 
-        if (!db.objectStoreNames.contains('frames')) {
-          db.createObjectStore('frames', { keyPath: 'id' });
-        }
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const transaction = request.transaction;
+
+        runMigrations(db, transaction, event.oldVersion, event.newVersion)
+          .then((applied) => {
+            console.log(`Storage migrated v${event.oldVersion} → v${event.newVersion} (${applied.join(', ')})`);
+          })
+          .catch((error) => {
+            console.error(error);
+            migrationError = error;
+            try {
+              transaction.abort();
+            } catch {
+              // A failed request has already aborted the upgrade
+            }
+          });
       };
     });
+
+    return this.initPromise;
   }
 
   /**
@@ -55,7 +184,7 @@ class StorageService {
     if (!this.db) await this.init();
 
     const session = {
-      id: `session-${Date.now()}`,
+      id: createId('session'),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       photoCount: 0,
@@ -75,27 +204,57 @@ class StorageService {
 
   /**
    * Save photo to session
+   * A thumbnail is generated and stored alongside; if that fails the photo
+   * is still saved and the thumbnail is rebuilt on first request.
+   * Raw captures (`originals`, one per shot of metadata.recipe) go to their own
+   * store so listings and exports of the final image never load them.
+   * Animations and clips pass metadata.mediaType (MEDIA_TYPES); everything
+   * else is a photo. Video clips pass a `poster` image to build the thumbnail from.
    */
-  async savePhoto(sessionId, imageBlob, metadata = {}) {
+  async savePhoto(sessionId, imageBlob, metadata = {}, originals = [], poster = null) {
     if (!this.db) await this.init();
 
+    let thumbnail = null;
+    try {
+      thumbnail = await createThumbnail(poster || imageBlob);
+    } catch (error) {
+      console.warn('Thumbnail generation failed:', error);
+    }
+
     const photo = {
-      id: `photo-${Date.now()}`,
+      id: createId('photo'),
       sessionId,
       blob: imageBlob,
       blobSize: imageBlob.size,
       createdAt: new Date().toISOString(),
       edited: false,
+      filterId: 'none',
+      mediaType: MEDIA_TYPES.PHOTO,
       ...metadata,
     };
+    if (originals.length > 0) {
+      photo.originalSize = originals.reduce((sum, blob) => sum + blob.size, 0);
+    }
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['photos', 'sessions'], 'readwrite');
+      const transaction = this.db.transaction(['photos', 'sessions', 'thumbnails', 'originals'], 'readwrite');
 
       // Save photo
       const photoStore = transaction.objectStore('photos');
       const photoRequest = photoStore.add(photo);
 
+      if (thumbnail) {
+        transaction.objectStore('thumbnails').put(this.buildThumbnailRecord(photo, thumbnail));
+      }
+      if (originals.length > 0) {
+        transaction.objectStore('originals').put({
+          photoId: photo.id,
+          sessionId,
+          blobs: originals,
+          createdAt: photo.createdAt,
+        });
+      }
+
       // Update session count and size
       const sessionStore = transaction.objectStore('sessions');
       const getRequest = sessionStore.get(sessionId);
@@ -104,7 +263,7 @@ class StorageService {
         const session = getRequest.result;
         if (session) {
           session.photoCount = (session.photoCount || 0) + 1;
-          session.totalSize = (session.totalSize || 0) + imageBlob.size;
+          session.totalSize = (session.totalSize || 0) + getStoredSize(photo);
           session.updatedAt = new Date().toISOString();
           sessionStore.put(session);
         }
@@ -157,47 +316,117 @@ class StorageService {
   }
 
   /**
-   * Get all sessions (paginated)
+   * Query sessions, newest first, one page at a time
    * US-031: Session History & Browsing
+   *
+   * Pages are keyset-paginated: pass the previous page's `nextCursor` to get
+   * the next one, so new sessions arriving between pages never shift results.
+   *
+   * @param {Object} [query]
+   * @param {number} [query.limit] - Page size
+   * @param {{createdAt: string, id: string}|null} [query.cursor] - nextCursor of the previous page
+   * @param {number} [query.offset] - Sessions to skip first (prefer cursor)
+   * @param {string|null} [query.category] - Frame category, null for all
+   * @param {string|null} [query.from] - Earliest createdAt (ISO, inclusive)
+   * @param {string|null} [query.to] - Latest createdAt (ISO, inclusive)
+   * @returns {Promise<{sessions: Object[], nextCursor: Object|null, total: number}>}
+   *   total counts every session matching the filters, across all pages
    */
-  async getSessions(limit = 10, offset = 0) {
+  async getSessions({ limit = 10, cursor = null, offset = 0, category = null, from = null, to = null } = {}) {
     if (!this.db) await this.init();
 
+    // Category queries use the [frameCategory, createdAt] index, others createdAt
+    const key = (createdAt) => (category ? [category, createdAt] : createdAt);
+    const lower = from ? key(from) : category ? [category, ''] : null;
+    const upper = to ? key(to) : category ? [category, '\uffff'] : null;
+    const pageUpperCreatedAt = cursor && (!to || cursor.createdAt < to) ? cursor.createdAt : null;
+    const pageUpper = pageUpperCreatedAt ? key(pageUpperCreatedAt) : upper;
+
+    const toRange = (lowerKey, upperKey) => {
+      if (lowerKey && upperKey) {
+        return indexedDB.cmp(lowerKey, upperKey) <= 0 ? IDBKeyRange.bound(lowerKey, upperKey) : undefined;
+      }
+      if (lowerKey) return IDBKeyRange.lowerBound(lowerKey);
+      if (upperKey) return IDBKeyRange.upperBound(upperKey);
+      return null;
+    };
+
+    const totalRange = toRange(lower, upper);
+    const pageRange = toRange(lower, pageUpper);
+
+    // Empty range (from after to, or cursor before from)
+    if (totalRange === undefined || pageRange === undefined) {
+      const total = totalRange === undefined ? 0 : await this.countSessions(category, totalRange);
+      return { sessions: [], nextCursor: null, total };
+    }
+
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['sessions'], 'readonly');
       const store = transaction.objectStore('sessions');
-      const index = store.index('createdAt');
+      const index = store.index(category ? 'frameCategoryCreatedAt' : 'createdAt');
 
-      // Get in reverse order (newest first)
-      const request = index.openCursor(null, 'prev');
+      const countRequest = index.count(totalRange);
+      const request = index.openCursor(pageRange, 'prev');
       const sessions = [];
-      let skipped = 0;
-
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-
-        if (cursor) {
-          if (skipped < offset) {
-            skipped++;
-            cursor.continue();
-          } else if (sessions.length < limit) {
-            sessions.push(cursor.value);
-            cursor.continue();
-          } else {
-            transaction.oncomplete = () => resolve(sessions);
-          }
+      let hasSkippedOffset = offset <= 0;
+
+      request.onsuccess = () => {
+        const result = request.result;
+        if (!result) return;
+
+        if (!hasSkippedOffset) {
+          hasSkippedOffset = true;
+          result.advance(offset);
+          return;
+        }
+
+        // Same timestamp as the cursor: skip what the previous page already returned
+        if (
+          cursor
+          && result.value.createdAt === cursor.createdAt
+          && indexedDB.cmp(result.primaryKey, cursor.id) >= 0
+        ) {
+          result.continue();
+          return;
+        }
+
+        sessions.push(result.value);
+
+        // One extra row tells us whether another page exists
+        if (sessions.length <= limit) {
+          result.continue();
         }
       };
 
-      request.onerror = () => reject(request.error);
+      transaction.onerror = () => reject(transaction.error);
       transaction.oncomplete = () => {
-        if (sessions.length < limit) {
-          resolve(sessions);
-        }
+        const page = sessions.slice(0, limit);
+        const last = page[page.length - 1];
+
+        resolve({
+          sessions: page,
+          nextCursor: sessions.length > limit ? { createdAt: last.createdAt, id: last.id } : null,
+          total: countRequest.result,
+        });
       };
     });
   }
 
+  /**
+   * Number of sessions in a createdAt (or [frameCategory, createdAt]) range
+   */
+  async countSessions(category = null, range = null) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const store = this.db.transaction(['sessions'], 'readonly').objectStore('sessions');
+      const request = store.index(category ? 'frameCategoryCreatedAt' : 'createdAt').count(range);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Get photo blob
    */
@@ -217,6 +446,334 @@ class StorageService {
     });
   }
 
+  /**
+   * Get a photo record without its blob
+   */
+  async getPhoto(photoId) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(['photos'], 'readonly').objectStore('photos').get(photoId);
+
+      request.onsuccess = () => resolve(request.result ? { ...request.result, blob: undefined } : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a photo's raw captures (one per recipe shot)
+   *
+   * @returns {Promise<Blob[]>} Empty for photos saved without originals
+   */
+  async getPhotoOriginals(photoId) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(['originals'], 'readonly').objectStore('originals').get(photoId);
+
+      request.onsuccess = () => resolve(request.result?.blobs || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Replace a photo's final image (e.g. after re-rendering with another frame)
+   * The thumbnail is regenerated and the session size kept in step.
+   *
+   * @param {string} photoId
+   * @param {Blob} imageBlob - New final image
+   * @param {Object} [metadata] - Fields to update alongside, e.g. recipe / frameId
+   * @returns {Promise<Object>} Updated photo (without blob)
+   * @throws {Error} When the photo does not exist
+   */
+  async updatePhotoImage(photoId, imageBlob, metadata = {}) {
+    if (!this.db) await this.init();
+
+    let thumbnail = null;
+    try {
+      thumbnail = await createThumbnail(imageBlob);
+    } catch (error) {
+      console.warn('Thumbnail generation failed:', error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['photos', 'sessions', 'thumbnails'], 'readwrite');
+      const photoStore = transaction.objectStore('photos');
+      const thumbnailStore = transaction.objectStore('thumbnails');
+      const getRequest = photoStore.get(photoId);
+      let updated = null;
+
+      getRequest.onsuccess = () => {
+        const photo = getRequest.result;
+        if (!photo) {
+          transaction.abort();
+          return;
+        }
+
+        updated = {
+          ...photo,
+          ...metadata,
+          blob: imageBlob,
+          blobSize: imageBlob.size,
+          updatedAt: new Date().toISOString(),
+        };
+        photoStore.put(updated);
+
+        // A stale thumbnail is worse than none: the gallery rebuilds missing ones
+        if (thumbnail) {
+          thumbnailStore.put(this.buildThumbnailRecord(updated, thumbnail));
+        } else {
+          thumbnailStore.delete(photoId);
+        }
+
+        const sessionStore = transaction.objectStore('sessions');
+        const sessionRequest = sessionStore.get(photo.sessionId);
+        sessionRequest.onsuccess = () => {
+          const session = sessionRequest.result;
+          if (!session) return;
+          session.totalSize = Math.max(0, (session.totalSize || 0) + getStoredSize(updated) - getStoredSize(photo));
+          session.updatedAt = updated.updatedAt;
+          sessionStore.put(session);
+        };
+      };
+
+      transaction.onabort = () => reject(transaction.error || new Error(`Photo ${photoId} not found`));
+      transaction.oncomplete = () => resolve({ ...updated, blob: undefined });
+    });
+  }
+
+  /**
+   * Apply annotation changes to one record
+   * Cleared fields are removed so they drop out of their indexes.
+   */
+  async updateAnnotations(storeName, id, changes) {
+    if (!this.db) await this.init();
+
+    const annotations = normalizeAnnotations(changes);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const getRequest = store.get(id);
+      let updated = null;
+
+      getRequest.onsuccess = () => {
+        const record = getRequest.result;
+        if (!record) {
+          transaction.abort();
+          return;
+        }
+
+        updated = { ...record, updatedAt: new Date().toISOString() };
+        Object.entries(annotations).forEach(([field, value]) => {
+          if (value === null) {
+            delete updated[field];
+          } else {
+            updated[field] = value;
+          }
+        });
+        store.put(updated);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error || new Error(`${storeName === 'photos' ? 'Photo' : 'Session'} ${id} not found`));
+      };
+      transaction.oncomplete = () => resolve({ ...updated, blob: undefined });
+    });
+  }
+
+  /**
+   * Star, tag or attach guest details to a photo
+   *
+   * @param {string} photoId
+   * @param {{starred?: boolean, tags?: string|string[], guestName?: string, guestEmail?: string}} changes
+   * @returns {Promise<Object>} Updated photo (without blob)
+   * @throws {Error} For unknown fields, an invalid email or a missing photo
+   */
+  async updatePhoto(photoId, changes) {
+    return this.updateAnnotations('photos', photoId, changes);
+  }
+
+  /**
+   * Star, tag or attach guest details to a session
+   *
+   * @param {string} sessionId
+   * @param {{starred?: boolean, tags?: string|string[], guestName?: string, guestEmail?: string}} changes
+   * @returns {Promise<Object>} Updated session
+   */
+  async updateSession(sessionId, changes) {
+    return this.updateAnnotations('sessions', sessionId, changes);
+  }
+
+  /**
+   * Find photos across sessions by annotation, newest first (without blobs)
+   * Uses the starred / tags / guestEmail indexes; a guest name is matched as
+   * a case-insensitive substring.
+   *
+   * @param {Object} [query]
+   * @param {boolean} [query.starred] - Only starred photos
+   * @param {string} [query.tag]
+   * @param {string} [query.guest] - Email (exact) or part of a name
+   * @param {number} [query.limit]
+   * @returns {Promise<Object[]>}
+   */
+  async findPhotos({ starred = false, tag = null, guest = null, limit = 200 } = {}) {
+    if (!this.db) await this.init();
+
+    const normalizedTag = tag ? normalizeTags(tag)[0] : null;
+    const guestQuery = guest ? String(guest).trim().toLowerCase() : null;
+    const isEmail = Boolean(guestQuery && EMAIL_PATTERN.test(guestQuery));
+
+    const matches = (photo) => (
+      (!starred || photo.starred === 1)
+      && (!normalizedTag || photo.tags?.includes(normalizedTag))
+      && (!guestQuery || (isEmail
+        ? photo.guestEmail === guestQuery
+        : (photo.guestName || '').toLowerCase().includes(guestQuery)
+          || (photo.guestEmail || '').includes(guestQuery)))
+    );
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['photos'], 'readonly');
+      const store = transaction.objectStore('photos');
+
+      // Narrow with the most selective index available
+      let source = store;
+      let range = null;
+      if (normalizedTag) {
+        source = store.index('tags');
+        range = IDBKeyRange.only(normalizedTag);
+      } else if (isEmail) {
+        source = store.index('guestEmail');
+        range = IDBKeyRange.only(guestQuery);
+      } else if (starred) {
+        source = store.index('starred');
+        range = IDBKeyRange.only(1);
+      }
+
+      const request = source.openCursor(range);
+      const photos = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        if (matches(cursor.value)) {
+          photos.push({ ...cursor.value, blob: undefined });
+        }
+        cursor.continue();
+      };
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => {
+        resolve(photos.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit));
+      };
+    });
+  }
+
+  /**
+   * Thumbnail record stored in the thumbnails store
+   */
+  buildThumbnailRecord(photo, thumbnail) {
+    return {
+      photoId: photo.id,
+      sessionId: photo.sessionId,
+      blob: thumbnail.blob,
+      width: thumbnail.width,
+      height: thumbnail.height,
+      createdAt: photo.createdAt,
+    };
+  }
+
+  /**
+   * Get a photo's thumbnail blob
+   * Photos saved before thumbnails existed get one generated and stored on first request
+   */
+  async getPhotoThumbnail(photoId) {
+    if (!this.db) await this.init();
+
+    const record = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['thumbnails'], 'readonly');
+      const request = transaction.objectStore('thumbnails').get(photoId);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (record) return record.blob;
+
+    // Backfill from the full photo
+    const photo = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['photos'], 'readonly');
+      const request = transaction.objectStore('photos').get(photoId);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Video clips can't be drawn as images; their thumbnail comes from the poster at save time
+    if (!photo?.blob || photo.mediaType === MEDIA_TYPES.VIDEO) return null;
+
+    const thumbnail = await createThumbnail(photo.blob);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['thumbnails'], 'readwrite');
+      transaction.objectStore('thumbnails').put(this.buildThumbnailRecord(photo, thumbnail));
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(thumbnail.blob);
+    });
+  }
+
+  /**
+   * Get the thumbnail of a session's latest photo (cover image)
+   */
+  async getSessionThumbnail(sessionId) {
+    if (!this.db) await this.init();
+
+    const latestPhotoId = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['photos'], 'readonly');
+      const index = transaction.objectStore('photos').index('sessionId');
+      const request = index.getAll(sessionId);
+
+      request.onsuccess = () => {
+        const latest = request.result.reduce(
+          (newest, photo) => (!newest || photo.createdAt > newest.createdAt ? photo : newest),
+          null
+        );
+        resolve(latest?.id || null);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return latestPhotoId ? this.getPhotoThumbnail(latestPhotoId) : null;
+  }
+
+  /**
+   * Get the most recent still photos of a session with their blobs
+   * Returned oldest first, ready for print layouts (GIFs / boomerangs are skipped)
+   */
+  async getRecentPhotos(sessionId, count = 4) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['photos'], 'readonly');
+      const store = transaction.objectStore('photos');
+      const index = store.index('sessionId');
+      const request = index.getAll(sessionId);
+
+      request.onsuccess = () => {
+        const photos = request.result
+          .filter((photo) => (photo.mediaType || MEDIA_TYPES.PHOTO) === MEDIA_TYPES.PHOTO)
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+          .slice(-count);
+        resolve(photos);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Delete photo
    * US-032: Delete Photos & Sessions
@@ -225,28 +782,20 @@ class StorageService {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['photos', 'sessions'], 'readwrite');
+      const transaction = this.db.transaction(['photos', 'sessions', 'thumbnails', 'originals'], 'readwrite');
       const photoStore = transaction.objectStore('photos');
       const getRequest = photoStore.get(photoId);
 
       getRequest.onsuccess = () => {
         const photo = getRequest.result;
         if (photo) {
-          // Delete photo
+          // Delete photo, its thumbnail and originals
           const deleteRequest = photoStore.delete(photoId);
+          transaction.objectStore('thumbnails').delete(photoId);
+          transaction.objectStore('originals').delete(photoId);
 
-          // Update session size
-          const sessionStore = transaction.objectStore('sessions');
-          const sessionGetRequest = sessionStore.get(photo.sessionId);
-
-          sessionGetRequest.onsuccess = () => {
-            const session = sessionGetRequest.result;
-            if (session) {
-              session.photoCount = Math.max(0, (session.photoCount || 1) - 1);
-              session.totalSize = Math.max(0, (session.totalSize || 0) - (photo.blobSize || 0));
-              sessionStore.put(session);
-            }
-          };
+          // Recount the session from what is left, so its counters can't drift
+          recountSessionStats(transaction, [photo.sessionId]).catch(reject);
 
           deleteRequest.onerror = () => reject(deleteRequest.error);
         }
@@ -258,45 +807,153 @@ class StorageService {
   }
 
   /**
-   * Clear all old sessions (before date)
+   * Delete several photos in one transaction, recounting the sessions they were in
+   *
+   * @param {string[]} photoIds
+   * @returns {Promise<number>} Number of photos deleted
    */
-  async clearOldSessions(daysOld = 30) {
+  async deletePhotos(photoIds) {
     if (!this.db) await this.init();
+    if (photoIds.length === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['photos', 'sessions', 'thumbnails', 'originals'], 'readwrite');
+      const photoStore = transaction.objectStore('photos');
+      const thumbnailStore = transaction.objectStore('thumbnails');
+      const originalStore = transaction.objectStore('originals');
+      const sessionIds = new Set();
+      let pending = photoIds.length;
+      let deleted = 0;
+
+      photoIds.forEach((photoId) => {
+        const getRequest = photoStore.get(photoId);
+
+        getRequest.onsuccess = () => {
+          const photo = getRequest.result;
+          if (photo) {
+            photoStore.delete(photoId);
+            thumbnailStore.delete(photoId);
+            originalStore.delete(photoId);
+            sessionIds.add(photo.sessionId);
+            deleted++;
+          }
+
+          pending--;
+          if (pending === 0) {
+            recountSessionStats(transaction, [...sessionIds]).catch(reject);
+          }
+        };
+      });
 
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-    const cutoffISO = cutoffDate.toISOString();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(deleted);
+    });
+  }
+
+  /**
+   * Lightweight view of everything stored, for retention policies
+   * Photos are listed without blobs
+   *
+   * @returns {Promise<{sessions: Object[], photos: Array<{id, sessionId, createdAt, blobSize, starred}>}>}
+   */
+  async getRetentionSnapshot() {
+    if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['sessions', 'photos'], 'readwrite');
-      const sessionStore = transaction.objectStore('sessions');
-      const index = sessionStore.index('createdAt');
-
-      const range = IDBKeyRange.upperBound(cutoffISO);
-      const request = index.openCursor(range);
-      const deletedCount = { value: 0 };
-
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          // Delete associated photos
-          const photoStore = transaction.objectStore('photos');
-          const photosIndex = photoStore.index('sessionId');
-          const photosRequest = photosIndex.getAll(cursor.value.id);
-
-          photosRequest.onsuccess = () => {
-            photosRequest.result.forEach((photo) => {
-              photoStore.delete(photo.id);
-            });
-            cursor.delete();
-            deletedCount.value++;
-            cursor.continue();
-          };
-        }
+      const transaction = this.db.transaction(['sessions', 'photos'], 'readonly');
+      const sessionsRequest = transaction.objectStore('sessions').getAll();
+      const cursorRequest = transaction.objectStore('photos').openCursor();
+      const photos = [];
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+
+        const { id, sessionId, createdAt, starred = false } = cursor.value;
+        photos.push({ id, sessionId, createdAt, blobSize: getStoredSize(cursor.value), starred });
+        cursor.continue();
       };
 
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve({ sessions: sessionsRequest.result, photos });
+    });
+  }
+
+  /**
+   * Delete a session and all of its photos
+   * US-032: Delete Photos & Sessions
+   */
+  async deleteSession(sessionId) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions', 'photos', 'thumbnails', 'originals'], 'readwrite');
+      const photoStore = transaction.objectStore('photos');
+      const thumbnailStore = transaction.objectStore('thumbnails');
+      const originalStore = transaction.objectStore('originals');
+      const photosRequest = photoStore.index('sessionId').getAllKeys(sessionId);
+      let deletedPhotos = 0;
+
+      photosRequest.onsuccess = () => {
+        photosRequest.result.forEach((photoId) => {
+          photoStore.delete(photoId);
+          thumbnailStore.delete(photoId);
+          originalStore.delete(photoId);
+        });
+        deletedPhotos = photosRequest.result.length;
+      };
+
+      transaction.objectStore('sessions').delete(sessionId);
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(deletedPhotos);
+    });
+  }
+
+  /**
+   * Operator-loaded .cube LUTs ({id, name, text, addedAt}), oldest first
+   */
+  async getLuts() {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(['luts'], 'readonly').objectStore('luts').getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || '')));
+      };
       request.onerror = () => reject(request.error);
-      transaction.oncomplete = () => resolve(deletedCount.value);
+    });
+  }
+
+  /**
+   * Save (or replace) a LUT record
+   */
+  async saveLut(lut) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['luts'], 'readwrite');
+      transaction.objectStore('luts').put(lut);
+
+      transaction.oncomplete = () => resolve(lut);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Saving the LUT was aborted'));
+    });
+  }
+
+  /**
+   * Delete a LUT record
+   */
+  async deleteLut(id) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['luts'], 'readwrite');
+      transaction.objectStore('luts').delete(id);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
@@ -327,6 +984,305 @@ class StorageService {
       request.onerror = () => reject(request.error);
     });
   }
+
+  /**
+   * Session record with all photos including blobs (oldest first)
+   */
+  async getSessionWithBlobs(sessionId) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions', 'photos'], 'readonly');
+      const sessionRequest = transaction.objectStore('sessions').get(sessionId);
+      const photosRequest = transaction.objectStore('photos').index('sessionId').getAll(sessionId);
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => {
+        resolve({
+          session: sessionRequest.result || null,
+          photos: photosRequest.result.sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+        });
+      };
+    });
+  }
+
+  /**
+   * ZIP entries for one session: session.json, photos/, thumbnails/ and originals/
+   *
+   * @param {string} sessionId
+   * @param {string} [prefix] - Folder inside the archive ('' for single-session exports)
+   */
+  async buildSessionArchiveEntries(sessionId, prefix = '') {
+    const { session, photos } = await this.getSessionWithBlobs(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const entries = [];
+    const photoEntries = [];
+
+    for (const { blob, ...metadata } of photos) {
+      if (!blob) continue;
+
+      const date = new Date(metadata.createdAt || Date.now());
+      const file = `photos/${metadata.id}.${getBlobExtension(blob)}`;
+      entries.push({ name: prefix + file, data: blob, date });
+
+      let thumbnailFile = null;
+      try {
+        const thumbnail = await this.getPhotoThumbnail(metadata.id);
+        if (thumbnail) {
+          thumbnailFile = `thumbnails/${metadata.id}.${getBlobExtension(thumbnail)}`;
+          entries.push({ name: prefix + thumbnailFile, data: thumbnail, date });
+        }
+      } catch (error) {
+        console.warn(`Exporting ${metadata.id} without a thumbnail:`, error);
+      }
+
+      // Raw captures, so imported photos can still be re-rendered
+      const originals = await this.getPhotoOriginals(metadata.id);
+      const originalFiles = originals.map(
+        (original, index) => `originals/${metadata.id}-${index + 1}.${getBlobExtension(original)}`
+      );
+      originals.forEach((original, index) => {
+        entries.push({ name: prefix + originalFiles[index], data: original, date });
+      });
+
+      photoEntries.push({
+        ...metadata,
+        mimeType: blob.type,
+        file,
+        thumbnail: thumbnailFile,
+        originals: originalFiles,
+      });
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      session,
+      photos: photoEntries,
+    };
+
+    entries.unshift({ name: prefix + SESSION_MANIFEST, data: JSON.stringify(manifest, null, 2) });
+    return entries;
+  }
+
+  /**
+   * Export one session as a ZIP archive
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Blob>} ZIP with session.json, photos/, thumbnails/ and originals/
+   */
+  async exportSession(sessionId) {
+    return createZip(await this.buildSessionArchiveEntries(sessionId));
+  }
+
+  /**
+   * Export every stored session as one ZIP archive (one folder per session)
+   *
+   * @returns {Promise<Blob>}
+   */
+  async exportAllSessions() {
+    if (!this.db) await this.init();
+
+    const sessionIds = await new Promise((resolve, reject) => {
+      const request = this.db.transaction(['sessions'], 'readonly').objectStore('sessions').getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (sessionIds.length === 0) {
+      throw new Error('There are no sessions to export');
+    }
+
+    const entries = [];
+    for (const sessionId of sessionIds) {
+      entries.push(...await this.buildSessionArchiveEntries(sessionId, `${sessionId}/`));
+    }
+    return createZip(entries);
+  }
+
+  /**
+   * Restore sessions from an exportSession / exportAllSessions archive
+   *
+   * Photo ids that already exist in another session are renamed so nothing
+   * stored is overwritten unless the conflict choice is REPLACE.
+   *
+   * @param {Blob} archive - ZIP file
+   * @param {Object} [options]
+   * @param {string|Function} [options.onConflict] - An IMPORT_CONFLICT value, or
+   *   `(storedSession, archivedSession) => IMPORT_CONFLICT value` (may be async)
+   * @returns {Promise<{imported: number, replaced: number, copied: number, skipped: number, photos: number}>}
+   * @throws {Error} When the archive is unreadable or not a session export
+   */
+  async importSessions(archive, { onConflict = IMPORT_CONFLICT.COPY } = {}) {
+    if (!this.db) await this.init();
+
+    const files = await readZip(archive);
+    const manifestNames = [...files.keys()].filter(
+      (name) => name === SESSION_MANIFEST || name.endsWith(`/${SESSION_MANIFEST}`)
+    );
+    if (manifestNames.length === 0) {
+      throw new Error(`Archive has no ${SESSION_MANIFEST}, is it a SelfieBooth export?`);
+    }
+
+    const decoder = new TextDecoder();
+    const summary = { imported: 0, replaced: 0, copied: 0, skipped: 0, photos: 0 };
+
+    const existingPhotoIds = new Set(await new Promise((resolve, reject) => {
+      const request = this.db.transaction(['photos'], 'readonly').objectStore('photos').getAllKeys();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+
+    for (const manifestName of manifestNames) {
+      const prefix = manifestName.slice(0, -SESSION_MANIFEST.length);
+
+      let manifest;
+      try {
+        manifest = JSON.parse(decoder.decode(files.get(manifestName)));
+      } catch {
+        throw new Error(`${manifestName} is not valid JSON`);
+      }
+      if (manifest.format !== ARCHIVE_FORMAT || !manifest.session?.id || !Array.isArray(manifest.photos)) {
+        throw new Error(`${manifestName} is not a SelfieBooth session export`);
+      }
+      if (manifest.version > ARCHIVE_VERSION) {
+        throw new Error(`${manifestName} was exported by a newer version of SelfieBooth`);
+      }
+
+      const archivedSession = manifest.session;
+      const storedSession = (await this.getSession(archivedSession.id)).session;
+
+      let action = null;
+      if (storedSession) {
+        action = typeof onConflict === 'function'
+          ? await onConflict(storedSession, archivedSession)
+          : onConflict;
+
+        if (!Object.values(IMPORT_CONFLICT).includes(action)) {
+          throw new Error(`Unknown import conflict choice: ${action}`);
+        }
+        if (action === IMPORT_CONFLICT.SKIP) {
+          summary.skipped++;
+          continue;
+        }
+        if (action === IMPORT_CONFLICT.REPLACE) {
+          // Deleted in the import transaction below, so their ids are free again
+          const { photos: replacedPhotos = [] } = await this.getSession(storedSession.id);
+          replacedPhotos.forEach((photo) => existingPhotoIds.delete(photo.id));
+        }
+      }
+
+      const sessionId = action === IMPORT_CONFLICT.COPY
+        ? createId('session')
+        : archivedSession.id;
+
+      const photoRecords = [];
+      const thumbnailRecords = [];
+      const originalRecords = [];
+
+      manifest.photos.forEach((entry) => {
+        const { file, thumbnail, originals: originalFiles = [], mimeType, ...metadata } = entry;
+        const bytes = files.get(prefix + file);
+        if (!bytes) {
+          console.warn(`Import: ${prefix + file} is missing from the archive, skipping photo`);
+          return;
+        }
+
+        const photoId = existingPhotoIds.has(metadata.id) || !metadata.id
+          ? createId('photo')
+          : metadata.id;
+        existingPhotoIds.add(photoId);
+
+        const blob = new Blob([bytes], { type: mimeType || 'image/png' });
+        const photo = {
+          mediaType: MEDIA_TYPES.PHOTO,
+          ...metadata,
+          id: photoId,
+          sessionId,
+          blob,
+          blobSize: blob.size,
+        };
+        delete photo.originalSize;
+        photoRecords.push(photo);
+
+        const thumbnailBytes = thumbnail && files.get(prefix + thumbnail);
+        if (thumbnailBytes) {
+          thumbnailRecords.push({
+            photoId,
+            sessionId,
+            blob: new Blob([thumbnailBytes], { type: getArchivedImageType(thumbnail) }),
+            createdAt: photo.createdAt,
+          });
+        }
+
+        // Originals are all-or-nothing: a recipe can't render with shots missing
+        const originals = originalFiles.map((name) => {
+          const originalBytes = files.get(prefix + name);
+          return originalBytes && new Blob([originalBytes], { type: getArchivedImageType(name) });
+        });
+        if (originals.length > 0 && originals.every(Boolean)) {
+          photo.originalSize = originals.reduce((sum, original) => sum + original.size, 0);
+          originalRecords.push({ photoId, sessionId, blobs: originals, createdAt: photo.createdAt });
+        } else if (originals.length > 0) {
+          console.warn(`Import: originals of ${metadata.id} are incomplete, it can no longer be re-rendered`);
+        }
+      });
+
+      const session = {
+        ...archivedSession,
+        id: sessionId,
+        photoCount: photoRecords.length,
+        totalSize: photoRecords.reduce((sum, photo) => sum + getStoredSize(photo), 0),
+        importedAt: new Date().toISOString(),
+      };
+
+      // A replaced session is removed in the same transaction, so it is only
+      // gone once everything from the archive has been written
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['sessions', 'photos', 'thumbnails', 'originals'], 'readwrite');
+        const photoStore = transaction.objectStore('photos');
+        const thumbnailStore = transaction.objectStore('thumbnails');
+        const originalStore = transaction.objectStore('originals');
+
+        const writeRecords = () => {
+          transaction.objectStore('sessions').put(session);
+          photoRecords.forEach((photo) => photoStore.put(photo));
+          thumbnailRecords.forEach((record) => thumbnailStore.put(record));
+          originalRecords.forEach((record) => originalStore.put(record));
+        };
+
+        if (action === IMPORT_CONFLICT.REPLACE) {
+          const replacedRequest = photoStore.index('sessionId').getAllKeys(storedSession.id);
+          replacedRequest.onsuccess = () => {
+            replacedRequest.result.forEach((photoId) => {
+              photoStore.delete(photoId);
+              thumbnailStore.delete(photoId);
+              originalStore.delete(photoId);
+            });
+            // The session record itself is overwritten by the put
+            writeRecords();
+          };
+        } else {
+          writeRecords();
+        }
+
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Importing the session was aborted'));
+        transaction.oncomplete = () => resolve();
+      });
+
+      summary.photos += photoRecords.length;
+      if (action === IMPORT_CONFLICT.REPLACE) summary.replaced++;
+      else if (action === IMPORT_CONFLICT.COPY) summary.copied++;
+      else summary.imported++;
+    }
+
+    return summary;
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,119 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IMPORT_CONFLICT, storageService } from './storageService';
+import { createZip } from '../utils/zip';
+
+const SESSION = { id: 'session-1', createdAt: '2024-05-01T18:00:00.000Z', category: 'wedding' };
+
+/**
+ * Store a session with its photos as savePhoto would have left them
+ */
+const seedSession = async (photoIds) => {
+  const db = await storageService.init();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(['sessions', 'photos'], 'readwrite');
+    transaction.objectStore('sessions').put({ ...SESSION, photoCount: photoIds.length });
+    photoIds.forEach((id) => transaction.objectStore('photos').put({
+      id,
+      sessionId: SESSION.id,
+      createdAt: SESSION.createdAt,
+      mediaType: 'photo',
+      blob: new Blob(['stored'], { type: 'image/png' }),
+    }));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Session archive as exportSession builds it
+ */
+const createArchive = (photoIds) => createZip([
+  {
+    name: 'session.json',
+    data: JSON.stringify({
+      format: 'selfiebooth-session',
+      version: 1,
+      session: SESSION,
+      photos: photoIds.map((id) => ({
+        id,
+        createdAt: SESSION.createdAt,
+        mimeType: 'image/png',
+        file: `photos/${id}.png`,
+        thumbnail: null,
+        originals: [],
+      })),
+    }),
+  },
+  ...photoIds.map((id) => ({ name: `photos/${id}.png`, data: new Blob(['archived'], { type: 'image/png' }) })),
+]);
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  storageService.db = null;
+  storageService.initPromise = null;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  storageService.db?.close();
+  vi.restoreAllMocks();
+});
+
+describe('importSessions', () => {
+  it('replaces a stored session with the archived one', async () => {
+    await seedSession(['photo-a', 'photo-b']);
+
+    const summary = await storageService.importSessions(await createArchive(['photo-b', 'photo-c']), {
+      onConflict: IMPORT_CONFLICT.REPLACE,
+    });
+
+    expect(summary).toMatchObject({ replaced: 1, photos: 2 });
+    const { session, photos } = await storageService.getSession(SESSION.id);
+    expect(session.photoCount).toBe(2);
+    expect(photos.map((photo) => photo.id).sort()).toEqual(['photo-b', 'photo-c']);
+    expect(await (await storageService.getPhotoBlob('photo-b')).text()).toBe('archived');
+  });
+
+  it('keeps the stored session when writing the replacement fails', async () => {
+    await seedSession(['photo-a', 'photo-b']);
+    const put = IDBObjectStore.prototype.put;
+    vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(function (record) {
+      if (record.id === 'photo-c') throw new DOMException('Disk is full', 'QuotaExceededError');
+      return put.call(this, record);
+    });
+
+    await expect(storageService.importSessions(await createArchive(['photo-c']), {
+      onConflict: IMPORT_CONFLICT.REPLACE,
+    })).rejects.toThrow();
+
+    const { session, photos } = await storageService.getSession(SESSION.id);
+    expect(session.photoCount).toBe(2);
+    expect(photos.map((photo) => photo.id).sort()).toEqual(['photo-a', 'photo-b']);
+  });
+});
+
+describe('deleting photos', () => {
+  const setCounters = async (photoCount, totalSize) => {
+    const db = await storageService.init();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['sessions'], 'readwrite');
+      transaction.objectStore('sessions').put({ ...SESSION, photoCount, totalSize });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  it('recounts the session instead of decrementing drifted counters', async () => {
+    await seedSession(['photo-a', 'photo-b', 'photo-c']);
+    await setCounters(9, 1);
+
+    await storageService.deletePhoto('photo-a');
+    expect((await storageService.getSession(SESSION.id)).session).toMatchObject({ photoCount: 2, totalSize: 12 });
+
+    await setCounters(0, 0);
+    await expect(storageService.deletePhotos(['photo-b', 'missing'])).resolves.toBe(1);
+    expect((await storageService.getSession(SESSION.id)).session).toMatchObject({ photoCount: 1, totalSize: 6 });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Compositor - Canvas pipeline that turns camera shots into the final photo
+ * Shots are drawn into their photo windows first, the frame PNG goes on top,
+ * then personalized text, then stickers
+ */
+
+import { APP_CONFIG, IMAGE_CONFIG } from '../constants';
+import { FIT_MODES, getCropRegion, getSourceSize } from './cropRegion';
+import { applyFilterToCanvas } from './filterEngine';
+import { drawTextSlots } from './textSlots';
+
+/**
+ * Photo window covering the whole frame (single-shot photos)
+ */
+export const FULL_FRAME_WINDOW = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * Load an image from a URL or Blob
+ *
+ * @param {string|Blob} source - Image URL or Blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (source) => {
+  return new Promise((resolve, reject) => {
+    const isBlob = source instanceof Blob;
+    const url = isBlob ? URL.createObjectURL(source) : source;
+    const img = new Image();
+
+    if (!isBlob) {
+      img.crossOrigin = 'anonymous';
+    }
+
+    img.onload = () => {
+      if (isBlob) URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      if (isBlob) URL.revokeObjectURL(url);
+      reject(new Error('Failed to load image'));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Convert a canvas to a Blob
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type] - MIME type, defaults to IMAGE_CONFIG.EXPORT_FORMAT
+ * @param {number} [quality] - 0-1 for lossy formats
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, type = IMAGE_CONFIG.EXPORT_FORMAT, quality = IMAGE_CONFIG.EXPORT_QUALITY) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('Failed to create blob from canvas'));
+          return;
+        }
+        resolve(blob);
+      },
+      type,
+      quality
+    );
+  });
+};
+
+/**
+ * Pixel rectangle of a photo window inside a frame of the given size
+ *
+ * @param {{x: number, y: number, width: number, height: number}} photoWindow - Fractions (0-1)
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export const getWindowPixels = (photoWindow, width, height) => {
+  const x = Math.round(photoWindow.x * width);
+  const y = Math.round(photoWindow.y * height);
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.round((photoWindow.x + photoWindow.width) * width) - x),
+    height: Math.max(1, Math.round((photoWindow.y + photoWindow.height) * height) - y),
+  };
+};
+
+/**
+ * Draw the visible crop region of a source onto an existing canvas context
+ * Shared by still captures and video clip frames
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} source - Video, image or canvas
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {{zoom?: number, fit?: string, mirror?: boolean}} [options]
+ * @returns {Object} The crop region that was drawn (see getCropRegion)
+ */
+export const drawCrop = (ctx, source, targetWidth, targetHeight, { zoom = 1, fit = FIT_MODES.COVER, mirror = false } = {}) => {
+  const sourceSize = getSourceSize(source);
+  const region = getCropRegion({
+    sourceWidth: sourceSize?.width,
+    sourceHeight: sourceSize?.height,
+    targetWidth,
+    targetHeight,
+    zoom,
+    fit,
+  });
+
+  if (!region) {
+    throw new Error('Camera source has no image data yet');
+  }
+
+  ctx.save();
+
+  // Letterbox background for contain, matches the preview container
+  if (region.dWidth < targetWidth || region.dHeight < targetHeight) {
+    ctx.fillStyle = APP_CONFIG.BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, targetWidth, targetHeight);
+  }
+
+  if (mirror) {
+    ctx.translate(targetWidth, 0);
+    ctx.scale(-1, 1);
+  }
+
+  try {
+    ctx.drawImage(
+      source,
+      region.sx, region.sy, region.sWidth, region.sHeight,
+      region.dx, region.dy, region.dWidth, region.dHeight
+    );
+  } catch (drawError) {
+    console.error('Canvas draw error:', drawError);
+    throw new Error('Failed to capture image: ' + drawError.message);
+  } finally {
+    ctx.restore();
+  }
+
+  return region;
+};
+
+/**
+ * Draw the visible crop region of a source onto a new canvas
+ * Uses the same crop model as the CaptureScreen preview
+ *
+ * @param {CanvasImageSource} source - Video, image or canvas
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {{zoom?: number, fit?: string, mirror?: boolean, filterId?: string}} [options]
+ * @returns {HTMLCanvasElement}
+ */
+export const renderCrop = (source, targetWidth, targetHeight, { zoom = 1, fit = FIT_MODES.COVER, mirror = false, filterId } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = targetWidth;
+  canvas.height = targetHeight;
+
+  const region = drawCrop(canvas.getContext('2d'), source, targetWidth, targetHeight, { zoom, fit, mirror });
+  console.log('✓ Image drawn to canvas successfully');
+
+  // Bake the selected filter into the capture, before any frame compositing
+  // (pixel pipeline rather than ctx.filter, which Safari ignores)
+  applyFilterToCanvas(canvas, filterId, {
+    x: canvas.width - region.dx - region.dWidth,
+    y: region.dy,
+    width: region.dWidth,
+    height: region.dHeight,
+  });
+
+  return canvas;
+};
+
+/**
+ * Copy a source's full frame onto a new canvas, uncropped and unfiltered
+ * Kept as the photo's original so it can be re-rendered later
+ *
+ * @param {CanvasImageSource} source - Video, image or canvas
+ * @returns {HTMLCanvasElement}
+ */
+export const renderOriginal = (source) => {
+  const size = getSourceSize(source);
+  if (!size?.width || !size?.height) {
+    throw new Error('Camera source has no image data yet');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  canvas.getContext('2d').drawImage(source, 0, 0, size.width, size.height);
+  return canvas;
+};
+
+/**
+ * Draw stickers onto a canvas
+ * Positions are fractions of the canvas; width is a fraction of the canvas
+ * width and the height follows the sticker image's aspect.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{image: string|Blob|CanvasImageSource, x: number, y: number, width: number, rotation?: number}>} stickers
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Promise<void>}
+ */
+export const drawStickers = async (ctx, stickers, width, height) => {
+  for (const sticker of stickers) {
+    let image = sticker.image;
+    if (image instanceof Blob || typeof image === 'string') {
+      try {
+        image = await loadImage(image);
+      } catch {
+        throw new Error('Failed to load sticker');
+      }
+    }
+
+    const naturalWidth = image.naturalWidth || image.width;
+    const naturalHeight = image.naturalHeight || image.height;
+    const drawWidth = sticker.width * width;
+    const drawHeight = naturalWidth ? drawWidth * (naturalHeight / naturalWidth) : drawWidth;
+
+    ctx.save();
+    ctx.translate(sticker.x * width, sticker.y * height);
+    ctx.rotate(((sticker.rotation || 0) * Math.PI) / 180);
+    ctx.drawImage(image, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+  }
+};
+
+/**
+ * Draw shots, an optional frame overlay, text and stickers onto a new canvas
+ *
+ * @param {Object} params - See composePhoto
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const composeCanvas = async ({
+  width,
+  height,
+  shots = [],
+  frameImage = null,
+  background = null,
+  textSlots = [],
+  textValues = {},
+  stickers = [],
+}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  for (const shot of shots) {
+    const image = shot.source instanceof Blob || typeof shot.source === 'string'
+      ? await loadImage(shot.source)
+      : shot.source;
+    const rect = getWindowPixels(shot.photoWindow || FULL_FRAME_WINDOW, width, height);
+    ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+  }
+
+  if (frameImage) {
+    let frameImg;
+    try {
+      frameImg = await loadImage(frameImage);
+    } catch {
+      throw new Error('Failed to load frame');
+    }
+    ctx.drawImage(frameImg, 0, 0, width, height);
+  }
+
+  drawTextSlots(ctx, textSlots, textValues, width, height);
+  await drawStickers(ctx, stickers, width, height);
+
+  return canvas;
+};
+
+/**
+ * Composite shots and an optional frame overlay into one image
+ *
+ * @param {Object} params
+ * @param {number} params.width - Output width
+ * @param {number} params.height - Output height
+ * @param {Array<{source: Blob|string|CanvasImageSource, photoWindow?: Object}>} params.shots
+ *   Camera shots with the photo window (fractions) they fill
+ * @param {string|null} [params.frameImage] - Frame PNG URL drawn on top
+ * @param {string|null} [params.background] - Fill behind the shots (collage gaps)
+ * @param {Object[]} [params.textSlots] - Frame text slots drawn over the frame
+ * @param {Object<string, string>} [params.textValues] - Text by slot id
+ * @param {Object[]} [params.stickers] - Stickers drawn over the frame, see drawStickers
+ * @returns {Promise<{blob: Blob, canvas: HTMLCanvasElement}>}
+ */
+export const composePhoto = async (params) => {
+  const canvas = await composeCanvas(params);
+  const blob = await canvasToBlob(canvas);
+  return { blob, canvas };
+};
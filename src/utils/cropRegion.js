@@ -0,0 +1,181 @@
+/**
+ * Crop Region Utilities
+ * Shared geometry for the live camera preview and cameraService.captureFrame
+ *
+ * The preview shows the camera source with a CSS `object-fit` mode and a
+ * `scale(zoom)` transform inside an `overflow: hidden` container. These helpers
+ * reproduce that exact mapping so the captured pixels match what was framed.
+ */
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 3;
+
+/**
+ * Supported fit strategies (mirror CSS object-fit values)
+ */
+export const FIT_MODES = {
+  COVER: 'cover',
+  CONTAIN: 'contain',
+  FILL: 'fill',
+};
+
+/**
+ * Normalise a fit mode, falling back to cover for unknown values
+ *
+ * @param {string} fit - Requested fit mode
+ * @returns {string} One of FIT_MODES
+ */
+export const normalizeFit = (fit) => {
+  return Object.values(FIT_MODES).includes(fit) ? fit : FIT_MODES.COVER;
+};
+
+/**
+ * Clamp a zoom level to the supported range
+ *
+ * @param {number} zoom - Requested zoom level
+ * @returns {number} Zoom between MIN_ZOOM and MAX_ZOOM
+ */
+export const clampZoom = (zoom) => {
+  const value = Number(zoom);
+  if (!Number.isFinite(value)) return MIN_ZOOM;
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+};
+
+/**
+ * Get the intrinsic pixel size of a camera source element
+ *
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} element
+ * @returns {{width: number, height: number}|null}
+ */
+export const getSourceSize = (element) => {
+  if (!element) return null;
+  if (element.tagName === 'VIDEO') {
+    return { width: element.videoWidth, height: element.videoHeight };
+  }
+  if (element.tagName === 'IMG') {
+    return { width: element.naturalWidth || element.width, height: element.naturalHeight || element.height };
+  }
+  return { width: element.width, height: element.height };
+};
+
+/**
+ * Source rectangle that `object-fit: cover` shows in a destination box
+ *
+ * @returns {{sx: number, sy: number, sWidth: number, sHeight: number}|null}
+ */
+export const getCoverRect = (srcWidth, srcHeight, dstWidth, dstHeight) => {
+  if (!srcWidth || !srcHeight || !dstWidth || !dstHeight) {
+    return null;
+  }
+  const srcAspect = srcWidth / srcHeight;
+  const dstAspect = dstWidth / dstHeight;
+
+  if (srcAspect > dstAspect) {
+    const sWidth = srcHeight * dstAspect;
+    const sx = (srcWidth - sWidth) / 2;
+    return { sx, sy: 0, sWidth, sHeight: srcHeight };
+  }
+
+  const sHeight = srcWidth / dstAspect;
+  const sy = (srcHeight - sHeight) / 2;
+  return { sx: 0, sy, sWidth: srcWidth, sHeight };
+};
+
+/**
+ * Rectangle a source occupies inside a destination box for a fit mode
+ * Same result as CSS `object-fit` with `object-position: center`
+ *
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export const getDisplayRect = (srcWidth, srcHeight, dstWidth, dstHeight, fit = FIT_MODES.COVER) => {
+  if (!srcWidth || !srcHeight || !dstWidth || !dstHeight) {
+    return null;
+  }
+
+  let width = dstWidth;
+  let height = dstHeight;
+
+  const mode = normalizeFit(fit);
+  if (mode !== FIT_MODES.FILL) {
+    const scaleX = dstWidth / srcWidth;
+    const scaleY = dstHeight / srcHeight;
+    const scale = mode === FIT_MODES.COVER ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    width = srcWidth * scale;
+    height = srcHeight * scale;
+  }
+
+  return {
+    x: (dstWidth - width) / 2,
+    y: (dstHeight - height) / 2,
+    width,
+    height,
+  };
+};
+
+/**
+ * Compute the region of the source visible in the preview and where it lands
+ *
+ * Zoom is applied around the centre, the same as `transform: scale()` with
+ * the default transform origin. The returned rectangles plug straight into
+ * `ctx.drawImage(source, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)`.
+ *
+ * @param {Object} params
+ * @param {number} params.sourceWidth - Intrinsic source width
+ * @param {number} params.sourceHeight - Intrinsic source height
+ * @param {number} params.targetWidth - Output width
+ * @param {number} params.targetHeight - Output height
+ * @param {number} [params.zoom=1] - Preview zoom level
+ * @param {string} [params.fit='cover'] - One of FIT_MODES
+ * @returns {{sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight}|null}
+ */
+export const getCropRegion = ({
+  sourceWidth,
+  sourceHeight,
+  targetWidth,
+  targetHeight,
+  zoom = 1,
+  fit = FIT_MODES.COVER,
+}) => {
+  const display = getDisplayRect(sourceWidth, sourceHeight, targetWidth, targetHeight, fit);
+  if (!display) return null;
+
+  // Zoom the displayed rectangle around the centre of the target
+  const scale = clampZoom(zoom);
+  const width = display.width * scale;
+  const height = display.height * scale;
+  const x = (targetWidth - width) / 2;
+  const y = (targetHeight - height) / 2;
+
+  // Clip to the target box (the preview container hides overflow)
+  const dx = Math.max(0, x);
+  const dy = Math.max(0, y);
+  const dWidth = Math.min(targetWidth, x + width) - dx;
+  const dHeight = Math.min(targetHeight, y + height) - dy;
+
+  const ratioX = sourceWidth / width;
+  const ratioY = sourceHeight / height;
+
+  return {
+    sx: (dx - x) * ratioX,
+    sy: (dy - y) * ratioY,
+    sWidth: dWidth * ratioX,
+    sHeight: dHeight * ratioY,
+    dx,
+    dy,
+    dWidth,
+    dHeight,
+  };
+};
+
+/**
+ * CSS transform for the live preview element
+ *
+ * @param {Object} params
+ * @param {number} [params.zoom=1] - Preview zoom level
+ * @param {boolean} [params.mirror=false] - Mirror horizontally (selfie view)
+ * @returns {string} CSS transform value
+ */
+export const getPreviewTransform = ({ zoom = 1, mirror = false } = {}) => {
+  const scale = clampZoom(zoom);
+  return `scale(${mirror ? -scale : scale}, ${scale})`;
+};
@@ -0,0 +1,172 @@
+/**
+ * .cube 3D LUT Support
+ * Parses Adobe/Resolve `.cube` colour grades and applies them to ImageData
+ * with trilinear interpolation
+ */
+
+export const MIN_LUT_SIZE = 2;
+export const MAX_LUT_SIZE = 128;
+
+/**
+ * Parse and validate a .cube file
+ *
+ * @param {string} text - File contents
+ * @param {string} [fallbackTitle] - Used when the file has no TITLE line
+ * @returns {{title: string, size: number, domainMin: number[], domainMax: number[], table: Float32Array}}
+ * @throws {Error} With the offending line number for malformed files
+ */
+export const parseCubeLut = (text, fallbackTitle = 'Custom LUT') => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('LUT file is empty');
+  }
+
+  let title = null;
+  let size = null;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let table = null;
+  let count = 0;
+
+  const lines = text.split(/\r?\n/);
+
+  const parseNumbers = (parts, expected, lineNumber, label) => {
+    const values = parts.map(Number);
+    if (values.length !== expected || values.some((value) => !Number.isFinite(value))) {
+      throw new Error(`Line ${lineNumber}: ${label} needs ${expected} numbers`);
+    }
+    return values;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+
+    switch (keyword) {
+      case 'TITLE': {
+        const match = line.match(/^TITLE\s+"?(.*?)"?$/);
+        title = match?.[1] || null;
+        return;
+      }
+      case 'LUT_1D_SIZE':
+        throw new Error(`Line ${lineNumber}: 1D LUTs are not supported, export a 3D LUT`);
+      case 'LUT_3D_SIZE': {
+        if (table) {
+          throw new Error(`Line ${lineNumber}: LUT_3D_SIZE must come before the table data`);
+        }
+        const [value] = parseNumbers(rest, 1, lineNumber, 'LUT_3D_SIZE');
+        if (!Number.isInteger(value) || value < MIN_LUT_SIZE || value > MAX_LUT_SIZE) {
+          throw new Error(`Line ${lineNumber}: LUT_3D_SIZE must be an integer from ${MIN_LUT_SIZE} to ${MAX_LUT_SIZE}`);
+        }
+        size = value;
+        table = new Float32Array(size * size * size * 3);
+        return;
+      }
+      case 'DOMAIN_MIN':
+        domainMin = parseNumbers(rest, 3, lineNumber, 'DOMAIN_MIN');
+        return;
+      case 'DOMAIN_MAX':
+        domainMax = parseNumbers(rest, 3, lineNumber, 'DOMAIN_MAX');
+        return;
+      case 'LUT_3D_INPUT_RANGE': {
+        const [min, max] = parseNumbers(rest, 2, lineNumber, 'LUT_3D_INPUT_RANGE');
+        domainMin = [min, min, min];
+        domainMax = [max, max, max];
+        return;
+      }
+      default:
+        break;
+    }
+
+    // Unknown keywords (vendor extensions) are ignored
+    if (/^[A-Za-z_]/.test(keyword)) return;
+
+    if (!table) {
+      throw new Error(`Line ${lineNumber}: table data found before LUT_3D_SIZE`);
+    }
+    if (count >= size * size * size) {
+      throw new Error(`Line ${lineNumber}: more than ${size * size * size} table entries`);
+    }
+
+    const [r, g, b] = parseNumbers([keyword, ...rest], 3, lineNumber, 'Table entry');
+    table[count * 3] = r;
+    table[count * 3 + 1] = g;
+    table[count * 3 + 2] = b;
+    count++;
+  });
+
+  if (!table) {
+    throw new Error('Missing LUT_3D_SIZE');
+  }
+  if (count !== size * size * size) {
+    throw new Error(`Expected ${size * size * size} table entries for LUT_3D_SIZE ${size}, found ${count}`);
+  }
+  for (let channel = 0; channel < 3; channel++) {
+    if (domainMax[channel] <= domainMin[channel]) {
+      throw new Error('DOMAIN_MAX must be greater than DOMAIN_MIN');
+    }
+  }
+
+  return { title: title || fallbackTitle, size, domainMin, domainMax, table };
+};
+
+/**
+ * Apply a parsed 3D LUT to RGBA pixel data in place (trilinear interpolation)
+ * Table order follows the .cube spec: red changes fastest, then green, then blue.
+ *
+ * @param {Uint8ClampedArray} data - ImageData.data
+ * @param {Object} lut - Result of parseCubeLut
+ */
+export const applyLut3d = (data, lut) => {
+  const { size, table, domainMin, domainMax } = lut;
+  const max = size - 1;
+  const stride = size * size;
+
+  const scale = [0, 1, 2].map((c) => max / (255 * (domainMax[c] - domainMin[c])));
+  const offset = [0, 1, 2].map((c) => (-domainMin[c] * max) / (domainMax[c] - domainMin[c]));
+
+  const position = (value, channel) => {
+    const p = value * scale[channel] + offset[channel];
+    return p <= 0 ? 0 : p >= max ? max : p;
+  };
+
+  for (let i = 0; i < data.length; i += 4) {
+    const pr = position(data[i], 0);
+    const pg = position(data[i + 1], 1);
+    const pb = position(data[i + 2], 2);
+
+    const r0 = Math.floor(pr);
+    const g0 = Math.floor(pg);
+    const b0 = Math.floor(pb);
+    const r1 = Math.min(r0 + 1, max);
+    const g1 = Math.min(g0 + 1, max);
+    const b1 = Math.min(b0 + 1, max);
+    const fr = pr - r0;
+    const fg = pg - g0;
+    const fb = pb - b0;
+
+    // Table offsets of the 8 surrounding lattice points
+    const i000 = (b0 * stride + g0 * size + r0) * 3;
+    const i100 = (b0 * stride + g0 * size + r1) * 3;
+    const i010 = (b0 * stride + g1 * size + r0) * 3;
+    const i110 = (b0 * stride + g1 * size + r1) * 3;
+    const i001 = (b1 * stride + g0 * size + r0) * 3;
+    const i101 = (b1 * stride + g0 * size + r1) * 3;
+    const i011 = (b1 * stride + g1 * size + r0) * 3;
+    const i111 = (b1 * stride + g1 * size + r1) * 3;
+
+    for (let c = 0; c < 3; c++) {
+      const c00 = table[i000 + c] + (table[i100 + c] - table[i000 + c]) * fr;
+      const c10 = table[i010 + c] + (table[i110 + c] - table[i010 + c]) * fr;
+      const c01 = table[i001 + c] + (table[i101 + c] - table[i001 + c]) * fr;
+      const c11 = table[i011 + c] + (table[i111 + c] - table[i011 + c]) * fr;
+
+      const c0 = c00 + (c10 - c00) * fg;
+      const c1 = c01 + (c11 - c01) * fg;
+
+      data[i + c] = (c0 + (c1 - c0) * fb) * 255;
+    }
+  }
+};
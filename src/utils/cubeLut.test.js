@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { applyLut3d, parseCubeLut } from './cubeLut';
+
+/**
+ * .cube text for a LUT computed from f(r, g, b) -> [r, g, b] (inputs 0-1)
+ * Red changes fastest, then green, then blue
+ */
+const createCube = (size, f, header = '') => {
+  const rows = [];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        rows.push(f(r / (size - 1), g / (size - 1), b / (size - 1)).join(' '));
+      }
+    }
+  }
+  return `${header}LUT_3D_SIZE ${size}\n${rows.join('\n')}\n`;
+};
+
+const apply = (lut, pixels) => {
+  const data = new Uint8ClampedArray(pixels.flat());
+  applyLut3d(data, lut);
+  const result = [];
+  for (let i = 0; i < data.length; i += 4) result.push(Array.from(data.subarray(i, i + 4)));
+  return result;
+};
+
+const identity = (r, g, b) => [r, g, b];
+
+describe('parseCubeLut', () => {
+  it('reads the title, size, domain and table', () => {
+    const lut = parseCubeLut(createCube(2, identity, '# graded on set\nTITLE "Warm Night"\nDOMAIN_MIN 0 0 0\nDOMAIN_MAX 1 1 1\n'));
+    expect(lut.title).toBe('Warm Night');
+    expect(lut.size).toBe(2);
+    expect(lut.domainMin).toEqual([0, 0, 0]);
+    expect(lut.domainMax).toEqual([1, 1, 1]);
+    expect(Array.from(lut.table.slice(0, 6))).toEqual([0, 0, 0, 1, 0, 0]);
+  });
+
+  it('falls back to the given title', () => {
+    expect(parseCubeLut(createCube(2, identity), 'teal-orange').title).toBe('teal-orange');
+  });
+
+  it('ignores vendor keywords', () => {
+    expect(parseCubeLut(createCube(2, identity, 'LUT_3D_VENDOR_FLAG 1\n')).size).toBe(2);
+  });
+
+  it.each([
+    ['', 'LUT file is empty'],
+    ['0 0 0\n', 'Line 1: table data found before LUT_3D_SIZE'],
+    ['LUT_1D_SIZE 16\n', 'Line 1: 1D LUTs are not supported'],
+    ['LUT_3D_SIZE 1\n', 'Line 1: LUT_3D_SIZE must be an integer from 2 to 128'],
+    ['LUT_3D_SIZE 2\n0 0 0\n', 'Expected 8 table entries for LUT_3D_SIZE 2, found 1'],
+    ['LUT_3D_SIZE 2\n0 0\n', 'Line 2: Table entry needs 3 numbers'],
+    ['TITLE "x"\n', 'Missing LUT_3D_SIZE'],
+  ])('rejects %j', (text, message) => {
+    expect(() => parseCubeLut(text)).toThrow(message);
+  });
+
+  it('rejects an empty domain', () => {
+    expect(() => parseCubeLut(createCube(2, identity, 'DOMAIN_MIN 1 0 0\nDOMAIN_MAX 1 1 1\n'))).toThrow(
+      'DOMAIN_MAX must be greater than DOMAIN_MIN'
+    );
+  });
+});
+
+describe('applyLut3d', () => {
+  it('leaves pixels unchanged with an identity LUT', () => {
+    const pixels = [[0, 0, 0, 255], [255, 255, 255, 255], [10, 128, 250, 77]];
+    expect(apply(parseCubeLut(createCube(2, identity)), pixels)).toEqual(pixels);
+    expect(apply(parseCubeLut(createCube(17, identity)), pixels)).toEqual(pixels);
+  });
+
+  it('follows the red-fastest table order', () => {
+    const swap = parseCubeLut(createCube(2, (r, g, b) => [b, g, r]));
+    expect(apply(swap, [[255, 0, 0, 255], [30, 60, 90, 255]])).toEqual([[0, 0, 255, 255], [90, 60, 30, 255]]);
+  });
+
+  it('interpolates trilinearly between lattice points', () => {
+    // Red out = red × green at the corners: trilinear gives fr × fg in between
+    const product = parseCubeLut(createCube(2, (r, g) => [r * g, 0, 0]));
+    // (128/255)² × 255 = 64.25
+    expect(apply(product, [[128, 128, 0, 255]])).toEqual([[64, 0, 0, 255]]);
+    // (51/255) × (204/255) × 255 = 40.8
+    expect(apply(product, [[51, 204, 200, 255]])).toEqual([[41, 0, 0, 255]]);
+  });
+
+  it('maps inputs through DOMAIN_MIN / DOMAIN_MAX', () => {
+    // Table covers inputs 0-2, so 0-255 only reaches its first half
+    const lut = parseCubeLut(createCube(2, (r, g, b) => [r, g, b], 'DOMAIN_MIN 0 0 0\nDOMAIN_MAX 2 2 2\n'));
+    expect(apply(lut, [[255, 128, 0, 255]])).toEqual([[128, 64, 0, 255]]);
+  });
+
+  it('clamps inputs below the domain to its first entry', () => {
+    const lut = parseCubeLut(createCube(2, () => [0.5, 0.5, 0.5], 'DOMAIN_MIN 0.5 0.5 0.5\nDOMAIN_MAX 1 1 1\n'));
+    expect(apply(lut, [[0, 50, 100, 255]])).toEqual([[128, 128, 128, 255]]);
+  });
+});
@@ -0,0 +1,399 @@
+/**
+ * Filter Engine - Pixel filters on ImageData
+ * Produces the same result in every browser, unlike `ctx.filter` which
+ * Safari ignores (silently giving unfiltered photos)
+ *
+ * A pipeline is an ordered list of operations:
+ *   { type: 'matrix', matrix }        3x4 colour matrix (see below)
+ *   { type: 'curves', rgb, r, g, b }  tone curves as [[in, out], ...] points (0-255)
+ *   { type: 'lut', r, g, b }          precomputed 256-entry lookup tables
+ *   { type: 'lut3d', lut }            parsed .cube 3D LUT (see cubeLut.js)
+ *   { type: 'vignette', amount, radius }
+ *   { type: 'grain', amount, seed }
+ *
+ * Colour matrices are 3 rows of [r, g, b, offset] with offsets in 0-255 units.
+ * The CSS filter functions used by FILTER_PRESETS are converted with the
+ * formulas from the Filter Effects spec so captures match the live preview.
+ */
+
+import { getFilterPreset } from './filters';
+import { applyLut3d } from './cubeLut';
+
+export const IDENTITY_MATRIX = [
+  [1, 0, 0, 0],
+  [0, 1, 0, 0],
+  [0, 0, 1, 0],
+];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Compose two colour matrices: the result applies `first`, then `second`
+ */
+export const multiplyMatrices = (second, first) => {
+  return second.map((row) => [
+    row[0] * first[0][0] + row[1] * first[1][0] + row[2] * first[2][0],
+    row[0] * first[0][1] + row[1] * first[1][1] + row[2] * first[2][1],
+    row[0] * first[0][2] + row[1] * first[1][2] + row[2] * first[2][2],
+    row[0] * first[0][3] + row[1] * first[1][3] + row[2] * first[2][3] + row[3],
+  ]);
+};
+
+export const grayscaleMatrix = (amount = 1) => {
+  const s = 1 - clamp01(amount);
+  return [
+    [0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s, 0],
+    [0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s, 0],
+    [0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s, 0],
+  ];
+};
+
+export const sepiaMatrix = (amount = 1) => {
+  const s = 1 - clamp01(amount);
+  return [
+    [0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s, 0],
+    [0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s, 0],
+    [0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s, 0],
+  ];
+};
+
+export const saturateMatrix = (amount = 1) => {
+  const s = Math.max(0, amount);
+  return [
+    [0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s, 0],
+    [0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s, 0],
+    [0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s, 0],
+  ];
+};
+
+export const hueRotateMatrix = (degrees = 0) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return [
+    [0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928, 0],
+    [0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.14, 0.072 - cos * 0.072 - sin * 0.283, 0],
+    [0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072, 0],
+  ];
+};
+
+export const brightnessMatrix = (amount = 1) => {
+  const b = Math.max(0, amount);
+  return [
+    [b, 0, 0, 0],
+    [0, b, 0, 0],
+    [0, 0, b, 0],
+  ];
+};
+
+export const contrastMatrix = (amount = 1) => {
+  const c = Math.max(0, amount);
+  const offset = (0.5 - 0.5 * c) * 255;
+  return [
+    [c, 0, 0, offset],
+    [0, c, 0, offset],
+    [0, 0, c, offset],
+  ];
+};
+
+export const invertMatrix = (amount = 1) => {
+  const a = clamp01(amount);
+  const scale = 1 - 2 * a;
+  return [
+    [scale, 0, 0, a * 255],
+    [0, scale, 0, a * 255],
+    [0, 0, scale, a * 255],
+  ];
+};
+
+const CSS_MATRIX_FUNCTIONS = {
+  grayscale: grayscaleMatrix,
+  sepia: sepiaMatrix,
+  saturate: saturateMatrix,
+  'hue-rotate': hueRotateMatrix,
+  brightness: brightnessMatrix,
+  contrast: contrastMatrix,
+  invert: invertMatrix,
+};
+
+/**
+ * Parse a CSS filter argument: numbers, percentages and angles
+ */
+const parseCssArgument = (name, raw) => {
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid value "${raw}" for ${name}()`);
+  }
+  if (raw.endsWith('%')) return value / 100;
+  if (raw.endsWith('rad')) return (value * 180) / Math.PI;
+  if (raw.endsWith('turn')) return value * 360;
+  return value;
+};
+
+/**
+ * Convert a CSS filter string (as used by FILTER_PRESETS) into pipeline steps
+ *
+ * @param {string} css - e.g. 'saturate(2) contrast(1.1)'
+ * @returns {Array<Object>} Pipeline operations
+ */
+export const parseCssFilter = (css) => {
+  if (!css || css === 'none') return [];
+
+  const operations = [];
+  const pattern = /([a-z-]+)\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(css)) !== null) {
+    const [, name, rawArg] = match;
+    const build = CSS_MATRIX_FUNCTIONS[name];
+    if (!build) {
+      throw new Error(`Unsupported filter function: ${name}()`);
+    }
+    const arg = rawArg.trim();
+    operations.push({ type: 'matrix', matrix: build(arg ? parseCssArgument(name, arg) : undefined) });
+  }
+
+  return operations;
+};
+
+/**
+ * Build a 256-entry lookup table from curve control points
+ * Points are [input, output] pairs (0-255), linearly interpolated
+ *
+ * @param {Array<[number, number]>} points
+ * @returns {Uint8ClampedArray}
+ */
+export const buildCurveLut = (points) => {
+  const lut = new Uint8ClampedArray(256);
+  if (!points || points.length === 0) {
+    for (let i = 0; i < 256; i++) lut[i] = i;
+    return lut;
+  }
+
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  let segment = 0;
+
+  for (let i = 0; i < 256; i++) {
+    while (segment < sorted.length - 1 && i > sorted[segment + 1][0]) {
+      segment++;
+    }
+    const [x0, y0] = sorted[segment];
+    const [x1, y1] = sorted[Math.min(segment + 1, sorted.length - 1)];
+
+    if (i <= x0 || x1 === x0) {
+      lut[i] = Math.round(i <= x0 ? y0 : y1);
+    } else if (i >= x1) {
+      lut[i] = Math.round(y1);
+    } else {
+      lut[i] = Math.round(y0 + ((i - x0) / (x1 - x0)) * (y1 - y0));
+    }
+  }
+
+  return lut;
+};
+
+/**
+ * Deterministic PRNG (mulberry32) so grain is reproducible
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Apply a 3x4 colour matrix in place
+ */
+export const applyColorMatrix = (data, matrix) => {
+  const [[rr, rg, rb, ro], [gr, gg, gb, go], [br, bg, bb, bo]] = matrix;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = rr * r + rg * g + rb * b + ro;
+    data[i + 1] = gr * r + gg * g + gb * b + go;
+    data[i + 2] = br * r + bg * g + bb * b + bo;
+  }
+};
+
+/**
+ * Apply per-channel lookup tables in place
+ */
+export const applyLut = (data, { r, g, b }) => {
+  for (let i = 0; i < data.length; i += 4) {
+    if (r) data[i] = r[data[i]];
+    if (g) data[i + 1] = g[data[i + 1]];
+    if (b) data[i + 2] = b[data[i + 2]];
+  }
+};
+
+/**
+ * Darken towards the corners in place
+ *
+ * @param {number} amount - 0 (none) to 1 (black corners)
+ * @param {number} radius - Fraction of the half-diagonal left untouched
+ */
+export const applyVignette = (data, width, height, { amount = 0.4, radius = 0.5 } = {}) => {
+  const strength = clamp01(amount);
+  const start = clamp01(radius);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const maxDistance = Math.sqrt(cx * cx + cy * cy) || 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dx = x - cx;
+      const dy = y - cy;
+      const distance = Math.sqrt(dx * dx + dy * dy) / maxDistance;
+      if (distance <= start) continue;
+
+      const t = Math.min(1, (distance - start) / (1 - start || 1));
+      const falloff = t * t * (3 - 2 * t); // smoothstep
+      const factor = 1 - strength * falloff;
+      const i = (y * width + x) * 4;
+      data[i] *= factor;
+      data[i + 1] *= factor;
+      data[i + 2] *= factor;
+    }
+  }
+};
+
+/**
+ * Add monochrome film grain in place
+ *
+ * @param {number} amount - 0 (none) to 1 (±128 levels)
+ * @param {number} seed - PRNG seed, same seed gives identical grain
+ */
+export const applyGrain = (data, { amount = 0.1, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const strength = clamp01(amount) * 255;
+  for (let i = 0; i < data.length; i += 4) {
+    const noise = (random() - 0.5) * strength;
+    data[i] += noise;
+    data[i + 1] += noise;
+    data[i + 2] += noise;
+  }
+};
+
+/**
+ * Run a pipeline over an ImageData in place
+ * Consecutive matrices are merged into a single pass.
+ *
+ * @param {ImageData} imageData
+ * @param {Array<Object>} pipeline
+ * @returns {ImageData} The same ImageData, for chaining
+ */
+export const applyPipeline = (imageData, pipeline = []) => {
+  const { data, width, height } = imageData;
+  let pendingMatrix = null;
+
+  const flushMatrix = () => {
+    if (pendingMatrix) {
+      applyColorMatrix(data, pendingMatrix);
+      pendingMatrix = null;
+    }
+  };
+
+  pipeline.forEach((operation) => {
+    if (operation.type === 'matrix') {
+      pendingMatrix = pendingMatrix ? multiplyMatrices(operation.matrix, pendingMatrix) : operation.matrix;
+      return;
+    }
+
+    flushMatrix();
+
+    switch (operation.type) {
+      case 'curves': {
+        const shared = operation.rgb ? buildCurveLut(operation.rgb) : null;
+        const channel = (points) => {
+          const own = points ? buildCurveLut(points) : null;
+          if (own && shared) return own.map((value) => shared[value]);
+          return own || shared;
+        };
+        applyLut(data, { r: channel(operation.r), g: channel(operation.g), b: channel(operation.b) });
+        break;
+      }
+      case 'lut':
+        applyLut(data, operation);
+        break;
+      case 'lut3d':
+        applyLut3d(data, operation.lut);
+        break;
+      case 'vignette':
+        applyVignette(data, width, height, operation);
+        break;
+      case 'grain':
+        applyGrain(data, operation);
+        break;
+      default:
+        throw new Error(`Unknown filter operation: ${operation.type}`);
+    }
+  });
+
+  flushMatrix();
+  return imageData;
+};
+
+/**
+ * Pipeline for a filter preset (CSS string plus optional extras)
+ *
+ * @param {string} filterId - Preset id
+ * @returns {Array<Object>}
+ */
+export const getPresetPipeline = (filterId) => {
+  const preset = getFilterPreset(filterId);
+  const pipeline = parseCssFilter(preset.class);
+
+  if (preset.lut) pipeline.push({ type: 'lut3d', lut: preset.lut });
+  if (preset.curves) pipeline.push({ type: 'curves', ...preset.curves });
+  if (preset.vignette) pipeline.push({ type: 'vignette', ...preset.vignette });
+  if (preset.grain) pipeline.push({ type: 'grain', ...preset.grain });
+
+  return pipeline;
+};
+
+/**
+ * Pipeline for manual brightness / contrast / saturation adjustments
+ * Amounts use CSS filter units: 1 leaves the image unchanged.
+ *
+ * @param {{brightness?: number, contrast?: number, saturation?: number}} adjustments
+ * @returns {Array<Object>}
+ */
+export const getAdjustmentPipeline = ({ brightness = 1, contrast = 1, saturation = 1 } = {}) => {
+  const pipeline = [];
+  if (brightness !== 1) pipeline.push({ type: 'matrix', matrix: brightnessMatrix(brightness) });
+  if (contrast !== 1) pipeline.push({ type: 'matrix', matrix: contrastMatrix(contrast) });
+  if (saturation !== 1) pipeline.push({ type: 'matrix', matrix: saturateMatrix(saturation) });
+  return pipeline;
+};
+
+/**
+ * Filter a region of a canvas in place
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string|Array<Object>} filter - Preset id or a pipeline
+ * @param {{x: number, y: number, width: number, height: number}} [region] - Defaults to the whole canvas
+ * @returns {HTMLCanvasElement}
+ */
+export const applyFilterToCanvas = (canvas, filter, region = null) => {
+  const pipeline = Array.isArray(filter) ? filter : getPresetPipeline(filter);
+  if (pipeline.length === 0) return canvas;
+
+  const x = Math.max(0, Math.floor(region?.x ?? 0));
+  const y = Math.max(0, Math.floor(region?.y ?? 0));
+  const width = Math.min(canvas.width - x, Math.ceil(region?.width ?? canvas.width));
+  const height = Math.min(canvas.height - y, Math.ceil(region?.height ?? canvas.height));
+  if (width <= 0 || height <= 0) return canvas;
+
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(x, y, width, height);
+  applyPipeline(imageData, pipeline);
+  ctx.putImageData(imageData, x, y);
+
+  return canvas;
+};
@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyPipeline,
+  buildCurveLut,
+  contrastMatrix,
+  grayscaleMatrix,
+  hueRotateMatrix,
+  invertMatrix,
+  parseCssFilter,
+  sepiaMatrix,
+} from './filterEngine';
+
+/**
+ * ImageData-shaped fixture (Node has no ImageData)
+ */
+const createImageData = (width, height, pixels) => ({
+  width,
+  height,
+  data: new Uint8ClampedArray(pixels.flat()),
+});
+
+/**
+ * Pixels of a fixture as [r, g, b, a] arrays
+ */
+const toPixels = ({ data }) => {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) pixels.push(Array.from(data.subarray(i, i + 4)));
+  return pixels;
+};
+
+const filter = (pixels, pipeline, width = pixels.length, height = 1) => {
+  return toPixels(applyPipeline(createImageData(width, height, pixels), pipeline));
+};
+
+describe('colour matrices', () => {
+  it('grayscale(1) uses the Rec. 709 luma weights and leaves alpha alone', () => {
+    const pixels = [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255], [10, 20, 30, 128]];
+    expect(filter(pixels, [{ type: 'matrix', matrix: grayscaleMatrix(1) }])).toEqual([
+      [54, 54, 54, 255],
+      [182, 182, 182, 255],
+      [18, 18, 18, 255],
+      [19, 19, 19, 128],
+    ]);
+  });
+
+  it('sepia(1)', () => {
+    expect(filter([[90, 150, 210, 255]], [{ type: 'matrix', matrix: sepiaMatrix(1) }])).toEqual([[190, 170, 132, 255]]);
+  });
+
+  it('contrast() pivots around mid grey and clamps', () => {
+    expect(filter([[64, 128, 200, 255]], [{ type: 'matrix', matrix: contrastMatrix(1.5) }])).toEqual([[32, 128, 236, 255]]);
+    expect(filter([[0, 255, 10, 255]], [{ type: 'matrix', matrix: contrastMatrix(3) }])).toEqual([[0, 255, 0, 255]]);
+  });
+
+  it('invert(1)', () => {
+    expect(filter([[10, 20, 30, 255]], [{ type: 'matrix', matrix: invertMatrix(1) }])).toEqual([[245, 235, 225, 255]]);
+  });
+
+  it('hue-rotate() keeps greys grey', () => {
+    expect(filter([[128, 128, 128, 255]], [{ type: 'matrix', matrix: hueRotateMatrix(180) }])).toEqual([[128, 128, 128, 255]]);
+  });
+
+  it('an amount of 0 is the identity', () => {
+    const pixels = [[12, 200, 77, 255]];
+    expect(filter(pixels, [{ type: 'matrix', matrix: sepiaMatrix(0) }])).toEqual(pixels);
+    expect(filter(pixels, [{ type: 'matrix', matrix: grayscaleMatrix(0) }])).toEqual(pixels);
+  });
+});
+
+describe('parseCssFilter', () => {
+  it('parses the FILTER_PRESETS CSS and merges consecutive matrices', () => {
+    expect(filter([[100, 150, 50, 255]], parseCssFilter('saturate(2) contrast(1.1)'))).toEqual([[62, 172, 0, 255]]);
+  });
+
+  it('accepts percentages and angles', () => {
+    expect(parseCssFilter('grayscale(100%)')).toEqual([{ type: 'matrix', matrix: grayscaleMatrix(1) }]);
+    const [{ matrix }] = parseCssFilter('hue-rotate(0.5turn)');
+    hueRotateMatrix(180).flat().forEach((value, index) => expect(matrix.flat()[index]).toBeCloseTo(value, 10));
+  });
+
+  it('returns no operations for none', () => {
+    expect(parseCssFilter('none')).toEqual([]);
+    expect(parseCssFilter('')).toEqual([]);
+  });
+
+  it('rejects functions it cannot reproduce', () => {
+    expect(() => parseCssFilter('blur(2px)')).toThrow('Unsupported filter function: blur()');
+  });
+});
+
+describe('curves and lookup tables', () => {
+  it('buildCurveLut interpolates linearly between points', () => {
+    const lut = buildCurveLut([[0, 0], [128, 64], [255, 255]]);
+    expect([lut[0], lut[64], lut[128], lut[192], lut[255]]).toEqual([0, 32, 64, 160, 255]);
+  });
+
+  it('buildCurveLut holds the end values outside the points', () => {
+    const lut = buildCurveLut([[50, 20], [200, 220]]);
+    expect([lut[0], lut[50], lut[200], lut[255]]).toEqual([20, 20, 220, 220]);
+  });
+
+  it('applies a channel curve before the shared rgb curve', () => {
+    const pipeline = [{ type: 'curves', rgb: [[0, 255], [255, 0]], r: [[0, 0], [255, 128]] }];
+    expect(filter([[200, 200, 200, 255]], pipeline)).toEqual([[155, 55, 55, 255]]);
+  });
+
+  it('applies per-channel lookup tables', () => {
+    const half = Uint8ClampedArray.from({ length: 256 }, (_, i) => i >> 1);
+    expect(filter([[200, 100, 50, 9]], [{ type: 'lut', g: half }])).toEqual([[200, 50, 50, 9]]);
+  });
+});
+
+describe('vignette', () => {
+  const grey3x3 = Array.from({ length: 9 }, () => [200, 200, 200, 255]);
+
+  it('keeps the centre, darkens edges with a smoothstep falloff and blacks out corners', () => {
+    const result = filter(grey3x3, [{ type: 'vignette', amount: 1, radius: 0.5 }], 3, 3);
+    expect(result.map(([r]) => r)).toEqual([
+      0, 125, 0,
+      125, 200, 125,
+      0, 125, 0,
+    ]);
+    expect(result.every(([, , , a]) => a === 255)).toBe(true);
+  });
+
+  it('scales the darkening by amount', () => {
+    const result = filter(grey3x3, [{ type: 'vignette', amount: 0.5, radius: 0.5 }], 3, 3);
+    expect(result[0]).toEqual([100, 100, 100, 255]);
+    expect(result[4]).toEqual([200, 200, 200, 255]);
+  });
+});
+
+describe('grain', () => {
+  const grey = [[128, 128, 128, 255], [128, 128, 128, 255], [128, 128, 128, 255]];
+
+  it('adds the same monochrome noise for the same seed', () => {
+    expect(filter(grey, [{ type: 'grain', amount: 0.2, seed: 42 }])).toEqual([
+      [133, 133, 133, 255],
+      [125, 125, 125, 255],
+      [146, 146, 146, 255],
+    ]);
+  });
+
+  it('differs between seeds', () => {
+    expect(filter(grey, [{ type: 'grain', amount: 0.2, seed: 7 }])).not.toEqual(
+      filter(grey, [{ type: 'grain', amount: 0.2, seed: 42 }])
+    );
+  });
+});
+
+describe('applyPipeline', () => {
+  it('runs operations in order', () => {
+    const pipeline = [
+      { type: 'matrix', matrix: invertMatrix(1) },
+      { type: 'curves', rgb: [[0, 0], [255, 127]] },
+    ];
+    expect(filter([[55, 155, 255, 255]], pipeline)).toEqual([[100, 50, 0, 255]]);
+  });
+
+  it('rejects unknown operations', () => {
+    expect(() => filter([[0, 0, 0, 255]], [{ type: 'sharpen' }])).toThrow('Unknown filter operation: sharpen');
+  });
+});
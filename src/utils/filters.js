@@ -0,0 +1,57 @@
+/**
+ * Filter Utilities
+ * Resolve FILTER_PRESETS (plus operator-loaded presets such as .cube LUTs)
+ * for the live preview and captured canvas
+ */
+
+import { FILTER_PRESETS } from '../constants';
+
+export const DEFAULT_FILTER_ID = 'none';
+
+// Presets added at runtime, e.g. by lutService
+const customPresets = new Map();
+
+/**
+ * Register (or replace) a runtime filter preset
+ *
+ * @param {{id: string, name: string, class?: string, lut?: Object}} preset
+ */
+export const registerFilterPreset = (preset) => {
+  customPresets.set(preset.id, { class: '', ...preset });
+};
+
+/**
+ * Remove a runtime filter preset
+ */
+export const unregisterFilterPreset = (filterId) => {
+  customPresets.delete(filterId);
+};
+
+/**
+ * All selectable presets, built-in first
+ */
+export const getFilterPresets = () => {
+  return [...FILTER_PRESETS, ...customPresets.values()];
+};
+
+/**
+ * Find a filter preset by id, falling back to the unfiltered preset
+ *
+ * @param {string} filterId - Preset id
+ * @returns {{id: string, name: string, class: string}}
+ */
+export const getFilterPreset = (filterId) => {
+  return FILTER_PRESETS.find((preset) => preset.id === filterId)
+    || customPresets.get(filterId)
+    || FILTER_PRESETS[0];
+};
+
+/**
+ * CSS filter value for a preset (usable for `style.filter` and `ctx.filter`)
+ *
+ * @param {string} filterId - Preset id
+ * @returns {string} CSS filter, 'none' when unfiltered
+ */
+export const getFilterCss = (filterId) => {
+  return getFilterPreset(filterId).class || 'none';
+};
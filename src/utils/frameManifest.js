@@ -0,0 +1,295 @@
+/**
+ * Frame Manifest Loader
+ * Builds the frame catalog from the `frames.json` manifest in each
+ * `assets/Frames/<Folder>/` directory instead of bare PNG globbing
+ *
+ * Manifest shape:
+ *   {
+ *     "category": "children",
+ *     "frames": [
+ *       {
+ *         "file": "1.png",                  // required, PNG in the same folder
+ *         "name": "Kids Frame 1",           // required display name
+ *         "orientation": "portrait",        // portrait | landscape | square
+ *         "photoWindows": [{ "x": 0, "y": 0, "width": 1, "height": 1 }],
+ *         "crop": { "fit": "cover", "zoom": 1 },
+ *         "tags": ["kids"],
+ *         "textSlots": [{ "id": "name", "label": "Name", "x": 0.5, "y": 0.9, "size": 0.06 }],
+ *         "enabled": true
+ *       }
+ *     ]
+ *   }
+ *
+ * photoWindows are fractions (0-1) of the frame image size.
+ * textSlots are optional custom text fields, see utils/textSlots.
+ */
+
+import { APP_CONFIG } from '../constants';
+import { FIT_MODES, MIN_ZOOM, MAX_ZOOM } from './cropRegion';
+import { FULL_FRAME_WINDOW } from './compositor';
+import { DEFAULT_TEXT_SLOT, TEXT_ALIGNMENTS } from './textSlots';
+
+export const MANIFEST_FILE = 'frames.json';
+export const FRAME_ORIENTATIONS = ['portrait', 'landscape', 'square'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFraction = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Split a glob path like './assets/Frames/Children/1.png' into folder + file
+ */
+const splitFramePath = (path) => {
+  const parts = path.split('/');
+  return { folder: parts[parts.length - 2], file: parts[parts.length - 1] };
+};
+
+/**
+ * Validate one photo window rectangle
+ * @returns {string|null} Error message or null when valid
+ */
+const validateWindow = (rect) => {
+  if (!isPlainObject(rect)) return 'must be an object with x, y, width, height';
+  for (const key of ['x', 'y', 'width', 'height']) {
+    if (!isFraction(rect[key])) return `${key} must be a number between 0 and 1`;
+  }
+  if (rect.width === 0 || rect.height === 0) return 'width and height must be greater than 0';
+  if (rect.x + rect.width > 1.0001 || rect.y + rect.height > 1.0001) return 'extends outside the frame';
+  return null;
+};
+
+/**
+ * Validate one text slot
+ * @returns {string|null} Error message or null when valid
+ */
+const validateTextSlot = (slot) => {
+  if (!isPlainObject(slot)) return 'must be an object';
+  if (typeof slot.id !== 'string' || !slot.id.trim()) return '"id" is required';
+  if (!isFraction(slot.x) || !isFraction(slot.y)) return 'x and y must be numbers between 0 and 1';
+  if (slot.maxWidth !== undefined && !(isFraction(slot.maxWidth) && slot.maxWidth > 0)) {
+    return 'maxWidth must be a number between 0 and 1';
+  }
+  if (slot.size !== undefined && !(isFraction(slot.size) && slot.size > 0)) {
+    return 'size must be a number between 0 and 1';
+  }
+  if (slot.align !== undefined && !TEXT_ALIGNMENTS.includes(slot.align)) {
+    return `align must be one of ${TEXT_ALIGNMENTS.join(', ')}`;
+  }
+  for (const key of ['label', 'placeholder', 'font', 'color', 'default']) {
+    if (slot[key] !== undefined && typeof slot[key] !== 'string') return `${key} must be a string`;
+  }
+  if (slot.weight !== undefined && !['string', 'number'].includes(typeof slot.weight)) {
+    return 'weight must be a string or number';
+  }
+  if (slot.maxLength !== undefined && !(Number.isInteger(slot.maxLength) && slot.maxLength > 0)) {
+    return 'maxLength must be a positive whole number';
+  }
+  if (slot.persist !== undefined && typeof slot.persist !== 'boolean') return 'persist must be true or false';
+  return null;
+};
+
+/**
+ * Validate a single manifest entry and normalise it into a frame object
+ *
+ * @returns {{frame: Object|null, errors: string[]}}
+ */
+const buildFrameEntry = (entry, { category, images, label }) => {
+  const errors = [];
+  const fail = (message) => errors.push(`${label}: ${message}`);
+
+  if (!isPlainObject(entry)) {
+    fail('entry must be an object');
+    return { frame: null, errors };
+  }
+
+  const { file, name, orientation, photoWindows, crop, tags, textSlots, enabled } = entry;
+
+  if (typeof file !== 'string' || !file) {
+    fail('"file" is required');
+  } else if (!images[file]) {
+    fail(`"file" ${file} does not exist in this folder`);
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    fail('"name" is required');
+  }
+
+  if (!FRAME_ORIENTATIONS.includes(orientation)) {
+    fail(`"orientation" must be one of ${FRAME_ORIENTATIONS.join(', ')}`);
+  }
+
+  if (photoWindows !== undefined) {
+    if (!Array.isArray(photoWindows) || photoWindows.length === 0) {
+      fail('"photoWindows" must be a non-empty array');
+    } else {
+      photoWindows.forEach((rect, i) => {
+        const message = validateWindow(rect);
+        if (message) fail(`photoWindows[${i}] ${message}`);
+      });
+    }
+  }
+
+  if (crop !== undefined) {
+    if (!isPlainObject(crop)) {
+      fail('"crop" must be an object');
+    } else {
+      if (crop.fit !== undefined && !Object.values(FIT_MODES).includes(crop.fit)) {
+        fail(`crop.fit must be one of ${Object.values(FIT_MODES).join(', ')}`);
+      }
+      if (crop.zoom !== undefined && !(typeof crop.zoom === 'number' && crop.zoom >= MIN_ZOOM && crop.zoom <= MAX_ZOOM)) {
+        fail(`crop.zoom must be a number between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+      }
+    }
+  }
+
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => typeof tag === 'string'))) {
+    fail('"tags" must be an array of strings');
+  }
+
+  if (textSlots !== undefined) {
+    if (!Array.isArray(textSlots)) {
+      fail('"textSlots" must be an array');
+    } else {
+      const seenIds = new Set();
+      textSlots.forEach((slot, i) => {
+        const message = validateTextSlot(slot);
+        if (message) {
+          fail(`textSlots[${i}] ${message}`);
+        } else if (seenIds.has(slot.id)) {
+          fail(`textSlots[${i}] id "${slot.id}" is used more than once`);
+        } else {
+          seenIds.add(slot.id);
+        }
+      });
+    }
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    fail('"enabled" must be true or false');
+  }
+
+  if (errors.length > 0) {
+    return { frame: null, errors };
+  }
+
+  const fileName = file.replace(/\.png$/i, '');
+  const fit = crop?.fit || APP_CONFIG.DEFAULT_FRAME_FIT;
+
+  return {
+    frame: {
+      id: `${category}-${fileName}`,
+      name: name.trim(),
+      image: images[file],
+      category,
+      orientation,
+      photoWindows: (photoWindows || [FULL_FRAME_WINDOW]).map((rect) => ({ ...rect })),
+      crop: { fit, zoom: crop?.zoom ?? MIN_ZOOM },
+      fit,
+      tags: tags ? [...tags] : [],
+      textSlots: (textSlots || []).map((slot) => ({
+        ...DEFAULT_TEXT_SLOT,
+        ...slot,
+        id: slot.id.trim(),
+        label: slot.label || slot.id.trim(),
+        weight: String(slot.weight ?? DEFAULT_TEXT_SLOT.weight),
+      })),
+      enabled: enabled !== false,
+    },
+    errors,
+  };
+};
+
+/**
+ * Validate one parsed manifest against the images in its folder
+ *
+ * @param {Object} manifest - Parsed frames.json content
+ * @param {Object} images - Map of file name -> image URL for the folder
+ * @param {string} folder - Folder name, used in error messages
+ * @returns {{category: string|null, frames: Object[], errors: string[], warnings: string[]}}
+ */
+export const validateManifest = (manifest, images, folder) => {
+  const source = `Frames/${folder}/${MANIFEST_FILE}`;
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(manifest)) {
+    return { category: null, frames: [], errors: [`${source}: manifest must be a JSON object`], warnings };
+  }
+
+  const { category } = manifest;
+  if (!APP_CONFIG.FRAME_CATEGORIES.includes(category)) {
+    errors.push(`${source}: "category" must be one of ${APP_CONFIG.FRAME_CATEGORIES.join(', ')}`);
+    return { category: null, frames: [], errors, warnings };
+  }
+
+  if (!Array.isArray(manifest.frames)) {
+    errors.push(`${source}: "frames" must be an array`);
+    return { category, frames: [], errors, warnings };
+  }
+
+  const frames = [];
+  const seenFiles = new Set();
+
+  manifest.frames.forEach((entry, index) => {
+    const label = `${source} frames[${index}]${entry?.file ? ` (${entry.file})` : ''}`;
+
+    if (entry?.file && seenFiles.has(entry.file)) {
+      errors.push(`${label}: "file" is listed more than once`);
+      return;
+    }
+    if (entry?.file) seenFiles.add(entry.file);
+
+    const result = buildFrameEntry(entry, { category, images, label });
+    errors.push(...result.errors);
+    if (result.frame?.enabled) {
+      frames.push(result.frame);
+    }
+  });
+
+  Object.keys(images)
+    .filter((file) => !seenFiles.has(file))
+    .forEach((file) => warnings.push(`${source}: ${file} is not listed in the manifest and will not be shown`));
+
+  return { category, frames, errors, warnings };
+};
+
+/**
+ * Build the frame catalog from eager `import.meta.glob` results
+ *
+ * @param {Object} manifestModules - Glob of every category folder's frames.json
+ * @param {Object} imageModules - Glob of every category folder's PNGs as URLs
+ * @returns {{catalog: Object<string, Object[]>, errors: string[], warnings: string[]}}
+ */
+export const loadFrameCatalog = (manifestModules, imageModules) => {
+  const imagesByFolder = {};
+  Object.entries(imageModules).forEach(([path, module]) => {
+    const { folder, file } = splitFramePath(path);
+    imagesByFolder[folder] = imagesByFolder[folder] || {};
+    imagesByFolder[folder][file] = module.default || module;
+  });
+
+  const catalog = {};
+  const errors = [];
+  const warnings = [];
+  const manifestFolders = new Set();
+
+  Object.entries(manifestModules).forEach(([path, module]) => {
+    const { folder } = splitFramePath(path);
+    manifestFolders.add(folder);
+
+    const manifest = module?.default ?? module;
+    const result = validateManifest(manifest, imagesByFolder[folder] || {}, folder);
+
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+
+    if (result.category) {
+      catalog[result.category] = [...(catalog[result.category] || []), ...result.frames];
+    }
+  });
+
+  Object.keys(imagesByFolder)
+    .filter((folder) => !manifestFolders.has(folder))
+    .forEach((folder) => errors.push(`Frames/${folder}: missing ${MANIFEST_FILE}, frames in this folder are ignored`));
+
+  return { catalog, errors, warnings };
+};
@@ -0,0 +1,320 @@
+/**
+ * GIF Encoder - Animated GIF89a writer for moving booth photos
+ * Builds one shared palette for all frames (median cut over a 15-bit color
+ * histogram), maps pixels to it and LZW-compresses each frame. No
+ * dependencies; frames are RGBA pixel data such as canvas ImageData.
+ */
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4096;
+
+/**
+ * 15-bit histogram key of an RGB color (5 bits per channel)
+ */
+const toKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * Count every pixel of every frame into a 15-bit color histogram
+ */
+const buildHistogram = (frames) => {
+  const histogram = new Uint32Array(1 << 15);
+  frames.forEach(({ data }) => {
+    for (let i = 0; i < data.length; i += 4) {
+      histogram[toKey(data[i], data[i + 1], data[i + 2])]++;
+    }
+  });
+  return histogram;
+};
+
+/**
+ * Median cut palette
+ * Repeatedly splits the color box with the widest channel range at its
+ * weighted median until there are enough boxes; each box's average color
+ * becomes a palette entry.
+ *
+ * @param {Array<{data: Uint8ClampedArray}>} frames
+ * @param {number} [maxColors]
+ * @returns {Uint8Array} RGB triplets
+ */
+export const buildPalette = (frames, maxColors = MAX_COLORS) => {
+  const histogram = buildHistogram(frames);
+  const colors = [];
+  histogram.forEach((count, key) => {
+    if (count > 0) colors.push({ r: (key >> 10) & 31, g: (key >> 5) & 31, b: key & 31, count });
+  });
+
+  const describe = (entries) => {
+    const box = { entries, range: 0, channel: 'r' };
+    ['r', 'g', 'b'].forEach((channel) => {
+      let min = 31;
+      let max = 0;
+      entries.forEach((entry) => {
+        min = Math.min(min, entry[channel]);
+        max = Math.max(max, entry[channel]);
+      });
+      if (max - min > box.range) {
+        box.range = max - min;
+        box.channel = channel;
+      }
+    });
+    return box;
+  };
+
+  const boxes = colors.length > 0 ? [describe(colors)] : [];
+  while (boxes.length < maxColors) {
+    let widest = -1;
+    boxes.forEach((box, index) => {
+      if (box.entries.length > 1 && (widest < 0 || box.range > boxes[widest].range)) widest = index;
+    });
+    if (widest < 0) break;
+
+    const { entries, channel } = boxes[widest];
+    entries.sort((a, b) => a[channel] - b[channel]);
+    const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+
+    let split = 0;
+    for (let seen = 0; split < entries.length - 1; split++) {
+      seen += entries[split].count;
+      if (seen >= total / 2) break;
+    }
+    boxes.splice(widest, 1, describe(entries.slice(0, split + 1)), describe(entries.slice(split + 1)));
+  }
+
+  const palette = new Uint8Array(Math.max(1, boxes.length) * 3);
+  boxes.forEach(({ entries }, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let total = 0;
+    entries.forEach((entry) => {
+      r += entry.r * entry.count;
+      g += entry.g * entry.count;
+      b += entry.b * entry.count;
+      total += entry.count;
+    });
+    // Back to 8 bits, centered in each 5-bit bucket
+    palette[index * 3] = Math.min(255, Math.round((r / total) * 8 + 4));
+    palette[index * 3 + 1] = Math.min(255, Math.round((g / total) * 8 + 4));
+    palette[index * 3 + 2] = Math.min(255, Math.round((b / total) * 8 + 4));
+  });
+  return palette;
+};
+
+/**
+ * Map RGBA pixels to palette indices (nearest color, cached per 15-bit color)
+ */
+const createIndexer = (palette) => {
+  const cache = new Int16Array(1 << 15).fill(-1);
+  const size = palette.length / 3;
+
+  return (data) => {
+    const indices = new Uint8Array(data.length / 4);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      const key = toKey(data[i], data[i + 1], data[i + 2]);
+      let index = cache[key];
+      if (index < 0) {
+        const r = data[i] | 4;
+        const g = data[i + 1] | 4;
+        const b = data[i + 2] | 4;
+        let best = Infinity;
+        for (let c = 0; c < size; c++) {
+          const dr = palette[c * 3] - r;
+          const dg = palette[c * 3 + 1] - g;
+          const db = palette[c * 3 + 2] - b;
+          const distance = dr * dr + dg * dg + db * db;
+          if (distance < best) {
+            best = distance;
+            index = c;
+          }
+        }
+        cache[key] = index;
+      }
+      indices[p] = index;
+    }
+    return indices;
+  };
+};
+
+/**
+ * Growable byte buffer
+ */
+const createWriter = () => {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    const next = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+    next.set(bytes.subarray(0, length));
+    bytes = next;
+  };
+
+  return {
+    byte(value) {
+      ensure(1);
+      bytes[length++] = value;
+    },
+    word(value) {
+      this.byte(value & 0xff);
+      this.byte((value >> 8) & 0xff);
+    },
+    text(value) {
+      for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+    },
+    bytes(values) {
+      ensure(values.length);
+      bytes.set(values, length);
+      length += values.length;
+    },
+    result: () => bytes.slice(0, length),
+  };
+};
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ */
+const writeImageData = (writer, indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  const packed = createWriter();
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      packed.byte(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let table = new Map();
+  let nextCode = endCode + 1;
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = pixel;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) packed.byte(bitBuffer & 0xff);
+
+  const data = packed.result();
+  writer.byte(minCodeSize);
+  for (let offset = 0; offset < data.length; offset += 255) {
+    const block = data.subarray(offset, offset + 255);
+    writer.byte(block.length);
+    writer.bytes(block);
+  }
+  writer.byte(0);
+};
+
+/**
+ * Encode frames into an animated GIF
+ *
+ * @param {Array<{data: Uint8ClampedArray, delay?: number}>} frames - RGBA pixels, all width × height
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.delay] - Milliseconds per frame (frames may override)
+ * @param {number} [options.loop] - Repeat count, 0 loops forever
+ * @returns {Blob} image/gif
+ * @throws {Error} When there are no frames or a frame has the wrong size
+ */
+export const encodeGif = (frames, { width, height, delay = 100, loop = 0 }) => {
+  if (!frames.length) {
+    throw new Error('An animation needs at least one frame');
+  }
+  frames.forEach((frame, index) => {
+    if (frame.data.length !== width * height * 4) {
+      throw new Error(`Frame ${index + 1} is not ${width}×${height}`);
+    }
+  });
+
+  const palette = buildPalette(frames);
+  const indexFrame = createIndexer(palette);
+
+  // Color table size is a power of two, at least 2 entries
+  let tableBits = 1;
+  while (1 << tableBits < palette.length / 3) tableBits++;
+  const minCodeSize = Math.max(2, tableBits);
+
+  const writer = createWriter();
+  writer.text('GIF89a');
+  writer.word(width);
+  writer.word(height);
+  writer.byte(0x80 | ((tableBits - 1) << 4) | (tableBits - 1)); // global color table
+  writer.byte(0); // background color index
+  writer.byte(0); // pixel aspect ratio
+
+  const table = new Uint8Array((1 << tableBits) * 3);
+  table.set(palette);
+  writer.bytes(table);
+
+  // NETSCAPE2.0 application extension: loop count
+  writer.byte(0x21);
+  writer.byte(0xff);
+  writer.byte(11);
+  writer.text('NETSCAPE2.0');
+  writer.byte(3);
+  writer.byte(1);
+  writer.word(loop);
+  writer.byte(0);
+
+  frames.forEach((frame) => {
+    // Graphic control extension: frame delay in centiseconds
+    writer.byte(0x21);
+    writer.byte(0xf9);
+    writer.byte(4);
+    writer.byte(0x04); // disposal: leave in place
+    writer.word(Math.max(2, Math.round((frame.delay ?? delay) / 10)));
+    writer.byte(0); // no transparent color
+    writer.byte(0);
+
+    // Image descriptor: full frame, global color table
+    writer.byte(0x2c);
+    writer.word(0);
+    writer.word(0);
+    writer.word(width);
+    writer.word(height);
+    writer.byte(0);
+
+    writeImageData(writer, indexFrame(frame.data), minCodeSize);
+  });
+
+  writer.byte(0x3b);
+  return new Blob([writer.result()], { type: 'image/gif' });
+};
+
+/**
+ * Boomerang order: forward, then back without repeating the end frames
+ *
+ * @param {Array} frames
+ * @returns {Array}
+ */
+export const getBoomerangFrames = (frames) => {
+  return [...frames, ...frames.slice(1, -1).reverse()];
+};
@@ -0,0 +1,34 @@
+/**
+ * Record IDs
+ * Time-prefixed so ids still sort roughly by creation, with a random suffix
+ * so burst / collage shots saved in the same millisecond never collide
+ */
+
+let fallbackCounter = 0;
+
+/**
+ * Random suffix, from crypto where available
+ */
+const randomSuffix = () => {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID().replace(/-/g, '').slice(0, 16);
+  }
+  if (globalThis.crypto?.getRandomValues) {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Very old browsers: the counter keeps ids unique within this page
+  fallbackCounter = (fallbackCounter + 1) % 0x10000;
+  return `${Math.random().toString(16).slice(2, 14)}${fallbackCounter.toString(16).padStart(4, '0')}`;
+};
+
+/**
+ * Create a unique record id
+ *
+ * @param {string} prefix - e.g. 'session' or 'photo'
+ * @returns {string} e.g. 'photo-1718000000000-3f9a0c2b7d1e4a65'
+ */
+export const createId = (prefix) => {
+  return `${prefix}-${Date.now()}-${randomSuffix()}`;
+};
@@ -0,0 +1,81 @@
+/**
+ * Photo Export Helpers
+ * Download and print stored or freshly captured photo blobs
+ */
+
+import { IMAGE_CONFIG } from '../constants';
+
+/**
+ * File extension for an image blob's MIME type
+ *
+ * @param {Blob} blob
+ * @returns {string} e.g. 'png', 'jpg', 'webp'
+ */
+export const getBlobExtension = (blob) => {
+  return blob?.type?.split('/')[1]?.replace('jpeg', 'jpg') || IMAGE_CONFIG.FILE_EXTENSION;
+};
+
+/**
+ * File name for a downloaded photo
+ *
+ * @param {Blob} blob - Photo blob (its MIME type picks the extension)
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+export const getPhotoFilename = (blob, prefix = IMAGE_CONFIG.FILE_PREFIX) => {
+  return `${prefix}-${Date.now()}.${getBlobExtension(blob)}`;
+};
+
+/**
+ * Save a blob through a temporary download link
+ *
+ * @param {Blob} blob
+ * @param {string} [filename]
+ */
+export const downloadBlob = (blob, filename = getPhotoFilename(blob)) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Cleanup blob URL after short delay
+  setTimeout(() => URL.revokeObjectURL(url), IMAGE_CONFIG.BLOB_URL_CLEANUP_DELAY_MS);
+};
+
+/**
+ * Open a print window for an image blob
+ *
+ * @param {Blob} blob
+ * @param {string} [pageSize] - CSS @page size, e.g. '4in 6in'
+ */
+export const printBlob = (blob, pageSize = 'auto') => {
+  const printWindow = window.open('', '', 'width=800,height=600');
+  if (!printWindow) {
+    throw new Error('Print window was blocked');
+  }
+  const url = URL.createObjectURL(blob);
+
+  printWindow.document.write(`
+    <html>
+      <head>
+        <title>Print Photo</title>
+        <style>
+          @page { size: ${pageSize}; margin: 0; }
+          body { margin: 0; padding: 20px; }
+          img { max-width: 100%; height: auto; }
+          @media print {
+            body { margin: 0; padding: 0; }
+            img { width: 100%; }
+          }
+        </style>
+      </head>
+      <body onload="window.print(); window.close();">
+        <img src="${url}" alt="Photo" />
+      </body>
+    </html>
+  `);
+  printWindow.document.close();
+};
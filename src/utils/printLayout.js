@@ -0,0 +1,303 @@
+/**
+ * Print Layout Engine
+ * Lays out session photos on classic photo-booth print sheets
+ *
+ * - strip-2x6: 4x6in sheet holding two identical 2x6in strips, cut down the middle
+ * - postcard-4x6: 6x4in landscape postcard with a photo grid
+ *
+ * Output is a PNG or single-page PDF blob sized for the sheet at the given DPI.
+ */
+
+import { PRINT_CONFIG } from '../constants';
+import { getCoverRect } from './cropRegion';
+import { canvasToBlob, loadImage } from './compositor';
+
+export const PRINT_LAYOUTS = {
+  STRIP_2X6: {
+    id: 'strip-2x6',
+    name: '2×6 Photo Strips',
+    sheetWidthIn: 4,
+    sheetHeightIn: 6,
+    stripWidthIn: 2,
+    copies: 2,
+    photoCount: 3,
+  },
+  POSTCARD_4X6: {
+    id: 'postcard-4x6',
+    name: '4×6 Postcard',
+    sheetWidthIn: 6,
+    sheetHeightIn: 4,
+    columns: 2,
+    photoCount: 4,
+  },
+};
+
+export const PRINT_FORMATS = {
+  PNG: 'png',
+  PDF: 'pdf',
+};
+
+/**
+ * Find a layout definition by id
+ */
+export const getPrintLayout = (layoutId) => {
+  return Object.values(PRINT_LAYOUTS).find((layout) => layout.id === layoutId) || null;
+};
+
+/**
+ * Draw an image into a cell with cover cropping (no stretching)
+ */
+const drawCover = (ctx, image, x, y, width, height) => {
+  const rect = getCoverRect(image.naturalWidth || image.width, image.naturalHeight || image.height, width, height);
+  if (!rect) return;
+  ctx.drawImage(image, rect.sx, rect.sy, rect.sWidth, rect.sHeight, x, y, width, height);
+};
+
+/**
+ * Centered branding text, shrunk to fit the available width
+ */
+const drawBranding = (ctx, text, centerX, centerY, maxWidth, maxHeight) => {
+  if (!text) return;
+
+  let fontSize = Math.round(maxHeight * 0.5);
+  ctx.font = `700 ${fontSize}px sans-serif`;
+  while (fontSize > 6 && ctx.measureText(text).width > maxWidth) {
+    fontSize -= 1;
+    ctx.font = `700 ${fontSize}px sans-serif`;
+  }
+
+  ctx.fillStyle = PRINT_CONFIG.BRANDING_COLOR;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, centerX, centerY);
+};
+
+/**
+ * Short cut-mark ticks at the top and bottom of a vertical cut line
+ */
+const drawVerticalCutMark = (ctx, x, sheetHeight, length) => {
+  ctx.strokeStyle = PRINT_CONFIG.CUT_MARK_COLOR;
+  ctx.lineWidth = Math.max(1, length / 20);
+  ctx.beginPath();
+  ctx.moveTo(x, 0);
+  ctx.lineTo(x, length);
+  ctx.moveTo(x, sheetHeight - length);
+  ctx.lineTo(x, sheetHeight);
+  ctx.stroke();
+};
+
+/**
+ * Corner crop marks around a trim box
+ */
+const drawCornerMarks = (ctx, x, y, width, height, length) => {
+  ctx.strokeStyle = PRINT_CONFIG.CUT_MARK_COLOR;
+  ctx.lineWidth = Math.max(1, length / 20);
+  ctx.beginPath();
+  [[x, y, 1, 1], [x + width, y, -1, 1], [x, y + height, 1, -1], [x + width, y + height, -1, -1]]
+    .forEach(([cx, cy, dx, dy]) => {
+      ctx.moveTo(cx - dx * length, cy);
+      ctx.lineTo(cx, cy);
+      ctx.moveTo(cx, cy - dy * length);
+      ctx.lineTo(cx, cy);
+    });
+  ctx.stroke();
+};
+
+/**
+ * Render one 2x6 strip (photos stacked, branding at the bottom)
+ */
+const renderStrip = (images, { dpi, marginIn, gapIn, brandingText, background }, layout) => {
+  const width = Math.round(layout.stripWidthIn * dpi);
+  const height = Math.round(layout.sheetHeightIn * dpi);
+  const margin = marginIn * dpi;
+  const gap = gapIn * dpi;
+  const brandingHeight = brandingText ? PRINT_CONFIG.BRANDING_HEIGHT_IN * dpi : 0;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  const count = layout.photoCount;
+  const cellWidth = width - margin * 2;
+  const cellHeight = (height - margin * 2 - brandingHeight - gap * (count - 1)) / count;
+
+  for (let i = 0; i < count; i++) {
+    const image = images[i % images.length];
+    drawCover(ctx, image, margin, margin + i * (cellHeight + gap), cellWidth, cellHeight);
+  }
+
+  drawBranding(ctx, brandingText, width / 2, height - margin - brandingHeight / 2, cellWidth, brandingHeight);
+
+  return canvas;
+};
+
+/**
+ * Render the full sheet for a layout
+ */
+const renderSheet = (images, options, layout) => {
+  const { dpi, marginIn, gapIn, brandingText, cutMarks, background } = options;
+  const width = Math.round(layout.sheetWidthIn * dpi);
+  const height = Math.round(layout.sheetHeightIn * dpi);
+  const markLength = PRINT_CONFIG.CUT_MARK_LENGTH_IN * dpi;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  if (layout.id === PRINT_LAYOUTS.STRIP_2X6.id) {
+    const strip = renderStrip(images, options, layout);
+    for (let copy = 0; copy < layout.copies; copy++) {
+      ctx.drawImage(strip, copy * strip.width, 0);
+    }
+    if (cutMarks) {
+      for (let copy = 1; copy < layout.copies; copy++) {
+        drawVerticalCutMark(ctx, copy * strip.width, height, markLength);
+      }
+    }
+    return canvas;
+  }
+
+  // Postcard: photo grid above a branding band
+  const margin = marginIn * dpi;
+  const gap = gapIn * dpi;
+  const brandingHeight = brandingText ? PRINT_CONFIG.BRANDING_HEIGHT_IN * dpi : 0;
+  const count = Math.min(layout.photoCount, Math.max(images.length, 1));
+  const columns = Math.min(layout.columns, count);
+  const rows = Math.ceil(count / columns);
+  const cellWidth = (width - margin * 2 - gap * (columns - 1)) / columns;
+  const cellHeight = (height - margin * 2 - brandingHeight - gap * (rows - 1)) / rows;
+
+  for (let i = 0; i < count; i++) {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    drawCover(
+      ctx,
+      images[i % images.length],
+      margin + column * (cellWidth + gap),
+      margin + row * (cellHeight + gap),
+      cellWidth,
+      cellHeight
+    );
+  }
+
+  drawBranding(ctx, brandingText, width / 2, height - margin - brandingHeight / 2, width - margin * 2, brandingHeight);
+
+  if (cutMarks && margin > 0) {
+    drawCornerMarks(ctx, margin, margin, width - margin * 2, height - margin * 2, Math.min(markLength, margin));
+  }
+
+  return canvas;
+};
+
+/**
+ * Wrap a JPEG in a minimal single-page PDF sized to the sheet
+ */
+const buildImagePdf = (jpegBytes, pixelWidth, pixelHeight, pageWidthIn, pageHeightIn) => {
+  const encoder = new TextEncoder();
+  const pageWidth = (pageWidthIn * 72).toFixed(2);
+  const pageHeight = (pageHeightIn * 72).toFixed(2);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (id) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+  };
+
+  push('%PDF-1.4\n');
+  startObject(1);
+  push('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  startObject(2);
+  push('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+  startObject(3);
+  push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] `
+    + '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n');
+  startObject(4);
+  push(`<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} `
+    + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`);
+  push(jpegBytes);
+  push('\nendstream\nendobj\n');
+  startObject(5);
+  push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+  const xrefOffset = length;
+  push('xref\n0 6\n0000000000 65535 f \n');
+  for (let id = 1; id <= 5; id++) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
+
+/**
+ * Build a printable sheet from photos
+ *
+ * Photos are used in order; when there are fewer photos than slots they
+ * repeat so the sheet is always full.
+ *
+ * @param {Array<Blob|string>} photos - Photo blobs or URLs, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.layout] - A PRINT_LAYOUTS id
+ * @param {number} [options.dpi] - Output resolution
+ * @param {number} [options.marginIn] - Outer margin in inches
+ * @param {number} [options.gapIn] - Space between photos in inches
+ * @param {string} [options.brandingText] - Text printed under the photos
+ * @param {boolean} [options.cutMarks] - Draw cut/trim marks
+ * @param {string} [options.format] - 'png' or 'pdf'
+ * @returns {Promise<{blob: Blob, width: number, height: number, layout: Object}>}
+ */
+export const createPrintLayout = async (photos, options = {}) => {
+  const settings = {
+    layout: PRINT_LAYOUTS.STRIP_2X6.id,
+    dpi: PRINT_CONFIG.DPI,
+    marginIn: PRINT_CONFIG.MARGIN_IN,
+    gapIn: PRINT_CONFIG.GAP_IN,
+    brandingText: PRINT_CONFIG.BRANDING_TEXT,
+    cutMarks: PRINT_CONFIG.CUT_MARKS,
+    background: PRINT_CONFIG.BACKGROUND,
+    format: PRINT_FORMATS.PNG,
+    ...options,
+  };
+
+  const layout = getPrintLayout(settings.layout);
+  if (!layout) {
+    throw new Error(`Unknown print layout: ${settings.layout}`);
+  }
+  if (!photos || photos.length === 0) {
+    throw new Error('No photos in this session to print');
+  }
+  if (!(settings.dpi > 0)) {
+    throw new Error('Print DPI must be a positive number');
+  }
+
+  const images = await Promise.all(photos.map((photo) => loadImage(photo)));
+  const canvas = renderSheet(images, settings, layout);
+
+  let blob;
+  if (settings.format === PRINT_FORMATS.PDF) {
+    const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+    const jpegBytes = new Uint8Array(await jpeg.arrayBuffer());
+    blob = buildImagePdf(jpegBytes, canvas.width, canvas.height, layout.sheetWidthIn, layout.sheetHeightIn);
+  } else {
+    blob = await canvasToBlob(canvas, 'image/png');
+  }
+
+  return { blob, width: canvas.width, height: canvas.height, layout };
+};
@@ -0,0 +1,292 @@
+/**
+ * Render Recipes - Everything needed to rebuild a photo from its originals
+ * Each saved photo keeps the raw camera captures plus the recipe (frame,
+ * filter, crop, text) that turned them into the final image, so a frame with
+ * a typo can be fixed or swapped later without reshooting.
+ *
+ * Version 2 added `edits` (post-capture editor): brightness / contrast /
+ * saturation are applied to each shot before the frame goes on, rotation
+ * and crop to the finished image.
+ * Version 3 added `stickers`: sticker ids with their position, width and
+ * rotation, drawn over the frame (see drawStickers in the compositor).
+ */
+
+import { normalizeFit } from './cropRegion';
+import {
+  FULL_FRAME_WINDOW,
+  canvasToBlob,
+  composeCanvas,
+  getWindowPixels,
+  loadImage,
+  renderCrop,
+} from './compositor';
+import { applyFilterToCanvas, getAdjustmentPipeline } from './filterEngine';
+
+export const RECIPE_VERSION = 3;
+
+/**
+ * Crop of the finished image
+ * aspect: width / height, null keeps the image's own aspect
+ * zoom: 1 is the largest crop of that aspect, higher crops tighter
+ * x / y: crop centre as fractions of the image
+ */
+export const DEFAULT_CROP = { aspect: null, zoom: 1, x: 0.5, y: 0.5 };
+
+export const DEFAULT_EDITS = {
+  brightness: 1,
+  contrast: 1,
+  saturation: 1,
+  rotation: 0,
+  crop: DEFAULT_CROP,
+};
+
+/**
+ * Edits of a recipe with defaults filled in (version 1 recipes have none)
+ */
+export const getRecipeEdits = (recipe) => ({
+  ...DEFAULT_EDITS,
+  ...recipe.edits,
+  crop: { ...DEFAULT_CROP, ...recipe.edits?.crop },
+});
+
+/**
+ * Recipe with some edits changed (upgrades version 1 recipes)
+ *
+ * @param {Object} recipe
+ * @param {Object} changes - Subset of DEFAULT_EDITS fields
+ * @returns {Object}
+ */
+export const updateRecipeEdits = (recipe, changes) => {
+  const edits = getRecipeEdits(recipe);
+  return {
+    ...recipe,
+    version: RECIPE_VERSION,
+    edits: { ...edits, ...changes, crop: { ...edits.crop, ...changes.crop } },
+  };
+};
+
+/**
+ * Pixel rectangle of a crop inside an image
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} crop - See DEFAULT_CROP
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export const getCropRect = (width, height, crop = DEFAULT_CROP) => {
+  const { aspect, zoom, x, y } = { ...DEFAULT_CROP, ...crop };
+
+  let cropWidth = width;
+  let cropHeight = height;
+  if (aspect && aspect > 0) {
+    if (width / height > aspect) {
+      cropWidth = height * aspect;
+    } else {
+      cropHeight = width / aspect;
+    }
+  }
+
+  const scale = 1 / Math.max(1, zoom);
+  cropWidth = Math.max(1, Math.round(cropWidth * scale));
+  cropHeight = Math.max(1, Math.round(cropHeight * scale));
+
+  const left = Math.min(width - cropWidth, Math.max(0, Math.round(x * width - cropWidth / 2)));
+  const top = Math.min(height - cropHeight, Math.max(0, Math.round(y * height - cropHeight / 2)));
+
+  return { x: left, y: top, width: cropWidth, height: cropHeight };
+};
+
+/**
+ * Rotate (quarter turns) and crop a canvas, returning a new canvas when anything changed
+ */
+const applyGeometry = (canvas, { rotation, crop }) => {
+  let result = canvas;
+
+  const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+  if (turns !== 0) {
+    const rotated = document.createElement('canvas');
+    rotated.width = turns % 2 === 0 ? canvas.width : canvas.height;
+    rotated.height = turns % 2 === 0 ? canvas.height : canvas.width;
+    const ctx = rotated.getContext('2d');
+    ctx.translate(rotated.width / 2, rotated.height / 2);
+    ctx.rotate((turns * Math.PI) / 2);
+    ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    result = rotated;
+  }
+
+  const rect = getCropRect(result.width, result.height, crop);
+  if (rect.width !== result.width || rect.height !== result.height) {
+    const cropped = document.createElement('canvas');
+    cropped.width = rect.width;
+    cropped.height = rect.height;
+    cropped.getContext('2d').drawImage(
+      result,
+      rect.x, rect.y, rect.width, rect.height,
+      0, 0, rect.width, rect.height
+    );
+    result = cropped;
+  }
+
+  return result;
+};
+
+/**
+ * Build the recipe saved with a capture
+ *
+ * @param {Object} params
+ * @param {string} params.frameId - Frame id, 'none' for no frame
+ * @param {string} params.filterId - Filter preset id
+ * @param {number} params.zoom
+ * @param {string} params.fit - FIT_MODES value
+ * @param {number} params.width - Output width
+ * @param {number} params.height - Output height
+ * @param {string|null} [params.background] - Fill behind the shots (collage gaps)
+ * @param {Array<{photoWindow: Object, mirror?: boolean}>} params.shots - One per original, in order
+ * @param {Object} [params.text] - Text slot values, by slot id
+ * @param {Object} [params.edits] - Editor changes, see DEFAULT_EDITS
+ * @param {Array<{stickerId: string, x: number, y: number, width: number, rotation?: number}>} [params.stickers]
+ * @returns {Object}
+ */
+export const createRenderRecipe = ({
+  frameId,
+  filterId,
+  zoom,
+  fit,
+  width,
+  height,
+  background = null,
+  shots,
+  text = {},
+  edits = DEFAULT_EDITS,
+  stickers = [],
+}) => ({
+  version: RECIPE_VERSION,
+  frameId,
+  filterId,
+  zoom,
+  fit,
+  width,
+  height,
+  background,
+  shots: shots.map(({ photoWindow, mirror = false }) => ({ photoWindow: { ...photoWindow }, mirror })),
+  text: { ...text },
+  edits: { ...edits, crop: { ...DEFAULT_CROP, ...edits.crop } },
+  stickers: stickers.map(({ stickerId, x, y, width: stickerWidth, rotation = 0 }) => ({
+    stickerId,
+    x,
+    y,
+    width: stickerWidth,
+    rotation,
+  })),
+});
+
+/**
+ * Recipe re-targeted at another frame
+ * The frame decides output size, photo windows and fit; zoom, filter,
+ * text and stickers carry over. Frames must have as many photo windows as the photo has shots.
+ *
+ * @param {Object} recipe
+ * @param {{id: string, name?: string, image?: string|null, photoWindows?: Object[], fit?: string}} frame
+ * @returns {Promise<Object>}
+ * @throws {Error} When the frame's photo windows don't match the shots
+ */
+export const applyRecipeFrame = async (recipe, frame) => {
+  const photoWindows = frame.photoWindows || [FULL_FRAME_WINDOW];
+  if (photoWindows.length !== recipe.shots.length) {
+    throw new Error(
+      `${frame.name || frame.id} has ${photoWindows.length} photo window${photoWindows.length === 1 ? '' : 's'}, `
+      + `this photo has ${recipe.shots.length} shot${recipe.shots.length === 1 ? '' : 's'}`
+    );
+  }
+
+  let { width, height } = recipe;
+  if (frame.image) {
+    let frameImg;
+    try {
+      frameImg = await loadImage(frame.image);
+    } catch {
+      throw new Error('Failed to load frame');
+    }
+    width = frameImg.naturalWidth || frameImg.width;
+    height = frameImg.naturalHeight || frameImg.height;
+  }
+
+  return {
+    ...recipe,
+    frameId: frame.id,
+    fit: normalizeFit(frame.fit),
+    width,
+    height,
+    shots: recipe.shots.map((shot, index) => ({ ...shot, photoWindow: { ...photoWindows[index] } })),
+  };
+};
+
+/**
+ * Render a photo from its originals
+ *
+ * @param {Object} recipe
+ * @param {Blob[]|HTMLImageElement[]} originals - Raw captures (or loaded images), one per recipe shot
+ * @param {Object} [options]
+ * @param {string|null} [options.frameImage] - URL of the recipe's frame PNG
+ * @param {Object[]} [options.textSlots] - Text slots of the recipe's frame, filled from recipe.text
+ * @param {number} [options.maxSize] - Longest side of the composition, for quick previews
+ * @param {Object<string, string>} [options.stickerImages] - Sticker id -> image URL
+ * @returns {Promise<{blob: Blob, canvas: HTMLCanvasElement}>}
+ * @throws {Error} When an original or sticker is missing or the recipe is from a newer version
+ */
+export const renderRecipe = async (
+  recipe,
+  originals,
+  { frameImage = null, textSlots = [], maxSize = null, stickerImages = {} } = {}
+) => {
+  if (recipe.version > RECIPE_VERSION) {
+    throw new Error('This photo was saved by a newer version of SelfieBooth');
+  }
+
+  const stickers = (recipe.stickers || []).map((sticker) => {
+    if (!stickerImages[sticker.stickerId]) {
+      throw new Error(`Sticker ${sticker.stickerId} is no longer available`);
+    }
+    return { ...sticker, image: stickerImages[sticker.stickerId] };
+  });
+
+  const edits = getRecipeEdits(recipe);
+  const adjustments = getAdjustmentPipeline(edits);
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(recipe.width, recipe.height)) : 1;
+  const width = Math.max(1, Math.round(recipe.width * scale));
+  const height = Math.max(1, Math.round(recipe.height * scale));
+
+  const shots = [];
+  for (let index = 0; index < recipe.shots.length; index++) {
+    const shot = recipe.shots[index];
+    if (!originals[index]) {
+      throw new Error(`Original capture ${index + 1} of ${recipe.shots.length} is missing`);
+    }
+
+    const image = originals[index] instanceof Blob ? await loadImage(originals[index]) : originals[index];
+    const slot = getWindowPixels(shot.photoWindow, width, height);
+    const shotCanvas = renderCrop(image, slot.width, slot.height, {
+      zoom: recipe.zoom,
+      fit: recipe.fit,
+      mirror: shot.mirror,
+      filterId: recipe.filterId,
+    });
+    applyFilterToCanvas(shotCanvas, adjustments);
+    shots.push({ source: shotCanvas, photoWindow: shot.photoWindow });
+  }
+
+  const composed = await composeCanvas({
+    width,
+    height,
+    shots,
+    frameImage,
+    background: recipe.background,
+    textSlots,
+    textValues: recipe.text || {},
+    stickers,
+  });
+
+  const canvas = applyGeometry(composed, edits);
+  const blob = await canvasToBlob(canvas);
+  return { blob, canvas };
+};
@@ -0,0 +1,204 @@
+/**
+ * Sticker Manifest Loader
+ * Builds the sticker packs from the `stickers.json` manifest in each
+ * `assets/Stickers/<Pack>/` directory, the same way frame folders are loaded
+ *
+ * Manifest shape:
+ *   {
+ *     "pack": "Props",
+ *     "stickers": [
+ *       {
+ *         "file": "party-hat.svg",          // required, PNG or SVG in the same folder
+ *         "name": "Party Hat",              // required display name
+ *         "width": 0.25,                    // starting width, fraction of the photo width
+ *         "tags": ["hat"],
+ *         "enabled": true
+ *       }
+ *     ]
+ *   }
+ */
+
+export const STICKER_MANIFEST_FILE = 'stickers.json';
+
+// Sticker width limits, as fractions of the photo width
+export const MIN_STICKER_WIDTH = 0.05;
+export const MAX_STICKER_WIDTH = 1.5;
+export const DEFAULT_STICKER_WIDTH = 0.3;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Split a glob path like './assets/Stickers/Props/crown.svg' into folder + file
+ */
+const splitStickerPath = (path) => {
+  const parts = path.split('/');
+  return { folder: parts[parts.length - 2], file: parts[parts.length - 1] };
+};
+
+/**
+ * Clamp a sticker width into the allowed range
+ */
+export const clampStickerWidth = (width) => Math.min(MAX_STICKER_WIDTH, Math.max(MIN_STICKER_WIDTH, width));
+
+/**
+ * Validate a single manifest entry and normalise it into a sticker object
+ *
+ * @returns {{sticker: Object|null, errors: string[]}}
+ */
+const buildStickerEntry = (entry, { packId, images, label }) => {
+  const errors = [];
+  const fail = (message) => errors.push(`${label}: ${message}`);
+
+  if (!isPlainObject(entry)) {
+    fail('entry must be an object');
+    return { sticker: null, errors };
+  }
+
+  const { file, name, width, tags, enabled } = entry;
+
+  if (typeof file !== 'string' || !file) {
+    fail('"file" is required');
+  } else if (!images[file]) {
+    fail(`"file" ${file} does not exist in this folder`);
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    fail('"name" is required');
+  }
+
+  if (width !== undefined
+    && !(typeof width === 'number' && width >= MIN_STICKER_WIDTH && width <= MAX_STICKER_WIDTH)) {
+    fail(`"width" must be a number between ${MIN_STICKER_WIDTH} and ${MAX_STICKER_WIDTH}`);
+  }
+
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => typeof tag === 'string'))) {
+    fail('"tags" must be an array of strings');
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    fail('"enabled" must be true or false');
+  }
+
+  if (errors.length > 0) {
+    return { sticker: null, errors };
+  }
+
+  return {
+    sticker: {
+      id: `${packId}-${file.replace(/\.(png|svg)$/i, '')}`,
+      name: name.trim(),
+      image: images[file],
+      width: width ?? DEFAULT_STICKER_WIDTH,
+      tags: tags ? [...tags] : [],
+      enabled: enabled !== false,
+    },
+    errors,
+  };
+};
+
+/**
+ * Validate one parsed manifest against the images in its folder
+ *
+ * @param {Object} manifest - Parsed stickers.json content
+ * @param {Object} images - Map of file name -> image URL for the folder
+ * @param {string} folder - Folder name, used in error messages
+ * @returns {{pack: Object|null, errors: string[], warnings: string[]}}
+ */
+export const validateStickerManifest = (manifest, images, folder) => {
+  const source = `Stickers/${folder}/${STICKER_MANIFEST_FILE}`;
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(manifest)) {
+    return { pack: null, errors: [`${source}: manifest must be a JSON object`], warnings };
+  }
+
+  const name = typeof manifest.pack === 'string' && manifest.pack.trim() ? manifest.pack.trim() : folder;
+  const packId = folder.toLowerCase();
+
+  if (!Array.isArray(manifest.stickers)) {
+    errors.push(`${source}: "stickers" must be an array`);
+    return { pack: null, errors, warnings };
+  }
+
+  const stickers = [];
+  const seenFiles = new Set();
+
+  manifest.stickers.forEach((entry, index) => {
+    const label = `${source} stickers[${index}]${entry?.file ? ` (${entry.file})` : ''}`;
+
+    if (entry?.file && seenFiles.has(entry.file)) {
+      errors.push(`${label}: "file" is listed more than once`);
+      return;
+    }
+    if (entry?.file) seenFiles.add(entry.file);
+
+    const result = buildStickerEntry(entry, { packId, images, label });
+    errors.push(...result.errors);
+    if (result.sticker?.enabled) {
+      stickers.push(result.sticker);
+    }
+  });
+
+  Object.keys(images)
+    .filter((file) => !seenFiles.has(file))
+    .forEach((file) => warnings.push(`${source}: ${file} is not listed in the manifest and will not be shown`));
+
+  return { pack: { id: packId, name, stickers }, errors, warnings };
+};
+
+/**
+ * Build the sticker packs from eager `import.meta.glob` results
+ *
+ * @param {Object} manifestModules - Glob of every pack folder's stickers.json
+ * @param {Object} imageModules - Glob of every pack folder's images as URLs
+ * @returns {{packs: Object[], errors: string[], warnings: string[]}}
+ */
+export const loadStickerPacks = (manifestModules, imageModules) => {
+  const imagesByFolder = {};
+  Object.entries(imageModules).forEach(([path, module]) => {
+    const { folder, file } = splitStickerPath(path);
+    imagesByFolder[folder] = imagesByFolder[folder] || {};
+    imagesByFolder[folder][file] = module.default || module;
+  });
+
+  const packs = [];
+  const errors = [];
+  const warnings = [];
+  const manifestFolders = new Set();
+
+  Object.entries(manifestModules).forEach(([path, module]) => {
+    const { folder } = splitStickerPath(path);
+    manifestFolders.add(folder);
+
+    const manifest = module?.default ?? module;
+    const result = validateStickerManifest(manifest, imagesByFolder[folder] || {}, folder);
+
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+
+    if (result.pack?.stickers.length > 0) {
+      packs.push(result.pack);
+    }
+  });
+
+  Object.keys(imagesByFolder)
+    .filter((folder) => !manifestFolders.has(folder))
+    .forEach((folder) => errors.push(`Stickers/${folder}: missing ${STICKER_MANIFEST_FILE}, stickers in this folder are ignored`));
+
+  return { packs, errors, warnings };
+};
+
+/**
+ * Map of sticker id -> image URL across all packs (re-rendering saved photos)
+ *
+ * @param {Object[]} packs
+ * @returns {Object<string, string>}
+ */
+export const getStickerImages = (packs) => {
+  const images = {};
+  packs.forEach((pack) => pack.stickers.forEach((sticker) => {
+    images[sticker.id] = sticker.image;
+  }));
+  return images;
+};
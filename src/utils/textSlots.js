@@ -0,0 +1,148 @@
+/**
+ * Text Slots - Custom text (names, dates, event titles) on personalized frames
+ * Frame manifests define where text goes and how it looks; the operator or
+ * guest supplies the words. Text is drawn onto the canvas during compositing
+ * and shrinks until it fits the slot's max width.
+ *
+ * Slot positions and sizes are fractions of the frame, like photo windows:
+ *   x / y      anchor point; x is the left, centre or right edge per `align`,
+ *              y is the vertical middle of the line
+ *   maxWidth   widest the text may run, fraction of the frame width
+ *   size       font size, fraction of the frame height
+ */
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+export const DEFAULT_TEXT_SLOT = {
+  label: 'Text',
+  placeholder: '',
+  align: 'center',
+  font: 'Arial, Helvetica, sans-serif',
+  weight: '700',
+  size: 0.06,
+  color: '#ffffff',
+  maxWidth: 0.9,
+  default: '',
+  maxLength: 60,
+  persist: false,
+};
+
+// Auto-shrink never goes below this share of the slot's font size
+const MIN_TEXT_SCALE = 0.35;
+
+const STORAGE_KEY = 'selfiebooth.textValues';
+
+/**
+ * CSS font shorthand for a slot at a pixel size
+ */
+export const getTextSlotFont = (slot, pixelSize) => `${slot.weight} ${pixelSize}px ${slot.font}`;
+
+/**
+ * Text for every slot: entered values, falling back to each slot's default
+ * An empty string is kept as-is, so a default can be cleared on purpose.
+ *
+ * @param {Object[]} slots
+ * @param {Object<string, string>} [values] - Entered text, by slot id
+ * @returns {Object<string, string>}
+ */
+export const resolveTextValues = (slots, values = {}) => {
+  const resolved = {};
+  slots.forEach((slot) => {
+    const value = typeof values[slot.id] === 'string' ? values[slot.id] : slot.default;
+    resolved[slot.id] = value.slice(0, slot.maxLength);
+  });
+  return resolved;
+};
+
+/**
+ * Largest font size (px) at which the text fits the slot
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {Object} slot
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {number}
+ */
+export const fitTextSize = (ctx, text, slot, width, height) => {
+  const maxSize = Math.max(1, Math.round(slot.size * height));
+  const minSize = Math.max(1, Math.round(maxSize * MIN_TEXT_SCALE));
+  const maxWidth = slot.maxWidth * width;
+
+  ctx.font = getTextSlotFont(slot, maxSize);
+  const measured = ctx.measureText(text).width;
+  if (measured <= maxWidth) return maxSize;
+
+  // Width scales roughly with size: jump close, then step down to be exact
+  let size = Math.max(minSize, Math.floor(maxSize * (maxWidth / measured)));
+  ctx.font = getTextSlotFont(slot, size);
+  while (size > minSize && ctx.measureText(text).width > maxWidth) {
+    size -= 1;
+    ctx.font = getTextSlotFont(slot, size);
+  }
+  return size;
+};
+
+/**
+ * Draw text slots onto a canvas
+ * Text still too wide at the smallest size is squeezed into the max width.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object[]} slots - Frame text slots
+ * @param {Object<string, string>} values - Text by slot id (see resolveTextValues)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export const drawTextSlots = (ctx, slots, values, width, height) => {
+  const texts = resolveTextValues(slots, values);
+
+  slots.forEach((slot) => {
+    const text = texts[slot.id].trim();
+    if (!text) return;
+
+    ctx.save();
+    const size = fitTextSize(ctx, text, slot, width, height);
+    ctx.font = getTextSlotFont(slot, size);
+    ctx.fillStyle = slot.color;
+    ctx.textAlign = slot.align;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, slot.x * width, slot.y * height, slot.maxWidth * width);
+    ctx.restore();
+  });
+};
+
+/**
+ * Remembered text for `persist` slots (event title, date), by slot id
+ *
+ * @returns {Object<string, string>}
+ */
+export const loadSavedTextValues = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (error) {
+    console.warn('Stored frame text is unreadable, ignoring:', error);
+    return {};
+  }
+};
+
+/**
+ * Remember the text of `persist` slots for the next session
+ *
+ * @param {Object[]} slots
+ * @param {Object<string, string>} values
+ */
+export const saveTextValues = (slots, values) => {
+  const stored = loadSavedTextValues();
+  slots
+    .filter((slot) => slot.persist && typeof values[slot.id] === 'string')
+    .forEach((slot) => {
+      stored[slot.id] = values[slot.id];
+    });
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn('Failed to remember frame text:', error);
+  }
+};
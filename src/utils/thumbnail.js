@@ -0,0 +1,64 @@
+/**
+ * Thumbnail Generation
+ * Small lossy previews of saved photos for history and gallery views
+ */
+
+import { IMAGE_CONFIG } from '../constants';
+import { canvasToBlob, loadImage } from './compositor';
+
+/**
+ * Scaled size that fits within maxSize on the longest side (never upscales)
+ */
+const getThumbnailSize = (width, height, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+/**
+ * Create a thumbnail from a photo
+ *
+ * Browsers that cannot encode the requested format silently return PNG,
+ * in which case the thumbnail is re-encoded as JPEG.
+ *
+ * @param {Blob|string} source - Photo blob or URL
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Longest side in pixels
+ * @param {string} [options.type] - MIME type (image/webp or image/jpeg)
+ * @param {number} [options.quality] - 0-1
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+export const createThumbnail = async (source, options = {}) => {
+  const {
+    maxSize = IMAGE_CONFIG.THUMBNAIL_MAX_SIZE,
+    type = IMAGE_CONFIG.THUMBNAIL_FORMAT,
+    quality = IMAGE_CONFIG.THUMBNAIL_QUALITY,
+  } = options;
+
+  const image = await loadImage(source);
+  const { width, height } = getThumbnailSize(
+    image.naturalWidth || image.width,
+    image.naturalHeight || image.height,
+    maxSize
+  );
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  // Lossy formats have no alpha; flatten transparent frames onto white
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+
+  let blob = await canvasToBlob(canvas, type, quality);
+  if (blob.type !== type) {
+    blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+  }
+
+  return { blob, width, height };
+};
@@ -0,0 +1,225 @@
+/**
+ * Minimal ZIP Archive Support
+ * Writes uncompressed (stored) archives and reads stored or deflated ones.
+ * Photos are already compressed, so storing them keeps export fast and small.
+ *
+ * Limits: no ZIP64 (archives under 4 GB, fewer than 65535 entries), no encryption.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum (as used by ZIP and PNG)
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS date/time fields for a Date
+ */
+const toDosDateTime = (date) => {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+/**
+ * Entry data as bytes
+ */
+const toBytes = async (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new TextEncoder().encode(String(data));
+};
+
+/**
+ * Build a ZIP archive
+ *
+ * @param {Array<{name: string, data: Blob|Uint8Array|ArrayBuffer|string, date?: Date}>} entries
+ *   Paths use forward slashes, e.g. 'photos/photo-1.png'
+ * @returns {Promise<Blob>} application/zip blob
+ * @throws {Error} When the archive would need ZIP64
+ */
+export const createZip = async (entries) => {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} files`);
+  }
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const nameBytes = encoder.encode(entry.name);
+    const bytes = await toBytes(entry.data);
+    const crc = crc32(bytes);
+    const { time, date } = toDosDateTime(entry.date || new Date());
+
+    if (offset + 30 + nameBytes.length + bytes.length > MAX_UINT32) {
+      throw new Error('Export is larger than 4 GB, export fewer sessions at a time');
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_FILE_HEADER, true);
+    header.setUint16(4, 20, true); // Version needed
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, METHOD_STORE, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    // Keep Blob entries as Blob parts so large photos aren't copied again
+    parts.push(header.buffer, nameBytes, entry.data instanceof Blob ? entry.data : bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, METHOD_STORE, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralDirectory.push(central.buffer, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+};
+
+/**
+ * Inflate raw DEFLATE data with the browser's DecompressionStream
+ */
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed ZIP files');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read the files of a ZIP archive
+ *
+ * @param {Blob|ArrayBuffer} source
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path (directories omitted)
+ * @throws {Error} When the data is not a readable ZIP archive
+ */
+export const readZip = async (source) => {
+  const buffer = source instanceof Blob ? await source.arrayBuffer() : source;
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // End of central directory sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('ZIP central directory is corrupt');
+    }
+
+    const flags = view.getUint16(pointer + 8, true);
+    const method = view.getUint16(pointer + 10, true);
+    const crc = view.getUint32(pointer + 16, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`ZIP entry ${name} is corrupt`);
+    }
+
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const raw = new Uint8Array(buffer, dataStart, compressedSize);
+
+    let data;
+    if (method === METHOD_STORE) {
+      data = raw;
+    } else if (method === METHOD_DEFLATE) {
+      data = await inflateRaw(raw);
+    } else {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+
+    if (crc32(data) !== crc) {
+      throw new Error(`${name} is damaged (checksum mismatch)`);
+    }
+
+    files.set(name, data);
+  }
+
+  return files;
+};
@@ -1,23 +1,180 @@
+import http from 'node:http'
+import https from 'node:https'
+import { Buffer } from 'node:buffer'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Must match CAMERA_CONFIG.IP_CAMERA_PROXY_PATH in src/constants.js
+const CAMERA_PROXY_PATH = '/cam-remote'
+const CAMERA_PROXY_TIMEOUT_MS = 10000
+const MAX_CAMERA_BODY_BYTES = 16 * 1024
+
+// Only cameras on the local network are proxied, so the booth can't be used
+// to fetch internet URLs or services on the booth computer itself
+const isLocalNetworkHost = (hostname) => {
+  if (/\.(local|lan|home\.arpa)$/i.test(hostname)) return true
+
+  const parts = hostname.split('.').map(Number)
+  if (parts.length !== 4 || parts.some((part) => !Number.isInteger(part) || part < 0 || part > 255)) return false
+  const [a, b] = parts
+  return a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31) || (a === 169 && b === 254)
+}
+
+// The proxy only answers the browser on the booth computer, not other
+// devices on the event network
+const isBoothComputer = (req) => {
+  const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '')
+  return address === '::1' || address.startsWith('127.') || address === (req.socket.localAddress || '').replace(/^::ffff:/, '')
+}
+
+// Cameras saved in the booth: id -> { stream, snapshot, authorization }
+// The browser registers a camera before using it. Only registered camera URLs
+// are fetched, and logins stay in this process instead of travelling in URLs.
+const cameras = new Map()
+
+const parseCameraUrl = (value) => {
+  if (!value) return null
+  const url = new URL(value)
+  if (!['http:', 'https:'].includes(url.protocol) || !isLocalNetworkHost(url.hostname)) {
+    throw new Error('Only cameras on the local network can be used')
+  }
+  if (url.username || url.password) {
+    throw new Error('Enter the camera login as username and password, not in the URL')
+  }
+  return url
+}
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let body = ''
+  req.setEncoding('utf8')
+  req.on('data', (chunk) => {
+    body += chunk
+    if (body.length > MAX_CAMERA_BODY_BYTES) {
+      reject(new Error('Camera settings are too large'))
+      req.destroy()
+    }
+  })
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body))
+    } catch {
+      reject(new Error('Camera settings are not valid JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+// PUT /cam-remote/cameras/<id> registers a camera: JSON { streamUrl, snapshotUrl, username, password }
+const registerCamera = async (id, req) => {
+  const fields = await readJsonBody(req)
+  const stream = parseCameraUrl(fields.streamUrl)
+  if (!stream) {
+    throw new Error('Stream URL is required')
+  }
+
+  const camera = { stream, snapshot: parseCameraUrl(fields.snapshotUrl), authorization: null }
+  if (fields.username) {
+    camera.authorization = `Basic ${Buffer.from(`${fields.username}:${fields.password || ''}`).toString('base64')}`
+  }
+  cameras.set(id, camera)
+}
+
+// GET /cam-remote/cameras/<id>/stream|snapshot streams the camera response
+// back, so IP camera sources configured at runtime need no config edit or restart
+const pipeCamera = (target, authorization, res, send) => {
+  const headers = authorization ? { Authorization: authorization } : {}
+  const client = target.protocol === 'https:' ? https : http
+  const upstream = client.get(target, { headers, timeout: CAMERA_PROXY_TIMEOUT_MS }, (cameraRes) => {
+    res.writeHead(cameraRes.statusCode || 502, {
+      'Content-Type': cameraRes.headers['content-type'] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    })
+    cameraRes.pipe(res)
+  })
+
+  upstream.on('timeout', () => upstream.destroy(new Error('the camera did not respond')))
+  upstream.on('error', (error) => {
+    if (res.headersSent) {
+      res.end()
+    } else {
+      send(502, `Camera unreachable: ${error.message}`)
+    }
+  })
+  // MJPEG streams never end on their own: stop when the browser goes away
+  res.on('close', () => upstream.destroy())
+}
+
+const handleCameraProxy = async (req, res) => {
+  const send = (status, message) => {
+    res.statusCode = status
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+    res.end(message)
+  }
+
+  if (!isBoothComputer(req)) {
+    send(403, 'The camera proxy only answers the booth computer')
+    return
+  }
+
+  const match = new URL(req.url, 'http://localhost').pathname.match(/^\/cameras\/([\w-]+)(?:\/(stream|snapshot))?$/)
+  if (!match) {
+    send(404, 'Unknown camera proxy request')
+    return
+  }
+  const [, id, feed] = match
+
+  if (!feed && req.method === 'PUT') {
+    try {
+      await registerCamera(id, req)
+      res.statusCode = 204
+      res.end()
+    } catch (error) {
+      send(400, error.message)
+    }
+    return
+  }
+  if (!feed && req.method === 'DELETE') {
+    cameras.delete(id)
+    res.statusCode = 204
+    res.end()
+    return
+  }
+  if (!feed || req.method !== 'GET') {
+    send(405, 'Method not allowed')
+    return
+  }
+
+  const camera = cameras.get(id)
+  if (!camera) {
+    send(404, 'This camera has not been registered with the camera proxy')
+    return
+  }
+  const target = feed === 'snapshot' ? camera.snapshot : camera.stream
+  if (!target) {
+    send(404, 'This camera has no snapshot URL')
+    return
+  }
+
+  pipeCamera(target, camera.authorization, res, send)
+}
+
+const cameraProxy = () => ({
+  name: 'selfiebooth-camera-proxy',
+  configureServer(server) {
+    server.middlewares.use(CAMERA_PROXY_PATH, handleCameraProxy)
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(CAMERA_PROXY_PATH, handleCameraProxy)
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), cameraProxy()],
   server: {
     host: true, // Allows access from network devices
-    proxy: {
-      // This creates a virtual path /cam-proxy that points to your phone
-      '/cam-proxy': {
-        target: 'http://192.168.1.27:8080', // Replace with your camera's IP
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/cam-proxy/, ''),
-        headers: {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
-          'Access-Control-Allow-Headers': 'Content-Type',
-        },
-      },
-    },
+  },
+  preview: {
+    host: true,
   },
 })